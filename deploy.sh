@@ -28,6 +28,9 @@ pm2 delete lost-track-backend 2>/dev/null || true
 # 启动新服务
 # --name 指定进程名称，方便管理
 # server/index.js 是入口文件
+# 首次部署时需设置 ADMIN_USERNAME / ADMIN_PASSWORD 环境变量以创建 owner 后台账号
+# IP 地理位置数据库默认读取 data/ip-ranges.csv（可用 GEOIP_DB_PATH 指定），
+# 替换文件后调用 POST /api/admin/geoip/reload 即可生效，无需重启
 pm2 start server/index.js --name "lost-track-backend"
 
 # 4. 保存状态
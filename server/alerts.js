@@ -0,0 +1,956 @@
+// --- START OF FILE alerts.js ---
+//
+// 告警规则：替代原先写死在 hook.js 中的流量突增检测（UV > 200/分钟，或交互数 > 10 倍 UV）。
+//
+// 每条规则：
+//   metric            unique_visitors | events | page_views | events_per_visitor
+//   filters           可选 { page, country, event_type }
+//   window_minutes    统计窗口（最近 N 分钟），每分钟滑动评估一次
+//   mode              threshold（默认）：按 comparison（gt | gte | lt | lte）与 threshold 比较
+//                     baseline：与前 lookback_weeks 周同一时段学到的基线带比较（见 baseline.js），
+//                     超出 expected ± sensitivity 倍标准差时告警；direction 限定方向（both | above | below），
+//                     可以发现埋点失效导致的流量骤降
+//   min_visitors      窗口内访客数不足时跳过本次评估（避免小样本下的比值误报），告警中的状态视为恢复
+//   cooldown_minutes  同一规则在同一项目上两次通知之间的最短间隔
+//   channels          email / webhook（见 hook.js notifyChannels）
+// project 为空的规则作用于所有未归档的项目。
+//
+// 每个（规则, 项目）的状态持久化在 AlertState 中（进程重启不会丢失冷却时间），
+// 每次触发（fired）与恢复（resolved）都记录到 AlertHistory。
+// 与原先的检测一致，告警统计包含机器人流量。
+
+const express = require("express");
+const mongoose = require("mongoose");
+const { TrackEvent } = require("./models");
+const { requireRole } = require("./auth");
+const { Project, findProject } = require("./projects");
+const {
+  FILTER_FIELDS,
+  computeBand,
+  bandDirection,
+  firstEventTime,
+  sampleTimes,
+  parseLookbackWeeks,
+  parseSensitivity,
+  DEFAULT_LOOKBACK_WEEKS,
+  MIN_LOOKBACK_WEEKS,
+  MAX_LOOKBACK_WEEKS,
+  MAX_SENSITIVITY,
+} = require("./baseline");
+const hook = require("./hook");
+
+const router = express.Router();
+
+const METRICS = {
+  unique_visitors: "Unique Visitors",
+  events: "Events",
+  page_views: "Page Views",
+  events_per_visitor: "Events per Visitor",
+};
+const COMPARISONS = {
+  gt: (value, threshold) => value > threshold,
+  gte: (value, threshold) => value >= threshold,
+  lt: (value, threshold) => value < threshold,
+  lte: (value, threshold) => value <= threshold,
+};
+const COMPARISON_SYMBOLS = { gt: ">", gte: "≥", lt: "<", lte: "≤" };
+const MODES = ["threshold", "baseline"];
+const DIRECTIONS = ["both", "above", "below"];
+
+const MAX_WINDOW_MINUTES = 24 * 60;
+const MAX_COOLDOWN_MINUTES = 7 * 24 * 60;
+const HISTORY_TTL_DAYS = 90;
+const MINUTE = 60 * 1000;
+
+// 首次启动时创建的默认规则，与原先写死的两个检测条件等价
+const DEFAULT_RULES = [
+  {
+    name: "Traffic spike",
+    metric: "unique_visitors",
+    window_minutes: 1,
+    comparison: "gt",
+    threshold: 200,
+    cooldown_minutes: 60,
+  },
+  {
+    name: "Interaction flood",
+    metric: "events_per_visitor",
+    window_minutes: 1,
+    comparison: "gt",
+    threshold: 10,
+    min_visitors: 11,
+    cooldown_minutes: 60,
+  },
+];
+
+// ==========================================
+// 1. 数据模型定义
+// ==========================================
+const AlertRuleSchema = new mongoose.Schema({
+  // 为空时作用于所有未归档的项目
+  project: { type: mongoose.Schema.Types.ObjectId, ref: "Project" },
+  name: { type: String, required: true },
+  enabled: { type: Boolean, default: true },
+  metric: { type: String, enum: Object.keys(METRICS), required: true },
+  filters: {
+    page: String,
+    country: String,
+    event_type: String,
+  },
+  window_minutes: { type: Number, default: 5 },
+  mode: { type: String, enum: MODES, default: "threshold" },
+  comparison: { type: String, enum: Object.keys(COMPARISONS), default: "gt" },
+  threshold: {
+    type: Number,
+    required() {
+      return this.mode !== "baseline";
+    },
+  },
+  // baseline 模式的参数
+  sensitivity: Number,
+  direction: { type: String, enum: DIRECTIONS },
+  lookback_weeks: Number,
+  min_visitors: { type: Number, default: 0 },
+  cooldown_minutes: { type: Number, default: 60 },
+  channels: { type: [String], enum: hook.NOTIFY_CHANNELS },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now },
+});
+
+AlertRuleSchema.index({ project: 1 });
+
+const AlertRule = mongoose.model("AlertRule", AlertRuleSchema);
+
+// 每个（规则, 项目）的当前状态
+const AlertStateSchema = new mongoose.Schema({
+  rule: { type: mongoose.Schema.Types.ObjectId, ref: "AlertRule" },
+  project: { type: mongoose.Schema.Types.ObjectId, ref: "Project" },
+  status: { type: String, enum: ["ok", "firing"], default: "ok" },
+  value: Number,
+  // baseline 模式下本次评估的基线带 { expected, low, high, samples }
+  band: mongoose.Schema.Types.Mixed,
+  // 进入当前状态的时间
+  since: Date,
+  last_notified_at: Date,
+  evaluated_at: Date,
+});
+
+AlertStateSchema.index({ rule: 1, project: 1 }, { unique: true });
+
+const AlertState = mongoose.model("AlertState", AlertStateSchema);
+
+const AlertHistorySchema = new mongoose.Schema({
+  rule: { type: mongoose.Schema.Types.ObjectId, ref: "AlertRule" },
+  // 规则可能被修改或删除，记录触发时的规则快照
+  rule_name: String,
+  metric: String,
+  comparison: String,
+  threshold: Number,
+  window_minutes: Number,
+  project: { type: mongoose.Schema.Types.ObjectId, ref: "Project" },
+  mode: String,
+  status: { type: String, enum: ["fired", "resolved"] },
+  value: Number,
+  band: mongoose.Schema.Types.Mixed,
+  // baseline 模式下触发的方向：above / below
+  direction: String,
+  // 仍在告警中、冷却结束后的重复通知
+  repeat: { type: Boolean, default: false },
+  // 非条件恢复时的原因：insufficient_data（访客数不足 / 无法建立基线）、
+  // disabled（规则停用）、deleted（规则删除）、out_of_scope（项目归档或不再属于规则的作用范围）
+  reason: String,
+  notified: { type: Boolean, default: false },
+  deliveries: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  created_at: { type: Date, default: Date.now },
+});
+
+AlertHistorySchema.index({ project: 1, created_at: -1 });
+AlertHistorySchema.index({ rule: 1, created_at: -1 });
+AlertHistorySchema.index(
+  { created_at: 1 },
+  { expireAfterSeconds: HISTORY_TTL_DAYS * 24 * 60 * 60 }
+);
+
+const AlertHistory = mongoose.model("AlertHistory", AlertHistorySchema);
+
+// ==========================================
+// 2. 规则校验
+// ==========================================
+
+function isNonNegativeNumber(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0;
+}
+
+// 校验请求体，返回 { rule } 或 { error }（project 由路由单独处理）
+function parseRule(body) {
+  const {
+    name,
+    enabled,
+    metric,
+    filters,
+    window_minutes,
+    mode,
+    comparison,
+    threshold,
+    sensitivity,
+    direction,
+    lookback_weeks,
+    min_visitors,
+    cooldown_minutes,
+    channels,
+  } = body || {};
+
+  if (!name || typeof name !== "string" || name.length > 100) {
+    return { error: "name is required (max 100 chars)" };
+  }
+  if (!METRICS[metric]) {
+    return {
+      error: `metric must be one of: ${Object.keys(METRICS).join(", ")}`,
+    };
+  }
+
+  const ruleFilters = {};
+  if (filters !== undefined && filters !== null) {
+    if (typeof filters !== "object" || Array.isArray(filters)) {
+      return { error: "filters must be an object" };
+    }
+    for (const [key, value] of Object.entries(filters)) {
+      if (!FILTER_FIELDS[key]) {
+        return {
+          error: `filters only supports: ${Object.keys(FILTER_FIELDS).join(", ")}`,
+        };
+      }
+      if (value === undefined || value === null || value === "") continue;
+      if (typeof value !== "string" || value.length > 256) {
+        return { error: `filters.${key} must be a string` };
+      }
+      ruleFilters[key] = value;
+    }
+  }
+
+  const windowMinutes = window_minutes ?? 5;
+  if (
+    !Number.isInteger(windowMinutes) ||
+    windowMinutes < 1 ||
+    windowMinutes > MAX_WINDOW_MINUTES
+  ) {
+    return {
+      error: `window_minutes must be an integer between 1 and ${MAX_WINDOW_MINUTES}`,
+    };
+  }
+
+  const ruleMode = mode || "threshold";
+  if (!MODES.includes(ruleMode)) {
+    return { error: `mode must be one of: ${MODES.join(", ")}` };
+  }
+
+  // 另一模式的字段置空，修改规则模式时不残留旧参数
+  const modeFields = {
+    comparison: undefined,
+    threshold: undefined,
+    lookback_weeks: undefined,
+    sensitivity: undefined,
+    direction: undefined,
+  };
+  if (ruleMode === "threshold") {
+    const cmp = comparison || "gt";
+    if (!COMPARISONS[cmp]) {
+      return {
+        error: `comparison must be one of: ${Object.keys(COMPARISONS).join(", ")}`,
+      };
+    }
+    if (!isNonNegativeNumber(threshold)) {
+      return { error: "threshold must be a non-negative number" };
+    }
+    Object.assign(modeFields, { comparison: cmp, threshold });
+  } else {
+    const weeks = parseLookbackWeeks(lookback_weeks);
+    if (weeks === null) {
+      return {
+        error: `lookback_weeks must be an integer between ${MIN_LOOKBACK_WEEKS} and ${MAX_LOOKBACK_WEEKS}`,
+      };
+    }
+    const ruleSensitivity = parseSensitivity(sensitivity);
+    if (ruleSensitivity === null) {
+      return {
+        error: `sensitivity must be a number between 0 and ${MAX_SENSITIVITY}`,
+      };
+    }
+    const ruleDirection = direction || "both";
+    if (!DIRECTIONS.includes(ruleDirection)) {
+      return { error: `direction must be one of: ${DIRECTIONS.join(", ")}` };
+    }
+    Object.assign(modeFields, {
+      lookback_weeks: weeks,
+      sensitivity: ruleSensitivity,
+      direction: ruleDirection,
+    });
+  }
+
+  const minVisitors = min_visitors ?? 0;
+  if (!Number.isInteger(minVisitors) || minVisitors < 0) {
+    return { error: "min_visitors must be a non-negative integer" };
+  }
+
+  const cooldown = cooldown_minutes ?? 60;
+  if (
+    !Number.isInteger(cooldown) ||
+    cooldown < 0 ||
+    cooldown > MAX_COOLDOWN_MINUTES
+  ) {
+    return {
+      error: `cooldown_minutes must be an integer between 0 and ${MAX_COOLDOWN_MINUTES}`,
+    };
+  }
+
+  const ruleChannels = channels ?? hook.NOTIFY_CHANNELS;
+  if (
+    !Array.isArray(ruleChannels) ||
+    !ruleChannels.every((c) => hook.NOTIFY_CHANNELS.includes(c))
+  ) {
+    return {
+      error: `channels must be a subset of: ${hook.NOTIFY_CHANNELS.join(", ")}`,
+    };
+  }
+
+  return {
+    rule: {
+      name,
+      enabled: enabled !== false,
+      metric,
+      filters: ruleFilters,
+      window_minutes: windowMinutes,
+      mode: ruleMode,
+      ...modeFields,
+      min_visitors: minVisitors,
+      cooldown_minutes: cooldown,
+      channels: [...new Set(ruleChannels)],
+    },
+  };
+}
+
+// ==========================================
+// 3. 规则评估
+// ==========================================
+
+// 计算规则在某个项目上、截止 end 的窗口内的指标值与访客数
+async function measureWindow(rule, projectId, end) {
+  const match = {
+    project: projectId,
+    created_at: {
+      $gte: new Date(end - rule.window_minutes * MINUTE),
+      $lt: new Date(end),
+    },
+  };
+  Object.entries(rule.filters || {}).forEach(([key, value]) => {
+    if (value) match[FILTER_FIELDS[key]] = value;
+  });
+
+  const needsVisitors =
+    rule.metric === "unique_visitors" ||
+    rule.metric === "events_per_visitor" ||
+    rule.min_visitors > 0;
+  const visitors = needsVisitors
+    ? (await TrackEvent.distinct("visitor", match)).length
+    : null;
+
+  let value;
+  switch (rule.metric) {
+    case "unique_visitors":
+      value = visitors;
+      break;
+    case "page_views":
+      value = await TrackEvent.countDocuments(
+        match.event_type ? match : { ...match, event_type: "view" }
+      );
+      break;
+    case "events_per_visitor":
+      value =
+        visitors > 0
+          ? Math.round(
+              ((await TrackEvent.countDocuments(match)) / visitors) * 100
+            ) / 100
+          : 0;
+      break;
+    default:
+      value = await TrackEvent.countDocuments(match);
+  }
+  return { value, visitors };
+}
+
+// baseline 模式：取前 lookback_weeks 周同一时段（配置时区的同一本地时刻）窗口的取值作为样本，计算基线带
+async function measureBand(rule, projectId, now) {
+  const ends = sampleTimes(
+    now,
+    await firstEventTime(projectId),
+    rule.lookback_weeks || DEFAULT_LOOKBACK_WEEKS,
+    hook.getTimezone(),
+    rule.window_minutes * MINUTE
+  );
+  const samples = [];
+  for (const end of ends) {
+    samples.push((await measureWindow(rule, projectId, end)).value);
+  }
+  return computeBand(samples, rule.metric, rule.sensitivity);
+}
+
+// 判断取值是否触发规则；baseline 模式返回触发方向（above / below）
+function checkRule(rule, value, band) {
+  if (rule.mode !== "baseline") {
+    return COMPARISONS[rule.comparison](value, rule.threshold);
+  }
+  const direction = bandDirection(value, band);
+  if (!direction) return false;
+  const allowed = rule.direction || "both";
+  return allowed === "both" || allowed === direction ? direction : false;
+}
+
+// 规则条件的可读描述，如 "Unique Visitors > 200 in 1 min"
+function describeRule(rule) {
+  const filters = Object.entries(rule.filters || {})
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}=${value}`);
+  const condition =
+    rule.mode === "baseline"
+      ? `${METRICS[rule.metric]} outside baseline (±${rule.sensitivity}σ, ${rule.lookback_weeks} weeks, ${rule.direction})`
+      : `${METRICS[rule.metric]} ${COMPARISON_SYMBOLS[rule.comparison]} ${rule.threshold}`;
+  return (
+    condition +
+    ` in ${rule.window_minutes} min` +
+    (filters.length > 0 ? ` (${filters.join(", ")})` : "")
+  );
+}
+
+// 告警邮件（沿用原先突增告警的样式；恢复通知使用绿色）
+// band 非空时（baseline 模式）在实际值旁展示期望范围
+function generateAlertHtml(rule, project, value, status, band) {
+  const fired = status === "fired";
+  const color = fired ? "#ef4444" : "#22c55e";
+  const tz = hook.getTimezone();
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>Traffic Alert</title>
+</head>
+<body style="margin:0; padding:0; background-color:#0f172a; font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;">
+  <div style="max-width:600px; margin:0 auto; background-color:#1e293b; border:2px solid ${color}; border-radius:12px; overflow:hidden;">
+
+    <div style="background:${color}; padding:24px; text-align:center;">
+      <div style="font-size:48px; margin-bottom:8px;">${fired ? "⚠️" : "✅"}</div>
+      <h1 style="margin:0; color:#fff; font-size:24px; font-weight:700;">${hook.escapeHtml(rule.name)}</h1>
+    </div>
+
+    <div style="padding:32px 24px; color:#f1f5f9;">
+      <h2 style="color:#fbbf24; font-size:18px; margin:0 0 16px;">${fired ? "Alert Triggered" : "Alert Resolved"}</h2>
+
+      <div style="background:#0f172a; border-radius:8px; padding:20px; margin-bottom:20px; border:1px solid #334155;">
+        <div style="display:grid; grid-template-columns:${band ? "1fr 1fr" : "1fr"}; gap:16px; text-align:center;">
+          <div>
+            <div style="color:#94a3b8; font-size:12px; margin-bottom:8px;">${METRICS[rule.metric]} (last ${rule.window_minutes} min)</div>
+            <div style="color:${color}; font-size:32px; font-weight:700;">${value}</div>
+          </div>
+          ${
+            band
+              ? `<div>
+            <div style="color:#94a3b8; font-size:12px; margin-bottom:8px;">Expected Range</div>
+            <div style="color:#f1f5f9; font-size:24px; font-weight:700; line-height:38px;">${band.low} – ${band.high}</div>
+            <div style="color:#64748b; font-size:11px;">typical ${band.expected} (${band.samples} weeks)</div>
+          </div>`
+              : ""
+          }
+        </div>
+      </div>
+
+      <div style="background:#1e293b; border-left:4px solid #3b82f6; padding:16px; border-radius:4px; margin-bottom:20px;">
+        <p style="margin:0; color:#cbd5e1; font-size:13px; line-height:1.6;">
+          <strong style="color:#3b82f6;">Project:</strong> ${hook.escapeHtml(project.name)}<br>
+          <strong style="color:#3b82f6;">Condition:</strong> ${hook.escapeHtml(describeRule(rule))}<br>
+          <strong style="color:#3b82f6;">Time:</strong> ${new Date().toLocaleString("zh-CN", { timeZone: tz, hour12: false })} (${tz})
+        </p>
+      </div>
+
+      ${
+        fired
+          ? `<p style="color:#94a3b8; font-size:13px; line-height:1.6; margin:0;">
+        Please check server status and review recent activity logs.
+        This could indicate a DDoS attack, bot traffic, or legitimate viral growth.
+      </p>`
+          : ""
+      }
+    </div>
+
+    <div style="background:#0f172a; padding:16px; text-align:center; border-top:1px solid #334155;">
+      <a href="https://dashboard.lost-track.com" style="display:inline-block; background:#3b82f6; color:#fff; padding:10px 24px; border-radius:6px; text-decoration:none; font-size:13px; font-weight:600;">
+        View Dashboard →
+      </a>
+    </div>
+
+  </div>
+</body>
+</html>
+  `;
+}
+
+// 发送触发 / 恢复通知，返回各渠道的发送结果
+async function notifyAlert(rule, project, value, status, band) {
+  const subject = (
+    status === "fired"
+      ? `⚠️ ALERT: ${rule.name} - ${project.name}`
+      : `✅ RESOLVED: ${rule.name} - ${project.name}`
+  ).replace(/[\r\n]+/g, " ");
+
+  return hook.notifyChannels(
+    "alert",
+    {
+      subject,
+      html: generateAlertHtml(rule, project, value, status, band),
+      message: {
+        title: subject,
+        text: describeRule(rule),
+        fields: [
+          { name: METRICS[rule.metric], value },
+          band
+            ? {
+                name: "Expected Range",
+                value: `${band.low} – ${band.high} (typical ${band.expected})`,
+              }
+            : { name: "Threshold", value: rule.threshold },
+          { name: "Window", value: `${rule.window_minutes} min` },
+        ],
+        data: {
+          status,
+          rule: {
+            _id: rule._id,
+            name: rule.name,
+            metric: rule.metric,
+            filters: rule.filters,
+            window_minutes: rule.window_minutes,
+            mode: rule.mode || "threshold",
+            comparison: rule.comparison,
+            threshold: rule.threshold,
+          },
+          project: { _id: project._id, slug: project.slug, name: project.name },
+          value,
+          band: band || null,
+        },
+      },
+    },
+    rule.channels
+  );
+}
+
+// 历史记录中的规则快照
+function ruleSnapshot(rule) {
+  return {
+    rule: rule._id,
+    rule_name: rule.name,
+    metric: rule.metric,
+    comparison: rule.comparison,
+    threshold: rule.threshold,
+    window_minutes: rule.window_minutes,
+    mode: rule.mode || "threshold",
+  };
+}
+
+// 结束规则的状态（filter 限定项目）：告警中的记录一条恢复历史（不发送通知），然后删除状态。
+// 用于规则停用 / 删除，以及项目被归档或不再属于规则的作用范围
+async function closeStates(rule, filter, reason) {
+  const states = await AlertState.find({ rule: rule._id, ...filter });
+  if (states.length === 0) return;
+
+  for (const state of states) {
+    if (state.status !== "firing") continue;
+    await AlertHistory.create({
+      ...ruleSnapshot(rule),
+      project: state.project,
+      status: "resolved",
+      value: state.value,
+      band: state.band,
+      reason,
+    });
+    console.warn(
+      `[Alert] ${rule.name} resolved for project ${state.project} (${reason}).`
+    );
+  }
+  await AlertState.deleteMany({ _id: { $in: states.map((s) => s._id) } });
+}
+
+// 评估单条规则在单个项目上的状态，状态变化时记录历史并通知
+async function evaluateRule(rule, project, now = Date.now()) {
+  const { value, visitors } = await measureWindow(rule, project._id, now);
+  const band =
+    rule.mode === "baseline" ? await measureBand(rule, project._id, now) : null;
+
+  const state =
+    (await AlertState.findOne({ rule: rule._id, project: project._id })) ||
+    new AlertState({ rule: rule._id, project: project._id, since: now });
+  state.evaluated_at = now;
+
+  // 访客数不足 min_visitors、或历史数据不足以建立基线时无法判断：
+  // 未告警时维持原状态，告警中则视为恢复（否则流量回落后会一直停留在告警中）
+  const insufficient =
+    (rule.min_visitors > 0 && visitors < rule.min_visitors) ||
+    (rule.mode === "baseline" && !band);
+  if (insufficient && state.status !== "firing") {
+    await state.save();
+    return state;
+  }
+  state.value = value;
+  state.band = band || undefined;
+
+  const breached = !insufficient && checkRule(rule, value, band);
+  const cooledDown =
+    !state.last_notified_at ||
+    now - state.last_notified_at >= rule.cooldown_minutes * MINUTE;
+
+  let status = null;
+  let repeat = false;
+  if (breached && (state.status !== "firing" || cooledDown)) {
+    repeat = state.status === "firing";
+    status = "fired";
+  } else if (!breached && state.status === "firing") {
+    status = "resolved";
+  }
+
+  if (status) {
+    // 冷却期内的新触发只记录不通知；恢复只在本次告警通知过时才通知
+    const notify =
+      status === "resolved"
+        ? !!state.last_notified_at && state.last_notified_at >= state.since
+        : cooledDown;
+    let deliveries = [];
+    if (notify) {
+      try {
+        deliveries = await notifyAlert(rule, project, value, status, band);
+      } catch (error) {
+        console.error(`[Alert] Notification failed for ${rule.name}:`, error);
+      }
+    }
+
+    await AlertHistory.create({
+      ...ruleSnapshot(rule),
+      project: project._id,
+      status,
+      value,
+      band: band || undefined,
+      direction: typeof breached === "string" ? breached : undefined,
+      repeat,
+      reason: insufficient ? "insufficient_data" : undefined,
+      notified: deliveries.some((d) => d.ok),
+      deliveries,
+    });
+
+    if (notify) state.last_notified_at = now;
+    if (!repeat) {
+      state.status = status === "fired" ? "firing" : "ok";
+      state.since = now;
+    }
+    console.warn(
+      `[Alert] ${project.slug}: ${rule.name} ${status}${repeat ? " (repeat)" : ""}, value ${value}` +
+        (band ? ` (expected ${band.low} – ${band.high})` : "")
+    );
+  }
+
+  await state.save();
+  return state;
+}
+
+// 首次启动时创建默认规则（删除后不会再自动创建）
+async function seedDefaultRules() {
+  const config = hook.getConfig();
+  if (!config || config.alert_rules_seeded) return;
+
+  if (!(await AlertRule.exists({}))) {
+    await AlertRule.insertMany(
+      DEFAULT_RULES.map((rule) => ({
+        ...rule,
+        channels: hook.NOTIFY_CHANNELS,
+      }))
+    );
+    console.log(`[Alert] Created ${DEFAULT_RULES.length} default rules.`);
+  }
+  await mongoose
+    .model("SystemConfig")
+    .updateOne({ key: config.key }, { $set: { alert_rules_seeded: true } });
+  config.alert_rules_seeded = true;
+}
+
+// 评估所有启用的规则；停用的规则、已归档或不在作用范围内的项目，其遗留状态一并结束
+async function runAlertRules() {
+  await seedDefaultRules();
+
+  const rules = await AlertRule.find().lean();
+  if (rules.length === 0) return;
+
+  const projects = await Project.find({ archived: false });
+  const now = Date.now();
+
+  for (const rule of rules) {
+    if (!rule.enabled) {
+      await closeStates(rule, {}, "disabled");
+      continue;
+    }
+
+    const targets = rule.project
+      ? projects.filter((p) => String(p._id) === String(rule.project))
+      : projects;
+    await closeStates(
+      rule,
+      { project: { $nin: targets.map((p) => p._id) } },
+      "out_of_scope"
+    );
+
+    for (const project of targets) {
+      try {
+        await evaluateRule(rule, project, now);
+      } catch (error) {
+        console.error(
+          `[Alert] Failed to evaluate ${rule.name} for ${project.slug}:`,
+          error
+        );
+      }
+    }
+  }
+}
+
+// ==========================================
+// 4. API 路由定义 (/api/admin/alert-rules, /api/admin/alerts)
+// ==========================================
+
+async function loadRule(req, res) {
+  const rule = mongoose.isValidObjectId(req.params.id)
+    ? await AlertRule.findById(req.params.id)
+    : null;
+  if (!rule) {
+    res.status(404).json({ success: false, error: "Alert rule not found" });
+    return null;
+  }
+  return rule;
+}
+
+// 解析请求体中的 project，未指定时为 null（全部项目），找不到时返回 false
+async function loadRuleProject(req, res) {
+  if (!req.body?.project) return null;
+  const project = await findProject(req.body.project);
+  if (!project) {
+    res.status(404).json({ success: false, error: "Project not found" });
+    return false;
+  }
+  return project;
+}
+
+// 规则列表：?project= 时只返回作用于该项目的规则（含全局规则），附带当前状态
+router.get("/alert-rules", requireRole("viewer"), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.project) {
+      const project = await findProject(req.query.project);
+      if (!project) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Project not found" });
+      }
+      filter.project = { $in: [project._id, null] };
+    }
+
+    const rules = await AlertRule.find(filter).sort({ created_at: 1 }).lean();
+    const states = await AlertState.find({
+      rule: { $in: rules.map((r) => r._id) },
+    }).lean();
+
+    res.json({
+      success: true,
+      data: rules.map((rule) => ({
+        ...rule,
+        states: states.filter((s) => String(s.rule) === String(rule._id)),
+      })),
+    });
+  } catch (error) {
+    console.error("[Alert] List error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 新建规则：{ project?, name, metric, filters, window_minutes, comparison, threshold, ... }
+router.post("/alert-rules", requireRole("editor"), async (req, res) => {
+  const parsed = parseRule(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ success: false, error: parsed.error });
+  }
+
+  try {
+    const project = await loadRuleProject(req, res);
+    if (project === false) return;
+
+    const rule = await AlertRule.create({
+      ...parsed.rule,
+      project: project ? project._id : undefined,
+    });
+    console.log(`[Alert] Rule ${rule.name} created.`);
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    console.error("[Alert] Create error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 修改规则（整体替换）；条件变化后下一次评估按新条件判断是否恢复
+router.put("/alert-rules/:id", requireRole("editor"), async (req, res) => {
+  const parsed = parseRule(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ success: false, error: parsed.error });
+  }
+
+  try {
+    const rule = await loadRule(req, res);
+    if (!rule) return;
+
+    if (req.body.project !== undefined) {
+      const project = await loadRuleProject(req, res);
+      if (project === false) return;
+      rule.project = project ? project._id : undefined;
+    }
+
+    rule.set({ ...parsed.rule, updated_at: new Date() });
+    await rule.save();
+
+    // 停用后结束全部状态；作用范围缩小到单个项目后，结束其他项目的状态
+    if (!rule.enabled) {
+      await closeStates(rule, {}, "disabled");
+    } else if (rule.project) {
+      await closeStates(
+        rule,
+        { project: { $ne: rule.project } },
+        "out_of_scope"
+      );
+    }
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    console.error("[Alert] Update error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 删除规则（历史记录保留，随 TTL 过期）
+router.delete("/alert-rules/:id", requireRole("editor"), async (req, res) => {
+  try {
+    const rule = await loadRule(req, res);
+    if (!rule) return;
+
+    await closeStates(rule, {}, "deleted");
+    await rule.deleteOne();
+    console.log(`[Alert] Rule ${rule.name} deleted.`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("[Alert] Delete error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 当前处于告警中的（规则, 项目）
+router.get("/alerts/active", requireRole("viewer"), async (req, res) => {
+  try {
+    const filter = { status: "firing" };
+    if (req.query.project) {
+      const project = await findProject(req.query.project);
+      if (!project) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Project not found" });
+      }
+      filter.project = project._id;
+    }
+
+    const states = await AlertState.find(filter)
+      .populate("rule", "name metric comparison threshold window_minutes")
+      .populate("project", "slug name")
+      .sort({ since: -1 })
+      .lean();
+    res.json({ success: true, data: states });
+  } catch (error) {
+    console.error("[Alert] Active error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 告警历史：?project=&rule=&status=fired|resolved&limit=（默认 100，最多 500）
+router.get("/alerts/history", requireRole("viewer"), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.project) {
+      const project = await findProject(req.query.project);
+      if (!project) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Project not found" });
+      }
+      filter.project = project._id;
+    }
+    if (req.query.rule) {
+      if (!mongoose.isValidObjectId(req.query.rule)) {
+        return res.status(400).json({ success: false, error: "Invalid rule" });
+      }
+      filter.rule = req.query.rule;
+    }
+    if (req.query.status) {
+      if (!["fired", "resolved"].includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          error: "status must be fired or resolved",
+        });
+      }
+      filter.status = req.query.status;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const history = await AlertHistory.find(filter)
+      .populate("project", "slug name")
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .lean();
+    res.json({ success: true, data: history });
+  } catch (error) {
+    console.error("[Alert] History error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// ==========================================
+// 5. 初始化
+// ==========================================
+
+let running = false;
+
+const initAlerts = (app) => {
+  app.use("/api/admin", router);
+
+  mongoose.connection.once("open", () => {
+    // 每分钟评估一次全部规则；上一轮未结束时跳过
+    setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        await runAlertRules();
+      } catch (error) {
+        console.error("[Alert] Error in alert evaluation:", error);
+      } finally {
+        running = false;
+      }
+    }, MINUTE);
+  });
+};
+
+module.exports = {
+  AlertRule,
+  AlertState,
+  AlertHistory,
+  initAlerts,
+  parseRule,
+  evaluateRule,
+  runAlertRules,
+};
+
+// --- END OF FILE alerts.js ---
@@ -0,0 +1,497 @@
+// --- START OF FILE auth.js ---
+//
+// 后台账号与权限：账号密码登录后签发有时效的会话 Token，
+// 另可创建长期有效的 API Token 供脚本使用。
+// 角色：viewer 只读统计，editor 可修改配置，owner 可重置数据并管理账号。
+
+const crypto = require("crypto");
+const express = require("express");
+const mongoose = require("mongoose");
+const rateLimit = require("express-rate-limit");
+
+const router = express.Router();
+const adminRouter = express.Router();
+
+// ==========================================
+// 1. 数据模型定义
+// ==========================================
+const ROLES = ["viewer", "editor", "owner"];
+
+const AdminUserSchema = new mongoose.Schema({
+  username: { type: String, unique: true, required: true },
+  password_hash: { type: String, required: true },
+  role: { type: String, enum: ROLES, default: "viewer" },
+  disabled: { type: Boolean, default: false },
+  last_login_at: Date,
+  created_at: { type: Date, default: Date.now },
+});
+
+const AdminUser = mongoose.model("AdminUser", AdminUserSchema);
+
+const AdminTokenSchema = new mongoose.Schema({
+  // 只保存 Token 的 SHA-256，明文仅在创建时返回一次
+  token_hash: { type: String, unique: true, required: true },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "AdminUser",
+    required: true,
+  },
+  type: { type: String, enum: ["session", "api"], default: "session" },
+  name: { type: String, default: "" },
+  expires_at: Date,
+  revoked_at: Date,
+  last_used_at: Date,
+  created_at: { type: Date, default: Date.now },
+});
+
+// 过期的 Token 由 MongoDB 自动清理（未设置 expires_at 的不会被清理）
+AdminTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const AdminToken = mongoose.model("AdminToken", AdminTokenSchema);
+
+// ==========================================
+// 2. 工具函数
+// ==========================================
+const SESSION_TTL = 12 * 60 * 60 * 1000; // 登录会话有效期 12 小时
+const MIN_PASSWORD_LENGTH = 8;
+
+// 登录失败次数限制（按 IP，登录成功的请求不计入），防止暴力破解密码
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  skipSuccessfulRequests: true,
+  message: {
+    success: false,
+    error: "Too many failed login attempts, please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { trustProxy: false },
+});
+
+// 账号与密码必须是非空字符串（避免 { "$ne": null } 之类的对象进入查询）
+function isCredential(value) {
+  return typeof value === "string" && value.length > 0;
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+async function issueToken(userId, type, options = {}) {
+  const token = crypto.randomBytes(32).toString("hex");
+  const doc = await new AdminToken({
+    token_hash: hashToken(token),
+    user: userId,
+    type,
+    name: options.name || "",
+    expires_at: options.expires_at,
+  }).save();
+  return { token, doc };
+}
+
+// 从请求头读取 Token：X-Admin-Token 或 Authorization（可带 Bearer 前缀）
+function readToken(req) {
+  const raw = req.headers["x-admin-token"] || req.headers["authorization"];
+  if (!raw) return null;
+  return raw.replace(/^Bearer\s+/i, "").trim() || null;
+}
+
+function hasRole(userRole, required) {
+  return ROLES.indexOf(userRole) >= ROLES.indexOf(required);
+}
+
+function publicUser(user) {
+  return {
+    _id: user._id,
+    username: user.username,
+    role: user.role,
+    disabled: user.disabled,
+    last_login_at: user.last_login_at,
+    created_at: user.created_at,
+  };
+}
+
+function publicToken(token) {
+  return {
+    _id: token._id,
+    user: token.user,
+    type: token.type,
+    name: token.name,
+    expires_at: token.expires_at,
+    revoked_at: token.revoked_at,
+    last_used_at: token.last_used_at,
+    created_at: token.created_at,
+  };
+}
+
+// ==========================================
+// 3. 权限中间件
+// ==========================================
+
+// 校验 Token 并写入 req.admin；同一请求只校验一次
+async function authenticate(req) {
+  if (req.admin) return req.admin;
+
+  const token = readToken(req);
+  if (!token) return null;
+
+  const doc = await AdminToken.findOne({
+    token_hash: hashToken(token),
+    revoked_at: null,
+  }).populate("user");
+
+  if (!doc || !doc.user || doc.user.disabled) return null;
+  if (doc.expires_at && doc.expires_at < new Date()) return null;
+
+  AdminToken.updateOne(
+    { _id: doc._id },
+    { $set: { last_used_at: new Date() } }
+  ).catch(() => {});
+
+  req.admin = { user: doc.user, token: doc };
+  return req.admin;
+}
+
+// 日志中的客户端 IP 遵循隐私模式（privacy.js 依赖本模块，这里按需引用以避免循环依赖）
+function logIP(req) {
+  return require("./privacy").maskIP(req.ip);
+}
+
+// 要求至少具备 role 角色
+const requireRole = (role) => async (req, res, next) => {
+  try {
+    const admin = await authenticate(req);
+
+    if (!admin) {
+      console.warn(
+        `[Auth] Failed. IP: ${logIP(req)}, Path: ${req.originalUrl}`
+      );
+      return res
+        .status(401)
+        .json({ success: false, error: "Access Denied: Unauthorized" });
+    }
+
+    if (!hasRole(admin.user.role, role)) {
+      console.warn(
+        `[Auth] Forbidden. User: ${admin.user.username}, Required: ${role}`
+      );
+      return res
+        .status(403)
+        .json({ success: false, error: "Access Denied: Insufficient role" });
+    }
+
+    next();
+  } catch (error) {
+    console.error("[Auth] Error verifying token:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+};
+
+// ==========================================
+// 4. 登录 / 登出接口 (/api/auth)
+// ==========================================
+
+router.post("/login", loginLimiter, async (req, res) => {
+  const { username, password } = req.body || {};
+
+  if (!isCredential(username) || !isCredential(password)) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Missing username or password" });
+  }
+
+  try {
+    const user = await AdminUser.findOne({ username });
+    const valid =
+      user && !user.disabled && verifyPassword(password, user.password_hash);
+    if (!valid) {
+      console.warn(`[Auth] Login failed. IP: ${logIP(req)}, User: ${username}`);
+      return res
+        .status(401)
+        .json({ success: false, error: "Invalid username or password" });
+    }
+
+    const expires_at = new Date(Date.now() + SESSION_TTL);
+    const { token } = await issueToken(user._id, "session", { expires_at });
+
+    user.last_login_at = new Date();
+    await user.save();
+
+    console.log(`[Auth] User ${user.username} logged in.`);
+    res.json({
+      success: true,
+      data: { token, expires_at, username: user.username, role: user.role },
+    });
+  } catch (error) {
+    console.error("[Auth] Login error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+router.post("/logout", requireRole("viewer"), async (req, res) => {
+  try {
+    req.admin.token.revoked_at = new Date();
+    await req.admin.token.save();
+    res.json({ success: true, message: "Logged out." });
+  } catch (error) {
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+router.get("/me", requireRole("viewer"), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      ...publicUser(req.admin.user),
+      token_type: req.admin.token.type,
+      expires_at: req.admin.token.expires_at,
+    },
+  });
+});
+
+// ==========================================
+// 5. 账号与 Token 管理接口 (/api/admin)
+// ==========================================
+
+adminRouter.get("/users", requireRole("owner"), async (req, res) => {
+  try {
+    const users = await AdminUser.find().sort({ created_at: 1 });
+    res.json({ success: true, data: users.map(publicUser) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+adminRouter.post("/users", requireRole("owner"), async (req, res) => {
+  const { username, password, role = "viewer" } = req.body || {};
+
+  if (!isCredential(username) || !isCredential(password)) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Missing username or password" });
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    });
+  }
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ success: false, error: "Invalid role" });
+  }
+
+  try {
+    if (await AdminUser.exists({ username })) {
+      return res
+        .status(409)
+        .json({ success: false, error: "Username already exists" });
+    }
+
+    const user = await new AdminUser({
+      username,
+      password_hash: hashPassword(password),
+      role,
+    }).save();
+
+    console.log(`[Auth] User ${username} (${role}) created.`);
+    res.json({ success: true, data: publicUser(user) });
+  } catch (error) {
+    console.error("[Auth] Create user error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 修改角色 / 重置密码 / 停用账号
+adminRouter.put("/users/:id", requireRole("owner"), async (req, res) => {
+  const { role, password, disabled } = req.body || {};
+
+  try {
+    const user = mongoose.isValidObjectId(req.params.id)
+      ? await AdminUser.findById(req.params.id)
+      : null;
+    if (!user) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ success: false, error: "Invalid role" });
+      }
+      user.role = role;
+    }
+    if (password !== undefined) {
+      if (typeof password !== "string") {
+        return res
+          .status(400)
+          .json({ success: false, error: "Password must be a string" });
+      }
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+        });
+      }
+      user.password_hash = hashPassword(password);
+    }
+    if (disabled !== undefined) user.disabled = !!disabled;
+
+    await user.save();
+
+    // 修改密码或停用账号后，吊销该账号现有的全部 Token
+    if (password !== undefined || user.disabled) {
+      await AdminToken.updateMany(
+        { user: user._id, revoked_at: null },
+        { $set: { revoked_at: new Date() } }
+      );
+    }
+
+    res.json({ success: true, data: publicUser(user) });
+  } catch (error) {
+    console.error("[Auth] Update user error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 删除账号（同时吊销其全部 Token）
+adminRouter.delete("/users/:id", requireRole("owner"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+    if (req.admin.user._id.equals(req.params.id)) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Cannot delete yourself" });
+    }
+
+    const result = await AdminUser.deleteOne({ _id: req.params.id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+
+    await AdminToken.updateMany(
+      { user: req.params.id, revoked_at: null },
+      { $set: { revoked_at: new Date() } }
+    );
+
+    res.json({ success: true, message: "User deleted." });
+  } catch (error) {
+    console.error("[Auth] Delete user error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// Token 列表：owner 可查看全部，其他角色仅能查看自己的
+adminRouter.get("/tokens", requireRole("viewer"), async (req, res) => {
+  try {
+    const query = hasRole(req.admin.user.role, "owner")
+      ? {}
+      : { user: req.admin.user._id };
+    const tokens = await AdminToken.find(query).sort({ created_at: -1 });
+    res.json({ success: true, data: tokens.map(publicToken) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 为当前账号创建 API Token，明文仅返回这一次
+adminRouter.post("/tokens", requireRole("viewer"), async (req, res) => {
+  const { name = "", expires_in_days } = req.body || {};
+
+  const days = expires_in_days === undefined ? null : Number(expires_in_days);
+  if (days !== null && (!Number.isFinite(days) || days <= 0)) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Invalid expires_in_days" });
+  }
+
+  try {
+    const expires_at = days
+      ? new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+      : undefined;
+    const { token, doc } = await issueToken(req.admin.user._id, "api", {
+      name,
+      expires_at,
+    });
+
+    res.json({ success: true, data: { token, ...publicToken(doc) } });
+  } catch (error) {
+    console.error("[Auth] Create token error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+adminRouter.delete("/tokens/:id", requireRole("viewer"), async (req, res) => {
+  try {
+    const token = mongoose.isValidObjectId(req.params.id)
+      ? await AdminToken.findById(req.params.id)
+      : null;
+    const isOwner = hasRole(req.admin.user.role, "owner");
+
+    if (!token || (!isOwner && !token.user.equals(req.admin.user._id))) {
+      return res.status(404).json({ success: false, error: "Token not found" });
+    }
+
+    token.revoked_at = token.revoked_at || new Date();
+    await token.save();
+
+    res.json({ success: true, message: "Token revoked." });
+  } catch (error) {
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// ==========================================
+// 6. 初始化
+// ==========================================
+
+// 没有任何后台账号时，使用环境变量 ADMIN_USERNAME / ADMIN_PASSWORD 创建 owner
+async function bootstrapOwner() {
+  if (await AdminUser.exists({})) return;
+
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    console.warn(
+      "[Auth] No admin users found. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first owner."
+    );
+    return;
+  }
+
+  await new AdminUser({
+    username: ADMIN_USERNAME,
+    password_hash: hashPassword(ADMIN_PASSWORD),
+    role: "owner",
+  }).save();
+  console.log(`[Auth] Owner account ${ADMIN_USERNAME} created.`);
+}
+
+const initAuth = (app) => {
+  app.use("/api/auth", router);
+  app.use("/api/admin", adminRouter);
+
+  mongoose.connection.once("open", () => {
+    bootstrapOwner().catch((error) =>
+      console.error("[Auth] Failed to bootstrap owner:", error)
+    );
+  });
+};
+
+module.exports = { initAuth, requireRole, hasRole, authenticate };
+
+// --- END OF FILE auth.js ---
@@ -0,0 +1,356 @@
+// --- START OF FILE baseline.js ---
+//
+// 流量基线：按"周内小时"（hour-of-week）从历史数据学习指标的正常范围。
+//
+// 某一时段的期望值取前 lookback_weeks 周同一时段的取值。周按配置时区的自然日平移
+// （同一星期几的同一本地钟点），跨夏令时切换时仍对齐到本地时间：
+//   expected = 样本均值
+//   band     = expected ± sensitivity × max(样本标准差, 噪声下限)
+// 噪声下限避免历史完全一致时（标准差为 0）任何波动都被判为异常：
+// 计数类指标取 √expected（泊松噪声，至少为 1），比值类指标取 expected 的 10%。
+// 项目最早的事件之前的周、以及本地时刻不存在的周（夏令时跳过的那一小时）不计入样本，
+// 样本少于 MIN_SAMPLES 时不给出基线。
+//
+// 告警规则（alerts.js，mode = baseline）按规则窗口取样；
+// /api/stats/baseline 按小时返回实际值与基线带，供仪表盘绘制。
+
+const express = require("express");
+const { TrackEvent } = require("./models");
+const {
+  getDateRangeQuery,
+  eventMatch,
+  timeZoneOffset,
+  shiftLocalDays,
+} = require("./utils");
+
+const router = express.Router();
+
+const HOUR = 60 * 60 * 1000;
+const DEFAULT_LOOKBACK_WEEKS = 4;
+const MIN_LOOKBACK_WEEKS = 2;
+const MAX_LOOKBACK_WEEKS = 12;
+const MIN_SAMPLES = 2;
+const DEFAULT_SENSITIVITY = 3;
+const MAX_SENSITIVITY = 10;
+const MAX_RANGE_DAYS = 31;
+const FIRST_EVENT_TTL = 60 * 60 * 1000;
+
+// 支持基线的指标（与告警规则一致）；比值类指标的噪声下限不同
+const BASELINE_METRICS = [
+  "unique_visitors",
+  "events",
+  "page_views",
+  "events_per_visitor",
+];
+const RATIO_METRICS = ["events_per_visitor"];
+
+// 过滤条件 -> 事件表字段（与告警规则一致）
+const FILTER_FIELDS = {
+  page: "page",
+  country: "location.country",
+  event_type: "event_type",
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// ==========================================
+// 1. 基线计算
+// ==========================================
+
+// 由历史样本计算基线带，样本不足时返回 null
+function computeBand(samples, metric, sensitivity = DEFAULT_SENSITIVITY) {
+  if (samples.length < MIN_SAMPLES) return null;
+
+  const mean = samples.reduce((sum, v) => sum + v, 0) / samples.length;
+  const sd = Math.sqrt(
+    samples.reduce((sum, v) => sum + (v - mean) ** 2, 0) / samples.length
+  );
+  const floor = RATIO_METRICS.includes(metric)
+    ? Math.max(mean * 0.1, 0.1)
+    : Math.max(Math.sqrt(mean), 1);
+  const spread = sensitivity * Math.max(sd, floor);
+
+  return {
+    expected: round2(mean),
+    low: round2(Math.max(0, mean - spread)),
+    high: round2(mean + spread),
+    samples: samples.length,
+  };
+}
+
+// 实际值相对基线带的方向：above / below，在范围内时为 null
+function bandDirection(value, band) {
+  if (!band) return null;
+  if (value > band.high) return "above";
+  if (value < band.low) return "below";
+  return null;
+}
+
+// 项目最早的事件时间（缓存 FIRST_EVENT_TTL），没有事件时为 null
+const firstEventCache = new Map();
+
+async function firstEventTime(projectId) {
+  const key = String(projectId);
+  const cached = firstEventCache.get(key);
+  if (cached && Date.now() - cached.loaded_at < FIRST_EVENT_TTL) {
+    return cached.time;
+  }
+
+  const first = await TrackEvent.findOne({ project: projectId })
+    .sort({ created_at: 1 })
+    .select("created_at")
+    .lean();
+  const time = first ? first.created_at.getTime() : null;
+  firstEventCache.set(key, { time, loaded_at: Date.now() });
+  return time;
+}
+
+// 时刻 time 在 tz 中前 lookbackWeeks 周同一本地时刻对应的时刻（由近到远）。
+// 以 time 结束、长 span 的窗口平移后早于项目最早事件的周不计入，本地时刻不存在的周跳过
+function sampleTimes(time, firstEvent, lookbackWeeks, tz, span = 0) {
+  const times = [];
+  if (firstEvent === null) return times;
+  for (let k = 1; k <= lookbackWeeks; k++) {
+    const shifted = shiftLocalDays(new Date(time), -7 * k, tz);
+    if (shifted && shifted.getTime() - span >= firstEvent) {
+      times.push(shifted.getTime());
+    }
+  }
+  return times;
+}
+
+// ==========================================
+// 2. 按小时的基线序列
+// ==========================================
+
+// 按 tz 中的本地整点统计访客数与事件数（半小时等非整点偏移的时区同样按本地整点分桶）；
+// 分组键带 UTC 偏移，夏令时回拨时重复的本地钟点也能区分
+async function hourlyCounts(match, tz) {
+  const rows = await TrackEvent.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          hour: {
+            $dateToString: {
+              format: "%Y-%m-%dT%H:00:00%z",
+              date: "$created_at",
+              timezone: tz,
+            },
+          },
+          visitor: "$visitor",
+        },
+        events: { $sum: 1 },
+      },
+    },
+    {
+      $group: {
+        _id: "$_id.hour",
+        visitors: { $sum: 1 },
+        events: { $sum: "$events" },
+      },
+    },
+  ]);
+  // "+0530" -> "+05:30"，转换为 ISO 8601 可解析的偏移
+  return new Map(
+    rows.map((row) => [
+      new Date(row._id.replace(/([+-]\d{2})(\d{2})$/, "$1:$2")).getTime(),
+      row,
+    ])
+  );
+}
+
+// 时刻所在的 tz 本地整点
+function floorLocalHour(time, tz) {
+  const offset = timeZoneOffset(new Date(time), tz);
+  return time - ((((time + offset) % HOUR) + HOUR) % HOUR);
+}
+
+function metricValue(metric, counts) {
+  if (!counts) return 0;
+  switch (metric) {
+    case "unique_visitors":
+      return counts.visitors;
+    case "events_per_visitor":
+      return counts.visitors > 0 ? round2(counts.events / counts.visitors) : 0;
+    default:
+      return counts.events;
+  }
+}
+
+// 区间内每个小时的实际值与基线带
+async function hourlyBaseline(
+  projectId,
+  baseMatch,
+  { metric, start, end, lookbackWeeks, sensitivity, tz }
+) {
+  const now = Date.now();
+  const firstHour = floorLocalHour(start, tz);
+  const lastHour = floorLocalHour(Math.min(end, now), tz);
+
+  // 多取一小时，覆盖夏令时切换造成的平移差
+  const match = {
+    ...baseMatch,
+    created_at: {
+      $gte: new Date(firstHour - lookbackWeeks * 7 * 24 * HOUR - HOUR),
+      $lt: new Date(lastHour + HOUR),
+    },
+  };
+  if (metric === "page_views" && !match.event_type) match.event_type = "view";
+
+  const counts = await hourlyCounts(match, tz);
+  const firstEvent = await firstEventTime(projectId);
+
+  const rows = [];
+  for (let hour = firstHour; hour <= lastHour; hour += HOUR) {
+    const samples = sampleTimes(hour, firstEvent, lookbackWeeks, tz).map(
+      (time) => metricValue(metric, counts.get(time))
+    );
+    const band = computeBand(samples, metric, sensitivity);
+    const actual = metricValue(metric, counts.get(hour));
+    // 尚未结束的小时数据不完整，不判断异常
+    const partial = hour + HOUR > now;
+    rows.push({
+      time: new Date(hour),
+      actual,
+      expected: band ? band.expected : null,
+      low: band ? band.low : null,
+      high: band ? band.high : null,
+      anomaly: partial ? null : bandDirection(actual, band),
+      partial,
+    });
+  }
+  return rows;
+}
+
+// ==========================================
+// 3. 参数校验
+// ==========================================
+
+function parseLookbackWeeks(value) {
+  const weeks = value ?? DEFAULT_LOOKBACK_WEEKS;
+  return Number.isInteger(weeks) &&
+    weeks >= MIN_LOOKBACK_WEEKS &&
+    weeks <= MAX_LOOKBACK_WEEKS
+    ? weeks
+    : null;
+}
+
+function parseSensitivity(value) {
+  const sensitivity = value ?? DEFAULT_SENSITIVITY;
+  return typeof sensitivity === "number" &&
+    Number.isFinite(sensitivity) &&
+    sensitivity > 0 &&
+    sensitivity <= MAX_SENSITIVITY
+    ? sensitivity
+    : null;
+}
+
+// ==========================================
+// 4. API 路由定义 (/api/stats/baseline)
+// ==========================================
+
+// ?metric=&startDate=&endDate=&page=&country=&event_type=&lookback_weeks=&sensitivity=
+// 与其他统计接口一致，默认排除机器人流量（?include_bots=1 时包含），并遵循 ?segment=
+router.get("/baseline", async (req, res) => {
+  const metric = req.query.metric || "events";
+  if (!BASELINE_METRICS.includes(metric)) {
+    return res.status(400).json({
+      success: false,
+      error: `metric must be one of: ${BASELINE_METRICS.join(", ")}`,
+    });
+  }
+
+  const lookbackWeeks = parseLookbackWeeks(
+    req.query.lookback_weeks !== undefined
+      ? Number(req.query.lookback_weeks)
+      : undefined
+  );
+  if (lookbackWeeks === null) {
+    return res.status(400).json({
+      success: false,
+      error: `lookback_weeks must be an integer between ${MIN_LOOKBACK_WEEKS} and ${MAX_LOOKBACK_WEEKS}`,
+    });
+  }
+  const sensitivity = parseSensitivity(
+    req.query.sensitivity !== undefined
+      ? Number(req.query.sensitivity)
+      : undefined
+  );
+  if (sensitivity === null) {
+    return res.status(400).json({
+      success: false,
+      error: `sensitivity must be a number between 0 and ${MAX_SENSITIVITY}`,
+    });
+  }
+
+  const range = getDateRangeQuery(
+    req.query.startDate,
+    req.query.endDate,
+    req.tz
+  );
+  if (range.$lte - range.$gte > MAX_RANGE_DAYS * 24 * HOUR) {
+    return res.status(400).json({
+      success: false,
+      error: `Date range must not exceed ${MAX_RANGE_DAYS} days`,
+    });
+  }
+
+  try {
+    const filters = {};
+    Object.entries(FILTER_FIELDS).forEach(([key, field]) => {
+      if (typeof req.query[key] === "string" && req.query[key]) {
+        filters[field] = req.query[key];
+      }
+    });
+
+    const rows = await hourlyBaseline(
+      req.project._id,
+      eventMatch(req, filters),
+      {
+        metric,
+        start: range.$gte.getTime(),
+        end: range.$lte.getTime(),
+        lookbackWeeks,
+        sensitivity,
+        tz: req.tz,
+      }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        metric,
+        lookback_weeks: lookbackWeeks,
+        sensitivity,
+        timezone: req.tz,
+        rows,
+      },
+    });
+  } catch (error) {
+    console.error("[Baseline] Error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 挂载到 /api/stats（需在权限校验与项目解析中间件之后调用）
+const initBaseline = (app) => {
+  app.use("/api/stats", router);
+};
+
+module.exports = {
+  FILTER_FIELDS,
+  DEFAULT_LOOKBACK_WEEKS,
+  MIN_LOOKBACK_WEEKS,
+  MAX_LOOKBACK_WEEKS,
+  MAX_SENSITIVITY,
+  initBaseline,
+  computeBand,
+  bandDirection,
+  firstEventTime,
+  sampleTimes,
+  parseLookbackWeeks,
+  parseSensitivity,
+};
+
+// --- END OF FILE baseline.js ---
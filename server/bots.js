@@ -0,0 +1,208 @@
+// --- START OF FILE bots.js ---
+//
+// 机器人 / 自动化流量识别：打点入库后按规则为访客打分，得分达到阈值即标记为机器人，
+// 其事件与会话同步打上 is_bot 标记。统计接口与报表默认排除机器人流量，
+// 统计接口可通过 ?include_bots=1 包含。
+//
+// 规则（命中后累加权重，最高为 1）：
+// - crawler_ua：User-Agent 命中已知爬虫 / 脚本特征
+// - headless：User-Agent 含无头浏览器 / 自动化工具标记
+// - missing_ua：没有 User-Agent
+// - high_rate：一分钟内的事件数超出正常人的操作速度
+// - zero_stay：多次 view 事件的停留时长全部为 0
+//
+// 命中的规则会累积保存，访客一旦被标记为机器人不再自动撤销。
+
+const express = require("express");
+const { UserTracking, TrackEvent, Session } = require("./models");
+const { getDateRangeQuery, trafficFilter } = require("./utils");
+const { markVisitorRollupsDirty } = require("./rollups");
+
+const router = express.Router();
+
+const BOT_THRESHOLD = 0.7;
+const RULE_WEIGHTS = {
+  crawler_ua: 1,
+  headless: 0.8,
+  missing_ua: 0.5,
+  // 超速操作单独命中即足以判定为机器人
+  high_rate: 0.7,
+  zero_stay: 0.4,
+};
+
+const CRAWLER_UA =
+  /bot\b|crawl|spider|slurp|scrapy|facebookexternalhit|curl\/|wget\/|python-requests|python-urllib|aiohttp|httpclient|okhttp|go-http-client|java\/|libwww|axios\/|node-fetch|postmanruntime|insomnia/i;
+const HEADLESS_UA =
+  /headlesschrome|phantomjs|puppeteer|playwright|selenium|webdriver|slimerjs/i;
+
+const RATE_WINDOW = 60 * 1000;
+const MAX_EVENTS_PER_WINDOW = 120;
+const MIN_ZERO_STAY_VIEWS = 5;
+
+// ==========================================
+// 1. 打分
+// ==========================================
+
+// 仅根据 User-Agent 即可判断的规则
+function userAgentReasons(userAgent) {
+  if (!userAgent) return ["missing_ua"];
+  const reasons = [];
+  if (CRAWLER_UA.test(userAgent)) reasons.push("crawler_ua");
+  if (HEADLESS_UA.test(userAgent)) reasons.push("headless");
+  return reasons;
+}
+
+function scoreReasons(reasons) {
+  const score = reasons.reduce((sum, r) => sum + (RULE_WEIGHTS[r] || 0), 0);
+  return Math.min(parseFloat(score.toFixed(2)), 1);
+}
+
+// 新事件入库后重新评估访客（visitor 需包含 _id、project、is_bot、bot_reasons、stats）
+async function evaluateVisitor(visitor, userAgent, tracks) {
+  if (visitor.is_bot) return;
+
+  const reasons = new Set(visitor.bot_reasons || []);
+  userAgentReasons(userAgent).forEach((r) => reasons.add(r));
+
+  // 以本批最晚的事件为终点，统计前一分钟内的事件数
+  const last = new Date(Math.max(...tracks.map((t) => t.created_at)));
+  const recent = await TrackEvent.countDocuments({
+    visitor: visitor._id,
+    created_at: { $gt: new Date(last - RATE_WINDOW), $lte: last },
+  });
+  if (recent > MAX_EVENTS_PER_WINDOW) reasons.add("high_rate");
+
+  const views = visitor.stats?.view_count || 0;
+  if (
+    views >= MIN_ZERO_STAY_VIEWS &&
+    visitor.stats?.zero_stay_views === views
+  ) {
+    reasons.add("zero_stay");
+  }
+
+  if (reasons.size === (visitor.bot_reasons || []).length) return;
+
+  const botReasons = [...reasons];
+  const score = scoreReasons(botReasons);
+  const isBot = score >= BOT_THRESHOLD;
+
+  await UserTracking.updateOne(
+    { _id: visitor._id },
+    { $set: { bot_reasons: botReasons, bot_score: score, is_bot: isBot } }
+  );
+
+  if (isBot) {
+    await flagVisitorTraffic(visitor);
+    console.log(
+      `[Bot] Visitor ${visitor._id} flagged (score ${score}: ${botReasons.join(", ")})`
+    );
+  }
+}
+
+// 将访客已有的事件与会话标记为机器人流量，并重算相关预聚合
+async function flagVisitorTraffic(visitor) {
+  await TrackEvent.updateMany(
+    { visitor: visitor._id },
+    { $set: { is_bot: true } }
+  );
+  await Session.updateMany(
+    { visitor: visitor._id },
+    { $set: { is_bot: true } }
+  );
+  await markVisitorRollupsDirty(visitor);
+}
+
+// ==========================================
+// 2. 中间件
+// ==========================================
+
+// 统计接口是否包含机器人流量：?include_bots=1|true
+function resolveBotFilter(req, res, next) {
+  const value = String(req.query.include_bots || "").toLowerCase();
+  req.includeBots = value === "1" || value === "true";
+  next();
+}
+
+// ==========================================
+// 3. API 路由定义
+// ==========================================
+
+// 机器人流量汇总：区间内机器人事件数与占比、活跃的机器人访客数、
+// 命中规则分布与最常见的 User-Agent（startDate / endDate 为区间，默认今天）
+router.get("/bots", async (req, res) => {
+  const { startDate, endDate } = req.query;
+  try {
+    const range = getDateRangeQuery(startDate, endDate, req.tz);
+    // 汇总本身需要包含机器人流量，其余过滤（导入、分群）照常生效
+    const match = {
+      project: req.project._id,
+      ...trafficFilter({
+        includeBots: true,
+        excludeImports: req.excludeImports,
+        segment: req.segment,
+      }),
+      created_at: range,
+    };
+
+    const [totals, botVisitorIds] = await Promise.all([
+      TrackEvent.aggregate([
+        { $match: match },
+        { $group: { _id: { $eq: ["$is_bot", true] }, count: { $sum: 1 } } },
+      ]),
+      TrackEvent.distinct("visitor", { ...match, is_bot: true }),
+    ]);
+
+    const botEvents = totals.find((t) => t._id === true)?.count || 0;
+    const totalEvents = totals.reduce((sum, t) => sum + t.count, 0);
+
+    const visitors = { _id: { $in: botVisitorIds } };
+    const [reasons, userAgents] = await Promise.all([
+      UserTracking.aggregate([
+        { $match: visitors },
+        { $unwind: "$bot_reasons" },
+        { $group: { _id: "$bot_reasons", count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+      ]),
+      UserTracking.aggregate([
+        { $match: visitors },
+        { $group: { _id: "$user_agent", count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: 10 },
+      ]),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        total_events: totalEvents,
+        bot_events: botEvents,
+        bot_event_share:
+          totalEvents > 0
+            ? parseFloat(((botEvents / totalEvents) * 100).toFixed(1))
+            : 0,
+        bot_visitors: botVisitorIds.length,
+        reasons,
+        user_agents: userAgents,
+      },
+    });
+  } catch (error) {
+    console.error("[Bot] Summary error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 挂载到 /api/stats（需在权限校验与项目解析中间件之后调用）
+const initBots = (app) => {
+  app.use("/api/stats", router);
+};
+
+module.exports = {
+  initBots,
+  evaluateVisitor,
+  resolveBotFilter,
+  userAgentReasons,
+  scoreReasons,
+  BOT_THRESHOLD,
+};
+
+// --- END OF FILE bots.js ---
@@ -0,0 +1,197 @@
+// --- START OF FILE cohorts.js ---
+//
+// 同期群留存：按 profile.first_login 所在的天 / 周 / 月对访客分组，
+// 统计每个同期群在之后各周期内仍有活动（产生事件）的访客数，生成三角矩阵。
+
+const express = require("express");
+const { UserTracking, TrackEvent } = require("./models");
+const {
+  DEFAULT_TIMEZONE,
+  formatDay,
+  startOfDay,
+  trafficFilter,
+} = require("./utils");
+
+const router = express.Router();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 每种粒度的默认 / 最大同期群数量
+const GRANULARITIES = {
+  day: { default: 14, max: 90 },
+  week: { default: 8, max: 52 },
+  month: { default: 6, max: 24 },
+};
+
+// "YYYY-MM-DD" -> 周期序号（天：距 1970-01-01 的天数；周：以周一为起点；月：年*12+月）
+function periodIndex(dayStr, granularity) {
+  const date = new Date(`${dayStr}T00:00:00Z`);
+  const days = Math.floor(date.getTime() / DAY);
+
+  if (granularity === "day") return days;
+  // 1970-01-01 是周四，+3 使每周从周一开始
+  if (granularity === "week") return Math.floor((days + 3) / 7);
+  return date.getUTCFullYear() * 12 + date.getUTCMonth();
+}
+
+// 周期序号 -> 该周期第一天 "YYYY-MM-DD"
+function periodStart(index, granularity) {
+  let date;
+  if (granularity === "day") date = new Date(index * DAY);
+  else if (granularity === "week") date = new Date((index * 7 - 3) * DAY);
+  else date = new Date(Date.UTC(Math.floor(index / 12), index % 12, 1));
+  return date.toISOString().split("T")[0];
+}
+
+// 生成同期群留存矩阵（周期边界按 options.timezone 计算）
+// 返回 { granularity, cohorts: [{ cohort, size, retained: [], rates: [] }] }，
+// retained[k] 为第 k 个周期后仍活跃的访客数（k = 0 即首访周期）
+async function buildCohortMatrix(projectId, options = {}) {
+  const granularity = GRANULARITIES[options.granularity]
+    ? options.granularity
+    : "week";
+  const limits = GRANULARITIES[granularity];
+  const count = Math.min(
+    Math.max(parseInt(options.cohorts) || limits.default, 1),
+    limits.max
+  );
+
+  const tz = options.timezone || DEFAULT_TIMEZONE;
+  // 默认排除机器人流量（options.includeBots / excludeImports / segment 见 utils.trafficFilter）
+  const trafficMatch = trafficFilter(options);
+
+  const lastIndex = periodIndex(formatDay(new Date(), tz), granularity);
+  const firstIndex = lastIndex - count + 1;
+  const startTime = startOfDay(periodStart(firstIndex, granularity), tz);
+
+  // 1. 区间内首次访问的访客 -> 所属同期群
+  const visitors = await UserTracking.aggregate([
+    {
+      $match: {
+        project: projectId,
+        "profile.first_login": { $gte: startTime },
+        ...trafficFilter(options, "_id"),
+      },
+    },
+    {
+      $project: {
+        day: {
+          $dateToString: {
+            format: "%Y-%m-%d",
+            date: "$profile.first_login",
+            timezone: tz,
+          },
+        },
+      },
+    },
+  ]);
+
+  const cohortOf = new Map();
+  const cohorts = [];
+  for (let i = firstIndex; i <= lastIndex; i++) {
+    cohorts.push({
+      cohort: periodStart(i, granularity),
+      size: 0,
+      retained: new Array(lastIndex - i + 1).fill(0),
+    });
+  }
+
+  visitors.forEach((v) => {
+    const index = periodIndex(v.day, granularity);
+    if (index < firstIndex || index > lastIndex) return;
+    cohortOf.set(String(v._id), index);
+    cohorts[index - firstIndex].size++;
+  });
+
+  // 2. 这些访客在各周期内的活跃情况（访客 + 活跃日去重）
+  const activity = TrackEvent.aggregate([
+    {
+      $match: {
+        project: projectId,
+        created_at: { $gte: startTime },
+        ...trafficMatch,
+      },
+    },
+    {
+      $group: {
+        _id: {
+          visitor: "$visitor",
+          day: {
+            $dateToString: {
+              format: "%Y-%m-%d",
+              date: "$created_at",
+              timezone: tz,
+            },
+          },
+        },
+      },
+    },
+  ])
+    .allowDiskUse(true)
+    .cursor();
+
+  const seen = new Set();
+  for await (const row of activity) {
+    const visitorKey = String(row._id.visitor);
+    const cohortIndex = cohortOf.get(visitorKey);
+    if (cohortIndex === undefined) continue;
+
+    const offset = periodIndex(row._id.day, granularity) - cohortIndex;
+    if (offset < 0 || offset > lastIndex - cohortIndex) continue;
+
+    // 同一访客在同一周期内只计一次
+    const key = `${visitorKey}:${offset}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    cohorts[cohortIndex - firstIndex].retained[offset]++;
+  }
+
+  cohorts.forEach((c) => {
+    c.rates = c.retained.map((n) =>
+      c.size > 0 ? parseFloat(((n / c.size) * 100).toFixed(1)) : 0
+    );
+  });
+
+  return { granularity, timezone: tz, cohorts };
+}
+
+// ==========================================
+// API 路由定义
+// ==========================================
+
+// 同期群留存矩阵：?granularity=day|week|month&cohorts=8
+router.get("/cohorts", async (req, res) => {
+  const { granularity = "week", cohorts } = req.query;
+
+  if (!GRANULARITIES[granularity]) {
+    return res.status(400).json({
+      success: false,
+      error: "granularity must be day, week or month",
+    });
+  }
+
+  try {
+    const data = await buildCohortMatrix(req.project._id, {
+      granularity,
+      cohorts,
+      timezone: req.tz,
+      includeBots: req.includeBots,
+      excludeImports: req.excludeImports,
+      segment: req.segment,
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error("[Cohort] Error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 挂载到 /api/stats（需在权限校验与项目解析中间件之后调用）
+const initCohorts = (app) => {
+  app.use("/api/stats", router);
+};
+
+module.exports = { initCohorts, buildCohortMatrix };
+
+// --- END OF FILE cohorts.js ---
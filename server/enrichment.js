@@ -0,0 +1,334 @@
+// --- START OF FILE enrichment.js ---
+//
+// 访客信息补全队列：打点接口只负责写入事件，新访客的地理位置等信息由后台任务异步补全。
+//
+// - 队列持久化在 MongoDB（EnrichmentJob），服务重启后未完成的任务会继续执行
+// - 每个访客最多一条任务；成功后删除，失败按指数退避重试，超过次数后标记为 failed
+// - 补全后同步更新访客档案与其事件上冗余的 location，并将相关预聚合标记为待重算
+// - 开启隐私模式时原始 IP 不写入任务，只保存在内存中，任务结束即丢弃；
+//   服务重启后这些任务取不到 IP，直接结束（可通过回填接口补救）
+
+const net = require("net");
+const express = require("express");
+const mongoose = require("mongoose");
+const schedule = require("node-schedule");
+const { UserTracking, TrackEvent } = require("./models");
+const { requireRole } = require("./auth");
+const { findProject } = require("./projects");
+const { lookupLocation } = require("./geo");
+const { markVisitorRollupsDirty } = require("./rollups");
+const hook = require("./hook");
+
+const router = express.Router();
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY = 60 * 1000; // 第 n 次失败后等待 RETRY_BASE_DELAY * 2^(n-1)
+const LOCK_TIMEOUT = 5 * 60 * 1000; // processing 超过该时间视为中断，重新领取
+const WORKER_BATCH_SIZE = 100;
+const BACKFILL_BATCH_SIZE = 500;
+
+// ==========================================
+// 1. 数据模型定义
+// ==========================================
+const EnrichmentJobSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Project",
+    required: true,
+  },
+  visitor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "UserTracking",
+    required: true,
+  },
+  ip: String,
+  status: {
+    type: String,
+    enum: ["pending", "processing", "failed"],
+    default: "pending",
+  },
+  attempts: { type: Number, default: 0 },
+  next_attempt_at: { type: Date, default: Date.now },
+  locked_at: Date,
+  last_error: String,
+  created_at: { type: Date, default: Date.now },
+});
+
+EnrichmentJobSchema.index({ visitor: 1 }, { unique: true });
+EnrichmentJobSchema.index({ status: 1, next_attempt_at: 1 });
+
+const EnrichmentJob = mongoose.model("EnrichmentJob", EnrichmentJobSchema);
+
+// ==========================================
+// 2. 入队
+// ==========================================
+
+// 隐私模式下任务的原始 IP：访客 _id -> IP
+const memoryIPs = new Map();
+
+const keepIPInMemory = () =>
+  (hook.getConfig()?.privacy_mode || "off") !== "off";
+
+// 同一访客重复入队时重置为待处理（visitor 需包含 _id 与 project）
+function enqueueOperation(visitor, ip) {
+  const inMemory = keepIPInMemory();
+  if (inMemory) memoryIPs.set(String(visitor._id), ip);
+
+  return {
+    updateOne: {
+      filter: { visitor: visitor._id },
+      update: {
+        $set: {
+          project: visitor.project,
+          ...(inMemory ? {} : { ip }),
+          status: "pending",
+          attempts: 0,
+          next_attempt_at: new Date(),
+        },
+        $unset: {
+          locked_at: "",
+          last_error: "",
+          ...(inMemory ? { ip: "" } : {}),
+        },
+        $setOnInsert: { created_at: new Date() },
+      },
+      upsert: true,
+    },
+  };
+}
+
+async function enqueueEnrichment(visitor, ip) {
+  await EnrichmentJob.bulkWrite([enqueueOperation(visitor, ip)]);
+}
+
+// 开启隐私模式后，把已入队任务中的原始 IP 移到内存（放弃重试的任务直接删除 IP），返回处理的任务数
+async function releaseStoredIPs() {
+  const jobs = await EnrichmentJob.find({ ip: { $nin: [null, ""] } })
+    .select("visitor status ip")
+    .lean();
+  if (jobs.length === 0) return 0;
+
+  jobs.forEach((job) => {
+    if (job.status !== "failed") memoryIPs.set(String(job.visitor), job.ip);
+  });
+  await EnrichmentJob.updateMany(
+    { _id: { $in: jobs.map((job) => job._id) } },
+    { $unset: { ip: "" } }
+  );
+  return jobs.length;
+}
+
+// ==========================================
+// 3. 后台任务
+// ==========================================
+
+// 领取一条到期的任务（包括处理中断、锁已超时的任务）
+function claimJob() {
+  const now = new Date();
+  return EnrichmentJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", next_attempt_at: { $lte: now } },
+        {
+          status: "processing",
+          locked_at: { $lt: new Date(now - LOCK_TIMEOUT) },
+        },
+      ],
+    },
+    { $set: { status: "processing", locked_at: now }, $inc: { attempts: 1 } },
+    { sort: { next_attempt_at: 1 }, new: true }
+  ).lean();
+}
+
+async function enrichVisitor(job) {
+  const visitor = await UserTracking.findById(job.visitor)
+    .select("_id project")
+    .lean();
+  // 访客已被合并或删除
+  if (!visitor) return;
+
+  const ip = job.ip || memoryIPs.get(String(job.visitor));
+  if (!ip) {
+    console.warn(
+      `[Enrichment] Visitor ${job.visitor} skipped: IP no longer available.`
+    );
+    return;
+  }
+
+  const location = await lookupLocation(ip, { throwOnError: true });
+
+  await UserTracking.updateOne(
+    { _id: visitor._id },
+    { $set: { "profile.location": location } }
+  );
+  await TrackEvent.updateMany({ visitor: visitor._id }, { $set: { location } });
+
+  // 国家维度的预聚合需要按新的位置重算
+  await markVisitorRollupsDirty(visitor);
+}
+
+async function processJob(job) {
+  try {
+    await enrichVisitor(job);
+    await EnrichmentJob.deleteOne({ _id: job._id, locked_at: job.locked_at });
+    memoryIPs.delete(String(job.visitor));
+    return true;
+  } catch (error) {
+    const failed = job.attempts >= MAX_ATTEMPTS;
+    if (failed) memoryIPs.delete(String(job.visitor));
+    console.error(
+      `[Enrichment] Visitor ${job.visitor} attempt ${job.attempts} failed:`,
+      error.message
+    );
+    await EnrichmentJob.updateOne(
+      { _id: job._id, locked_at: job.locked_at },
+      {
+        $set: {
+          status: failed ? "failed" : "pending",
+          last_error: error.message,
+          next_attempt_at: new Date(
+            Date.now() + RETRY_BASE_DELAY * 2 ** (job.attempts - 1)
+          ),
+        },
+        // 开启隐私模式时，放弃重试的任务不再保留原始 IP
+        $unset:
+          failed && hook.getConfig()?.privacy_mode !== "off"
+            ? { locked_at: "", ip: "" }
+            : { locked_at: "" },
+      }
+    );
+    return false;
+  }
+}
+
+// 处理一批到期任务
+async function processEnrichmentQueue(limit = WORKER_BATCH_SIZE) {
+  let done = 0;
+  let failed = 0;
+
+  for (let i = 0; i < limit; i++) {
+    const job = await claimJob();
+    if (!job) break;
+    if (await processJob(job)) done++;
+    else failed++;
+  }
+
+  return { done, failed };
+}
+
+// ==========================================
+// 4. API 路由定义 (/api/admin/enrichment)
+// ==========================================
+
+// 队列状态：各状态的任务数，以及最近失败的任务
+router.get("/enrichment", requireRole("viewer"), async (req, res) => {
+  try {
+    const [counts, failures] = await Promise.all([
+      EnrichmentJob.aggregate([
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]),
+      EnrichmentJob.find({ status: "failed" })
+        .select("project visitor attempts last_error next_attempt_at")
+        .sort({ next_attempt_at: -1 })
+        .limit(20)
+        .lean(),
+    ]);
+
+    const data = { pending: 0, processing: 0, failed: 0, failures };
+    counts.forEach((c) => {
+      data[c._id] = c.count;
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error("[Enrichment] Status error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 重新补全某个项目中国家为 Unknown（或缺失）的全部访客：{ project }
+router.post("/enrichment/backfill", requireRole("editor"), async (req, res) => {
+  try {
+    const project = await findProject(req.body?.project);
+    if (!project) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Project not found" });
+    }
+
+    const cursor = UserTracking.find({
+      project: project._id,
+      "profile.location.country": { $in: ["Unknown", null] },
+    })
+      .select("_id project user_ip")
+      .lean()
+      .cursor();
+
+    let queued = 0;
+    let skipped = 0;
+    let ops = [];
+    for await (const visitor of cursor) {
+      // 没有 IP（或隐私模式下只保存了哈希）的访客无法补全
+      if (!net.isIP(visitor.user_ip || "")) {
+        skipped++;
+        continue;
+      }
+      ops.push(enqueueOperation(visitor, visitor.user_ip));
+      if (ops.length >= BACKFILL_BATCH_SIZE) {
+        await EnrichmentJob.bulkWrite(ops, { ordered: false });
+        queued += ops.length;
+        ops = [];
+      }
+    }
+    if (ops.length > 0) {
+      await EnrichmentJob.bulkWrite(ops, { ordered: false });
+      queued += ops.length;
+    }
+
+    console.log(
+      `[Enrichment] Backfill ${project.slug}: ${queued} visitors queued, ${skipped} without usable IP.`
+    );
+    res.json({ success: true, data: { queued, skipped } });
+  } catch (error) {
+    console.error("[Enrichment] Backfill error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// ==========================================
+// 5. 初始化
+// ==========================================
+
+const initEnrichment = (app) => {
+  app.use("/api/admin", router);
+
+  mongoose.connection.once("open", () => {
+    // 每 10 秒处理一批到期任务
+    let running = false;
+    schedule.scheduleJob("*/10 * * * * *", async () => {
+      if (running) return;
+      running = true;
+      try {
+        const { done, failed } = await processEnrichmentQueue();
+        if (done + failed > 0) {
+          console.log(
+            `[Enrichment] Processed ${done} visitors, ${failed} failed.`
+          );
+        }
+      } catch (error) {
+        console.error("[Enrichment] Error processing queue:", error);
+      } finally {
+        running = false;
+      }
+    });
+  });
+};
+
+module.exports = {
+  EnrichmentJob,
+  initEnrichment,
+  enqueueEnrichment,
+  releaseStoredIPs,
+  processEnrichmentQueue,
+};
+
+// --- END OF FILE enrichment.js ---
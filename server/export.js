@@ -0,0 +1,145 @@
+// --- START OF FILE export.js ---
+//
+// 原始事件导出：按日期区间（可选页面 / 事件类型 / 国家过滤）以 CSV 或 NDJSON 流式输出，
+// 一行对应一个事件，并附带访客 ID 与地理位置。数据通过游标逐条写出，不在内存中缓存。
+
+const express = require("express");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const { TrackEvent } = require("./models");
+const { getDateRangeQuery, formatDay, eventMatch } = require("./utils");
+
+const router = express.Router();
+
+const FORMATS = {
+  csv: "text/csv; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+};
+
+// 导出列（CSV 表头顺序）
+const COLUMNS = [
+  "event_id",
+  "created_at",
+  "visitor_id",
+  "page",
+  "event_type",
+  "event_target",
+  "stay_time",
+  "timestamp",
+  "country",
+  "region",
+  "city",
+  "is_bot",
+  "properties",
+];
+
+function csvValue(value) {
+  if (value === undefined || value === null) return "";
+  // 自定义属性在 CSV 中输出为 JSON 字符串
+  const str = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// 事件文档 -> 扁平化的导出行
+function toRow(event) {
+  return {
+    event_id: String(event._id),
+    created_at: event.created_at ? event.created_at.toISOString() : null,
+    visitor_id: event.visitor_id || null,
+    page: event.page ?? null,
+    event_type: event.event_type ?? null,
+    event_target: event.event_target ?? null,
+    stay_time: event.stay_time ?? null,
+    timestamp: event.timestamp ?? null,
+    country: event.location?.country ?? null,
+    region: event.location?.region ?? null,
+    city: event.location?.city ?? null,
+    is_bot: !!event.is_bot,
+    properties: event.properties ?? null,
+  };
+}
+
+async function* exportLines(cursor, format) {
+  if (format === "csv") yield `${COLUMNS.join(",")}\n`;
+
+  for await (const event of cursor) {
+    const row = toRow(event);
+    yield format === "csv"
+      ? `${COLUMNS.map((c) => csvValue(row[c])).join(",")}\n`
+      : `${JSON.stringify(row)}\n`;
+  }
+}
+
+// ==========================================
+// API 路由定义
+// ==========================================
+
+// 导出事件：?format=csv|ndjson&startDate=&endDate=&page=&event_type=&country=
+router.get("/export", async (req, res) => {
+  const {
+    format = "csv",
+    startDate,
+    endDate,
+    page,
+    event_type,
+    country,
+  } = req.query;
+
+  if (!FORMATS[format]) {
+    return res
+      .status(400)
+      .json({ success: false, error: "format must be csv or ndjson" });
+  }
+
+  const range = getDateRangeQuery(startDate, endDate, req.tz);
+  const filters = { created_at: range };
+  if (page) filters.page = page;
+  if (event_type) filters.event_type = event_type;
+  if (country) filters["location.country"] = country;
+
+  const cursor = TrackEvent.aggregate([
+    { $match: eventMatch(req, filters) },
+    { $sort: { created_at: 1 } },
+    {
+      $lookup: {
+        from: "usertrackings",
+        localField: "visitor",
+        foreignField: "_id",
+        as: "visitor_doc",
+      },
+    },
+    {
+      $addFields: {
+        visitor_id: { $arrayElemAt: ["$visitor_doc.visitor_id", 0] },
+      },
+    },
+    { $project: { visitor_doc: 0 } },
+  ])
+    .allowDiskUse(true)
+    .cursor();
+
+  const day = (date) => formatDay(date, req.tz);
+  const filename = `events-${req.project.slug}-${day(range.$gte)}-${day(range.$lte)}.${format}`;
+
+  res.setHeader("Content-Type", FORMATS[format]);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+  try {
+    await pipeline(Readable.from(exportLines(cursor, format)), res);
+  } catch (error) {
+    // 客户端中途断开时 pipeline 会报错，游标随生成器一并关闭
+    if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+      console.error("[Export] Error:", error);
+    }
+    await cursor.close().catch(() => {});
+  }
+});
+
+// 挂载到 /api/stats（需在权限校验与项目解析中间件之后调用）
+const initExport = (app) => {
+  app.use("/api/stats", router);
+};
+
+module.exports = { initExport };
+
+// --- END OF FILE export.js ---
@@ -0,0 +1,345 @@
+// --- START OF FILE funnels.js ---
+//
+// 可配置漏斗：每个项目可保存多个漏斗定义，步骤为有序的页面访问或事件匹配，
+// 只有按顺序完成步骤（且在可选的时限内）的访客才计入转化。
+
+const express = require("express");
+const mongoose = require("mongoose");
+const { TrackEvent } = require("./models");
+const { getDateRangeQuery, eventMatch, projectMatch } = require("./utils");
+const { requireRole } = require("./auth");
+
+const router = express.Router();
+
+const MIN_STEPS = 2;
+const MAX_STEPS = 10;
+
+// ==========================================
+// 1. 数据模型定义
+// ==========================================
+const FunnelStepSchema = new mongoose.Schema(
+  {
+    name: String,
+    // page: 访问指定页面；event: 匹配事件类型 / 目标（可同时限定页面）
+    type: { type: String, enum: ["page", "event"], required: true },
+    page: String,
+    event_type: String,
+    event_target: String,
+  },
+  { _id: false }
+);
+
+const FunnelSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Project",
+    required: true,
+  },
+  name: { type: String, required: true },
+  steps: { type: [FunnelStepSchema], default: [] },
+  // 完成全部步骤的时限（分钟），从第一步开始计时；为空表示不限
+  time_limit: { type: Number, default: null },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now },
+});
+
+FunnelSchema.index({ project: 1, name: 1 }, { unique: true });
+
+const Funnel = mongoose.model("Funnel", FunnelSchema);
+
+// ==========================================
+// 2. 核心功能函数
+// ==========================================
+
+// 校验并规范化漏斗定义，返回 { funnel } 或 { error }
+function parseFunnel(body) {
+  const { name, steps, time_limit } = body || {};
+
+  if (!name || typeof name !== "string") {
+    return { error: "name is required" };
+  }
+  if (
+    !Array.isArray(steps) ||
+    steps.length < MIN_STEPS ||
+    steps.length > MAX_STEPS
+  ) {
+    return {
+      error: `steps must be an array of ${MIN_STEPS}-${MAX_STEPS} items`,
+    };
+  }
+
+  const parsedSteps = [];
+  for (const [i, step] of steps.entries()) {
+    const { type, page, event_type, event_target } = step || {};
+
+    if (type === "page" && !page) {
+      return { error: `steps[${i}]: page is required` };
+    }
+    if (type === "event" && !event_type && !event_target) {
+      return { error: `steps[${i}]: event_type or event_target is required` };
+    }
+    if (type !== "page" && type !== "event") {
+      return { error: `steps[${i}]: type must be "page" or "event"` };
+    }
+
+    parsedSteps.push({
+      name: step.name || page || event_target || event_type,
+      type,
+      page,
+      event_type: type === "event" ? event_type : undefined,
+      event_target: type === "event" ? event_target : undefined,
+    });
+  }
+
+  let limit = null;
+  if (time_limit !== undefined && time_limit !== null && time_limit !== "") {
+    limit = Number(time_limit);
+    if (!Number.isFinite(limit) || limit <= 0) {
+      return { error: "time_limit must be a positive number of minutes" };
+    }
+  }
+
+  return { funnel: { name, steps: parsedSteps, time_limit: limit } };
+}
+
+// 单个步骤对应的事件查询条件
+// 页面步骤只匹配页面访问（view），同一页面上的点击等其他事件不算
+function stepEventType(step) {
+  return step.type === "page" ? "view" : step.event_type;
+}
+
+function stepQuery(step) {
+  const query = {};
+  const eventType = stepEventType(step);
+  if (step.page) query.page = step.page;
+  if (eventType) query.event_type = eventType;
+  if (step.event_target) query.event_target = step.event_target;
+  return query;
+}
+
+function matchesStep(event, step) {
+  const eventType = stepEventType(step);
+  return (
+    (!step.page || event.page === step.page) &&
+    (!eventType || event.event_type === eventType) &&
+    (!step.event_target || event.event_target === step.event_target)
+  );
+}
+
+// 计算某个访客按顺序完成的最大步骤数（events 需按时间升序）。
+// 对每个可能的起点贪心匹配后续步骤：固定起点时尽早匹配总是最优的。
+function stepsReached(events, steps, limitMs) {
+  let best = 0;
+
+  for (let start = 0; start < events.length; start++) {
+    if (!matchesStep(events[start], steps[0])) continue;
+
+    const deadline = limitMs
+      ? events[start].created_at.getTime() + limitMs
+      : Infinity;
+    let reached = 1;
+
+    for (let i = start + 1; i < events.length && reached < steps.length; i++) {
+      if (events[i].created_at.getTime() > deadline) break;
+      if (matchesStep(events[i], steps[reached])) reached++;
+    }
+
+    best = Math.max(best, reached);
+    // 不限时长时，最早的起点一定最优
+    if (best === steps.length || !limitMs) break;
+  }
+
+  return best;
+}
+
+// 计算漏斗各步骤的访客数、转化率与流失
+async function computeFunnel(funnel, match) {
+  const steps = funnel.steps;
+  const limitMs = funnel.time_limit ? funnel.time_limit * 60 * 1000 : 0;
+  const counts = new Array(steps.length).fill(0);
+
+  const cursor = TrackEvent.find({
+    ...match,
+    $or: steps.map(stepQuery),
+  })
+    .select("visitor page event_type event_target created_at")
+    .sort({ visitor: 1, created_at: 1 })
+    .lean()
+    .cursor();
+
+  let visitor = null;
+  let events = [];
+  const flush = () => {
+    const reached = stepsReached(events, steps, limitMs);
+    for (let i = 0; i < reached; i++) counts[i]++;
+  };
+
+  for await (const event of cursor) {
+    if (visitor && !visitor.equals(event.visitor)) {
+      flush();
+      events = [];
+    }
+    visitor = event.visitor;
+    events.push(event);
+  }
+  if (events.length > 0) flush();
+
+  const entered = counts[0];
+  const data = steps.map((step, i) => {
+    const prev = i === 0 ? entered : counts[i - 1];
+    return {
+      step: i + 1,
+      name: step.name,
+      visitors: counts[i],
+      conversion_rate:
+        entered > 0 ? parseFloat(((counts[i] / entered) * 100).toFixed(1)) : 0,
+      step_conversion:
+        prev > 0 ? parseFloat(((counts[i] / prev) * 100).toFixed(1)) : 0,
+      drop_off: prev - counts[i],
+    };
+  });
+
+  return {
+    funnel: {
+      _id: funnel._id,
+      name: funnel.name,
+      time_limit: funnel.time_limit,
+    },
+    entered,
+    completed: counts[steps.length - 1],
+    steps: data,
+  };
+}
+
+// ==========================================
+// 3. API 路由定义 (/api/stats/funnels)
+// ==========================================
+
+router.get("/funnels", async (req, res) => {
+  try {
+    const funnels = await Funnel.find(projectMatch(req)).sort({
+      created_at: 1,
+    });
+    res.json({ success: true, data: funnels });
+  } catch (error) {
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+router.post("/funnels", requireRole("editor"), async (req, res) => {
+  const { funnel, error } = parseFunnel(req.body);
+  if (error) return res.status(400).json({ success: false, error });
+
+  try {
+    if (await Funnel.exists(projectMatch(req, { name: funnel.name }))) {
+      return res
+        .status(409)
+        .json({ success: false, error: "Funnel already exists" });
+    }
+
+    const saved = await new Funnel({
+      ...funnel,
+      project: req.project._id,
+    }).save();
+    res.json({ success: true, data: saved });
+  } catch (error) {
+    console.error("[Funnel] Create error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+router.put("/funnels/:id", requireRole("editor"), async (req, res) => {
+  const { funnel, error } = parseFunnel(req.body);
+  if (error) return res.status(400).json({ success: false, error });
+
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Funnel not found" });
+    }
+
+    const saved = await Funnel.findOneAndUpdate(
+      projectMatch(req, { _id: req.params.id }),
+      { $set: { ...funnel, updated_at: new Date() } },
+      { new: true }
+    );
+    if (!saved) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Funnel not found" });
+    }
+    res.json({ success: true, data: saved });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ success: false, error: "Funnel already exists" });
+    }
+    console.error("[Funnel] Update error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+router.delete("/funnels/:id", requireRole("editor"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Funnel not found" });
+    }
+
+    const result = await Funnel.deleteOne(
+      projectMatch(req, { _id: req.params.id })
+    );
+    if (result.deletedCount === 0) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Funnel not found" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 计算漏斗转化（startDate / endDate 为区间，默认今天）
+router.get("/funnels/:id", async (req, res) => {
+  const { startDate, endDate } = req.query;
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Funnel not found" });
+    }
+
+    const funnel = await Funnel.findOne(
+      projectMatch(req, { _id: req.params.id })
+    );
+    if (!funnel) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Funnel not found" });
+    }
+
+    const data = await computeFunnel(
+      funnel,
+      eventMatch(req, {
+        created_at: getDateRangeQuery(startDate, endDate, req.tz),
+      })
+    );
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error("[Funnel] Compute error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 挂载到 /api/stats（需在权限校验与项目解析中间件之后调用）
+const initFunnels = (app) => {
+  app.use("/api/stats", router);
+};
+
+module.exports = { Funnel, initFunnels, computeFunnel, stepsReached };
+
+// --- END OF FILE funnels.js ---
@@ -0,0 +1,446 @@
+// --- START OF FILE geo.js ---
+//
+// IP 地理位置解析：默认使用本地 IP 段数据库文件，不在打点请求中访问外部服务。
+//
+// - 数据库为 CSV，每行一个 IP 段：start_ip,end_ip,country,region,city
+//   （IPv4 / IPv6 均可，也接受整数形式的 IPv4；首行为表头时自动跳过）
+//   文件路径由 GEOIP_DB_PATH 指定，默认 data/ip-ranges.csv
+// - 解析器（provider）可插拔，按 GEOIP_PROVIDERS（逗号分隔，默认 "file"）依次尝试，
+//   需要时可追加 "http"（ipinfo.io）作为兜底
+// - 解析结果放入内存 LRU 缓存（GEOIP_CACHE_SIZE，默认 10000）
+
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+const https = require("https");
+const readline = require("readline");
+const express = require("express");
+const { requireRole } = require("./auth");
+
+const router = express.Router();
+
+const DEFAULT_DB_PATH = path.join(__dirname, "../data/ip-ranges.csv");
+const UNKNOWN = Object.freeze({
+  country: "Unknown",
+  region: "Unknown",
+  city: "Unknown",
+});
+
+// ==========================================
+// 1. IP 解析工具
+// ==========================================
+
+// IP 字符串 -> { version: 4|6, value: BigInt }，无法解析时返回 null
+function parseIP(ip) {
+  if (!ip) return null;
+  let str = String(ip).trim();
+
+  // IPv4 映射的 IPv6 地址（::ffff:1.2.3.4）按 IPv4 处理
+  const mapped = str.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) str = mapped[1];
+
+  if (/^\d+$/.test(str)) {
+    const value = BigInt(str);
+    return value <= 0xffffffffn ? { version: 4, value } : null;
+  }
+
+  const version = net.isIP(str);
+  if (version === 4) {
+    const value = str
+      .split(".")
+      .reduce((acc, part) => (acc << 8n) + BigInt(part), 0n);
+    return { version: 4, value };
+  }
+
+  if (version === 6) {
+    // 去掉 zone id，并把末尾内嵌的 IPv4 转为两段十六进制
+    str = str.split("%")[0];
+    const v4 = str.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (v4) {
+      const n = parseIP(v4[1]).value;
+      str = str.replace(
+        v4[1],
+        `${(n >> 16n).toString(16)}:${(n & 0xffffn).toString(16)}`
+      );
+    }
+
+    const [head, tail] = str.split("::");
+    const headParts = head ? head.split(":") : [];
+    const tailParts = tail !== undefined && tail ? tail.split(":") : [];
+    const fill = 8 - headParts.length - tailParts.length;
+    const parts = [
+      ...headParts,
+      ...new Array(tail !== undefined ? fill : 0).fill("0"),
+      ...tailParts,
+    ];
+
+    const value = parts.reduce(
+      (acc, part) => (acc << 16n) + BigInt(parseInt(part || "0", 16)),
+      0n
+    );
+    return { version: 6, value };
+  }
+
+  return null;
+}
+
+// 内网、回环等地址无需查询
+function isPrivateIP(ip) {
+  const parsed = parseIP(ip);
+  if (!parsed) return true;
+  const v = parsed.value;
+
+  if (parsed.version === 4) {
+    const a = Number(v >> 24n);
+    const b = Number((v >> 16n) & 0xffn);
+    return (
+      a === 10 ||
+      a === 127 ||
+      a === 0 ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 169 && b === 254)
+    );
+  }
+
+  return (
+    v === 0n || // ::
+    v === 1n || // ::1
+    v >> 121n === 0x7en || // fc00::/7
+    v >> 118n === 0x3fan // fe80::/10
+  );
+}
+
+// ==========================================
+// 2. LRU 缓存
+// ==========================================
+
+class LRUCache {
+  constructor(limit) {
+    this.limit = limit;
+    this.map = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  get(key) {
+    if (!this.map.has(key)) {
+      this.misses++;
+      return undefined;
+    }
+    // 重新插入，移动到最近使用的位置
+    const value = this.map.get(key);
+    this.map.delete(key);
+    this.map.set(key, value);
+    this.hits++;
+    return value;
+  }
+
+  set(key, value) {
+    if (this.map.has(key)) this.map.delete(key);
+    this.map.set(key, value);
+    if (this.map.size > this.limit) {
+      this.map.delete(this.map.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.map.clear();
+  }
+}
+
+// ==========================================
+// 3. 解析器（provider）
+// ==========================================
+//
+// provider: { name, lookup(ip) -> Promise<location | null>, load?(), status?() }
+// lookup 返回 null 表示未命中（继续尝试下一个 provider），抛出异常表示暂时不可用
+
+// 本地 IP 段数据库
+function createFileProvider(filePath = DEFAULT_DB_PATH) {
+  // IPv4 段用 Float64Array 保存（整数精确），IPv6 段用 BigInt 数组
+  let v4 = { starts: new Float64Array(0), ends: new Float64Array(0), loc: [] };
+  let v6 = { starts: [], ends: [], loc: [] };
+  let locations = [];
+  let loadedAt = null;
+  let lastError = null;
+
+  async function load() {
+    if (!fs.existsSync(filePath)) {
+      lastError = `Database file not found: ${filePath}`;
+      console.warn(`[Geo] ${lastError}`);
+      return false;
+    }
+
+    const rows4 = [];
+    const rows6 = [];
+    const locationIndex = new Map();
+    const nextLocations = [];
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath),
+      crlfDelay: Infinity,
+    });
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      const [startStr, endStr, country, region, city] = line
+        .split(",")
+        .map((f) => f.trim().replace(/^"|"$/g, ""));
+
+      const start = parseIP(startStr);
+      const end = parseIP(endStr);
+      // 表头或无法解析的行直接跳过
+      if (!start || !end || start.version !== end.version) continue;
+
+      const key = `${country}|${region}|${city}`;
+      let loc = locationIndex.get(key);
+      if (loc === undefined) {
+        loc = nextLocations.length;
+        locationIndex.set(key, loc);
+        nextLocations.push(
+          Object.freeze({
+            country: country || "Unknown",
+            region: region || "Unknown",
+            city: city || "Unknown",
+          })
+        );
+      }
+
+      (start.version === 4 ? rows4 : rows6).push([start.value, end.value, loc]);
+    }
+
+    const byStart = (a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0);
+    rows4.sort(byStart);
+    rows6.sort(byStart);
+
+    v4 = {
+      starts: Float64Array.from(rows4, (r) => Number(r[0])),
+      ends: Float64Array.from(rows4, (r) => Number(r[1])),
+      loc: Uint32Array.from(rows4, (r) => r[2]),
+    };
+    v6 = {
+      starts: rows6.map((r) => r[0]),
+      ends: rows6.map((r) => r[1]),
+      loc: Uint32Array.from(rows6, (r) => r[2]),
+    };
+    locations = nextLocations;
+    loadedAt = new Date();
+    lastError = null;
+
+    console.log(
+      `[Geo] Loaded ${rows4.length} IPv4 and ${rows6.length} IPv6 ranges from ${filePath}`
+    );
+    return true;
+  }
+
+  // 二分查找最后一个 start <= value 的段
+  function search(table, value) {
+    let lo = 0;
+    let hi = table.starts.length - 1;
+    let found = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (table.starts[mid] <= value) {
+        found = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    if (found === -1 || table.ends[found] < value) return null;
+    return locations[table.loc[found]];
+  }
+
+  async function lookup(ip) {
+    const parsed = parseIP(ip);
+    if (!parsed) return null;
+    return parsed.version === 4
+      ? search(v4, Number(parsed.value))
+      : search(v6, parsed.value);
+  }
+
+  function status() {
+    return {
+      path: filePath,
+      ipv4_ranges: v4.starts.length,
+      ipv6_ranges: v6.starts.length,
+      loaded_at: loadedAt,
+      error: lastError,
+    };
+  }
+
+  return { name: "file", load, lookup, status };
+}
+
+// ipinfo.io 在线查询（可选兜底）
+function createHttpProvider() {
+  function lookup(ip) {
+    return new Promise((resolve, reject) => {
+      const options = {
+        hostname: "ipinfo.io",
+        path: `/${ip}/json`,
+        method: "GET",
+        timeout: 3000,
+      };
+
+      const req = https.request(options, (res) => {
+        let data = "";
+        res.on("data", (chunk) => {
+          data += chunk;
+        });
+        res.on("end", () => {
+          try {
+            const result = JSON.parse(data);
+            if (!result.country) return resolve(null);
+            resolve({
+              country: result.country,
+              region: result.region || "Unknown",
+              city: result.city || "Unknown",
+            });
+          } catch (error) {
+            reject(error);
+          }
+        });
+      });
+
+      req.on("timeout", () => req.destroy(new Error("Geolocation timeout")));
+      req.on("error", reject);
+      req.end();
+    });
+  }
+
+  return { name: "http", lookup };
+}
+
+const providerFactories = {
+  file: () => createFileProvider(process.env.GEOIP_DB_PATH || DEFAULT_DB_PATH),
+  http: createHttpProvider,
+};
+
+// 注册自定义解析器，之后可在 GEOIP_PROVIDERS 中按名称启用
+function registerProvider(name, factory) {
+  providerFactories[name] = factory;
+}
+
+// ==========================================
+// 4. 查询入口
+// ==========================================
+
+let providers = [];
+const cache = new LRUCache(parseInt(process.env.GEOIP_CACHE_SIZE) || 10000);
+
+function createProviders() {
+  const names = (process.env.GEOIP_PROVIDERS || "file")
+    .split(",")
+    .map((n) => n.trim())
+    .filter(Boolean);
+
+  return names
+    .filter((name) => {
+      if (providerFactories[name]) return true;
+      console.warn(`[Geo] Unknown provider "${name}", ignored.`);
+      return false;
+    })
+    .map((name) => providerFactories[name]());
+}
+
+// 加载（或重新加载）所有解析器的数据，并清空缓存
+async function loadProviders() {
+  if (providers.length === 0) providers = createProviders();
+  for (const provider of providers) {
+    if (provider.load) await provider.load();
+  }
+  cache.clear();
+}
+
+// 解析 IP 的地理位置，未命中时返回 Unknown
+// options.throwOnError：有解析器出错且无结果时抛出异常（供后台任务重试）
+async function lookupLocation(ip, options = {}) {
+  if (isPrivateIP(ip)) return { ...UNKNOWN };
+
+  const cached = cache.get(ip);
+  if (cached) return { ...cached };
+
+  let failed = null;
+  for (const provider of providers) {
+    try {
+      const location = await provider.lookup(ip);
+      if (location) {
+        cache.set(ip, location);
+        return { ...location };
+      }
+    } catch (error) {
+      failed = error;
+      console.error(`[Geo] ${provider.name} lookup failed:`, error.message);
+    }
+  }
+
+  if (failed && options.throwOnError) throw failed;
+
+  // 只有全部解析器都正常返回“未命中”时才缓存 Unknown
+  if (!failed) cache.set(ip, UNKNOWN);
+  return { ...UNKNOWN };
+}
+
+// ==========================================
+// 5. API 路由定义 (/api/admin/geoip)
+// ==========================================
+
+router.get("/geoip", requireRole("viewer"), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      providers: providers.map((p) => ({
+        name: p.name,
+        ...(p.status ? p.status() : {}),
+      })),
+      cache: {
+        size: cache.map.size,
+        limit: cache.limit,
+        hits: cache.hits,
+        misses: cache.misses,
+      },
+    },
+  });
+});
+
+// 重新加载 IP 数据库（替换数据文件后调用）
+router.post("/geoip/reload", requireRole("editor"), async (req, res) => {
+  try {
+    await loadProviders();
+    res.json({
+      success: true,
+      data: providers.map((p) => ({
+        name: p.name,
+        ...(p.status ? p.status() : {}),
+      })),
+    });
+  } catch (error) {
+    console.error("[Geo] Reload error:", error);
+    res.status(500).json({ success: false, error: "Failed to reload" });
+  }
+});
+
+// ==========================================
+// 6. 初始化
+// ==========================================
+
+const initGeo = (app) => {
+  app.use("/api/admin", router);
+
+  loadProviders().catch((error) =>
+    console.error("[Geo] Failed to load providers:", error)
+  );
+};
+
+module.exports = {
+  initGeo,
+  lookupLocation,
+  registerProvider,
+  loadProviders,
+  parseIP,
+  UNKNOWN,
+};
+
+// --- END OF FILE geo.js ---
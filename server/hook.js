@@ -4,9 +4,32 @@ const express = require("express");
 const mongoose = require("mongoose");
 const nodemailer = require("nodemailer");
 const schedule = require("node-schedule");
+const { requireRole, hasRole } = require("./auth");
+const { Project, findProject } = require("./projects");
+const { buildCohortMatrix } = require("./cohorts");
+const { summarizeRange, topCounts, visitorIds } = require("./rollups");
+const {
+  Segment,
+  TOO_LARGE_ERROR,
+  findSegment,
+  loadSegmentVisitors,
+} = require("./segments");
+const { DEFAULT_TIMEZONE, isValidTimeZone, trafficFilter } = require("./utils");
+const {
+  WEBHOOK_EVENTS,
+  WEBHOOK_FORMATS,
+  parseWebhooks,
+  deliverWebhooks,
+} = require("./webhooks");
 
 const router = express.Router();
 
+const PRIVACY_MODES = ["off", "hash", "truncate"];
+const NOTIFY_CHANNELS = ["email", "webhook"];
+const MAX_SESSION_TIMEOUT = 24 * 60; // 会话超时上限（分钟）
+// 非 owner 读取配置时密钥的占位符；保存时提交占位符表示保留原值
+const REDACTED = "********";
+
 // ==========================================
 // 1. 数据模型定义 (SystemConfig)
 // ==========================================
@@ -21,12 +44,47 @@ const SystemConfigSchema = new mongoose.Schema({
   },
   receivers: { type: [String], default: [] },
   report_times: { type: [String], default: ["00:00", "12:00"] },
+  // 会话超时（分钟）：同一访客两次事件间隔超过该值即切分为新会话
+  session_timeout: { type: Number, default: 30 },
+  // 统计与报表默认使用的时区（IANA 名称），统计接口可用 ?tz= 覆盖
+  timezone: { type: String, default: DEFAULT_TIMEZONE },
+  // 隐私模式（见 privacy.js）：off 保存原始 IP，hash 只保存加盐哈希，truncate 只保存截断的 IP
+  privacy_mode: { type: String, enum: PRIVACY_MODES, default: "off" },
+  // hash 模式下盐的轮换周期（天）
+  ip_salt_rotation_days: { type: Number, default: 1 },
+  // 原始数据保留策略（见 retention.js）
+  retention: {
+    // 原始事件保留天数，0 表示永久保留
+    raw_events_days: { type: Number, default: 0 },
+    // 原始事件过期后是否保留按天汇总的数据
+    keep_rollups: { type: Boolean, default: true },
+  },
+  // 出站 Webhook（见 webhooks.js），与邮件一起接收报表、告警与测试消息
+  webhooks: {
+    type: [
+      {
+        _id: false,
+        name: String,
+        url: { type: String, required: true },
+        secret: { type: String, default: "" },
+        events: { type: [String], enum: WEBHOOK_EVENTS },
+        format: { type: String, enum: WEBHOOK_FORMATS, default: "json" },
+        enabled: { type: Boolean, default: true },
+      },
+    ],
+    default: [],
+  },
+  // 是否已创建默认告警规则（见 alerts.js，只在首次启动时创建一次）
+  alert_rules_seeded: { type: Boolean, default: false },
 });
 
 const SystemConfig = mongoose.model("SystemConfig", SystemConfigSchema);
 
 // 报表快照
 const ReportSnapshotSchema = new mongoose.Schema({
+  project: { type: mongoose.Schema.Types.ObjectId, ref: "Project" },
+  // 分群报表（见 segments.js），全量报表为空
+  segment: { type: mongoose.Schema.Types.ObjectId, ref: "Segment" },
   timestamp: { type: Date, default: Date.now },
   metrics: {
     // 总览指标
@@ -47,6 +105,9 @@ const ReportSnapshotSchema = new mongoose.Schema({
     // Interaction (参考数据)
     total_interactions: Number,
     avg_interaction_time: Number,
+
+    // 已排除的机器人访客
+    bot_visitors: Number,
   },
   insights: {
     top_targets: Array,
@@ -61,10 +122,9 @@ const ReportSnapshot = mongoose.model("ReportSnapshot", ReportSnapshotSchema);
 // 2. 状态管理
 // ==========================================
 let UserTracking = null;
+let TrackEvent = null;
 let cachedConfig = null;
 let scheduledJobs = [];
-const SPIKE_THRESHOLD = 200;
-let lastAlertTime = 0;
 
 // ==========================================
 // 3. 核心功能函数
@@ -84,12 +144,41 @@ async function loadConfig() {
   return config;
 }
 
+// 当前默认时区
+function getTimezone() {
+  return cachedConfig?.timezone || DEFAULT_TIMEZONE;
+}
+
+// 统计接口中间件：根据 ?tz= 参数（默认取系统配置）设置 req.tz
+function resolveTimezone(req, res, next) {
+  const tz = req.query.tz || getTimezone();
+  if (!isValidTimeZone(tz)) {
+    return res.status(400).json({ success: false, error: "Invalid tz" });
+  }
+  req.tz = tz;
+  next();
+}
+
+// 某时刻在 tz 中的 "HH:mm"
+function formatClock(date, tz) {
+  return date.toLocaleTimeString("en-GB", {
+    timeZone: tz,
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false,
+  });
+}
+
+function isEmailConfigured() {
+  return !!(
+    cachedConfig &&
+    cachedConfig.smtp.user &&
+    cachedConfig.receivers.length > 0
+  );
+}
+
 async function sendEmail(subject, htmlContent) {
-  if (
-    !cachedConfig ||
-    !cachedConfig.smtp.user ||
-    cachedConfig.receivers.length === 0
-  ) {
+  if (!isEmailConfigured()) {
     console.warn("[Hook] Email config missing or no receivers. Skipping.");
     return;
   }
@@ -131,86 +220,104 @@ async function sendEmail(subject, htmlContent) {
   }
 }
 
-// [核心] 计算当前的各项指标
-async function calculateMetrics(rangeStart = null) {
-  if (!UserTracking) throw new Error("DB not initialized");
+// 发送到已配置的通知渠道（邮件 + 订阅了该事件的 Webhook），channels 可限定其中一部分
+// 单个渠道失败不影响其他渠道；只有所有尝试过的渠道都失败时才抛出异常
+async function notifyChannels(
+  event,
+  { subject, html, message },
+  channels = NOTIFY_CHANNELS
+) {
+  const results = [];
+
+  if (channels.includes("email") && isEmailConfigured()) {
+    try {
+      await sendEmail(subject, html);
+      results.push({ channel: "email", ok: true });
+    } catch (error) {
+      results.push({ channel: "email", ok: false, error: error.message });
+    }
+  }
+
+  const webhookResults = channels.includes("webhook")
+    ? await deliverWebhooks(cachedConfig?.webhooks, event, message)
+    : [];
+  webhookResults.forEach((r) => results.push({ channel: "webhook", ...r }));
+
+  if (results.length === 0) {
+    console.warn(`[Hook] No notification channel configured for ${event}.`);
+  } else if (results.every((r) => !r.ok)) {
+    throw new Error(`All notification channels failed for ${event}`);
+  }
+  return results;
+}
+
+// [核心] 计算某个项目当前的各项指标
+// segment 非空时只统计分群内的访客（{ _id, name, visitors }，见 segments.js）
+async function calculateMetrics(
+  project,
+  rangeStart = null,
+  tz = getTimezone(),
+  segment = null
+) {
+  if (!UserTracking || !TrackEvent) throw new Error("DB not initialized");
 
   const now = new Date();
   const startTime = rangeStart || new Date(now.getTime() - 24 * 60 * 60 * 1000);
-  const dateQuery = { $gte: startTime, $lte: now };
+  // 报表只统计非机器人流量（见 bots.js）
+  const scope = { project: project._id, ...trafficFilter({ segment }) };
+  const visitorScope = {
+    project: project._id,
+    ...trafficFilter({ segment }, "_id"),
+  };
 
   // ========== 1. 总览指标 (Total Overview) ==========
-  const totalUsers = await UserTracking.countDocuments();
-  const totalTracksAgg = await UserTracking.aggregate([
-    { $group: { _id: null, count: { $sum: { $size: "$tracks" } } } },
-  ]);
-  const totalTracks = totalTracksAgg[0]?.count || 0;
+  const totalUsers = await UserTracking.countDocuments(visitorScope);
+  const totalTracks = await TrackEvent.countDocuments(scope);
+
+  // 周期内的指标读取预聚合（见 rollups.js），含按报表时区的小时分布
+  const summary = await summarizeRange(project._id, startTime, now, {
+    timezone: tz,
+    hourly: true,
+    segment,
+  });
 
   // ========== 2. View Analytics (周期内) ==========
 
-  // PV (Page Views) - 所有 tracks 记录数
-  const pvStats = await UserTracking.aggregate([
-    { $unwind: "$tracks" },
-    { $match: { "tracks.created_at": dateQuery } },
-    { $count: "total" },
-  ]);
-  const pageViews = pvStats[0]?.total || 0;
+  // PV (Page Views) - 所有事件记录数
+  const pageViews = summary.pv;
 
-  // UV (Unique Visitors) - 去重 IP 数
-  const uvList = await UserTracking.distinct("user_ip", {
-    "tracks.created_at": dateQuery,
-  });
+  // UV (Unique Visitors) - 去重访客数
+  const uvList = visitorIds(summary);
   const uniqueVisitors = uvList.length;
 
   // 新用户数（首次访问在区间内的）
-  const newUsers = await UserTracking.countDocuments({
-    "profile.first_login": dateQuery,
-  });
+  const newUsers = summary.new_users;
 
   const returningUsers = uniqueVisitors - newUsers;
 
   // 平均停留时长（基于用户维度）
-  const durationStats = await UserTracking.aggregate([
-    { $unwind: "$tracks" },
-    {
-      $match: {
-        "tracks.created_at": dateQuery,
-        "tracks.stay_time": { $gt: 0 },
-      },
-    },
-    {
-      $group: {
-        _id: "$user_ip",
-        total_time: { $sum: "$tracks.stay_time" },
-      },
-    },
-    {
-      $group: {
-        _id: null,
-        avg_duration: { $avg: "$total_time" },
-      },
-    },
-  ]);
-  const avgDuration = durationStats[0]?.avg_duration
-    ? Math.round(durationStats[0].avg_duration)
-    : 0;
+  const avgDuration =
+    summary.stay_visitors.size > 0
+      ? Math.round(summary.stay_time / summary.stay_visitors.size)
+      : 0;
 
   // ========== 3. 用户质量指标 ==========
 
   // 回访率
   const returningCount = await UserTracking.countDocuments({
-    $expr: { $gt: [{ $size: "$tracks" }, 1] },
+    ...visitorScope,
+    "stats.event_count": { $gt: 1 },
   });
   const retentionRate =
     totalUsers > 0 ? ((returningCount / totalUsers) * 100).toFixed(1) : 0;
 
   // 页面深度
-  const depthStats = await UserTracking.aggregate([
-    { $unwind: "$tracks" },
+  const depthStats = await TrackEvent.aggregate([
+    { $match: scope },
     {
       $group: {
-        _id: "$user_ip",
-        unique_pages: { $addToSet: "$tracks.page" },
+        _id: "$visitor",
+        unique_pages: { $addToSet: "$page" },
       },
     },
     {
@@ -231,89 +338,52 @@ async function calculateMetrics(rangeStart = null) {
 
   // ========== 4. Interaction Analytics (参考数据) ==========
 
-  const interactionStats = await UserTracking.aggregate([
-    { $unwind: "$tracks" },
-    { $match: { "tracks.created_at": dateQuery } },
-    { $count: "total" },
-  ]);
-  const totalInteractions = interactionStats[0]?.total || 0;
+  const totalInteractions = summary.pv;
 
-  const interactionTimeStats = await UserTracking.aggregate([
-    { $unwind: "$tracks" },
-    {
-      $match: {
-        "tracks.created_at": dateQuery,
-        "tracks.stay_time": { $gt: 0 },
-      },
-    },
-    { $group: { _id: null, avg: { $avg: "$tracks.stay_time" } } },
-  ]);
-  const avgInteractionTime = interactionTimeStats[0]?.avg
-    ? Math.round(interactionTimeStats[0].avg)
-    : 0;
+  const avgInteractionTime =
+    summary.stay_events > 0
+      ? Math.round(summary.stay_time / summary.stay_events)
+      : 0;
 
   // ========== 5. Insights ==========
 
   // Top 5 组件
-  const topTargets = await UserTracking.aggregate([
-    { $unwind: "$tracks" },
-    {
-      $match: {
-        "tracks.created_at": dateQuery,
-        "tracks.event_target": { $ne: "" },
-      },
-    },
-    { $group: { _id: "$tracks.event_target", count: { $sum: 1 } } },
-    { $sort: { count: -1 } },
-    { $limit: 5 },
-  ]);
+  const topTargets = topCounts(summary.targets, 5);
 
   // Top 5 地区（基于 UV）
-  const activeIPs = await UserTracking.distinct("user_ip", {
-    "tracks.created_at": dateQuery,
-  });
-
   const topGeo = await UserTracking.aggregate([
-    { $match: { user_ip: { $in: activeIPs } } },
+    { $match: { _id: { $in: uvList } } },
     { $group: { _id: "$profile.location.country", count: { $sum: 1 } } },
     { $sort: { count: -1 } },
     { $limit: 5 },
   ]);
 
-  // 访问高峰时段（修复：使用北京时间 UTC+8）
-  const hourlyStats = await UserTracking.aggregate([
-    { $unwind: "$tracks" },
-    { $match: { "tracks.created_at": dateQuery } },
-    {
-      $addFields: {
-        // 将 UTC 时间转换为北京时间（+8小时）
-        beijing_hour: {
-          $hour: {
-            date: "$tracks.created_at",
-            timezone: "+08:00",
-          },
-        },
-      },
-    },
-    {
-      $group: {
-        _id: {
-          hour: "$beijing_hour",
-          user_ip: "$user_ip",
-        },
-      },
-    },
-    {
-      $group: {
-        _id: "$_id.hour",
-        unique_visitors: { $sum: 1 },
-      },
-    },
-    { $sort: { unique_visitors: -1 } },
-    { $limit: 1 },
-  ]);
+  // 访问高峰时段（按报表时区计算小时，基于 UV）
+  const peakHour = [...summary.hours.entries()].reduce(
+    (peak, [hour, entry]) =>
+      entry.visitors.size > peak.unique_visitors
+        ? { _id: hour, unique_visitors: entry.visitors.size }
+        : peak,
+    { _id: 0, unique_visitors: 0 }
+  );
 
-  const peakHour = hourlyStats[0] || { _id: 0, unique_visitors: 0 };
+  // 周期内活跃的机器人访客数（已从上述指标中排除）
+  const botVisitors = (
+    await TrackEvent.distinct("visitor", {
+      project: project._id,
+      ...trafficFilter({ includeBots: true, segment }),
+      is_bot: true,
+      created_at: { $gte: startTime, $lte: now },
+    })
+  ).length;
+
+  // ========== 6. 同期群留存（最近 6 周） ==========
+  const cohorts = await buildCohortMatrix(project._id, {
+    granularity: "week",
+    cohorts: 6,
+    timezone: tz,
+    segment,
+  });
 
   return {
     raw: {
@@ -335,17 +405,33 @@ async function calculateMetrics(rangeStart = null) {
       // Interaction
       total_interactions: totalInteractions,
       avg_interaction_time: avgInteractionTime,
+
+      // 已排除的机器人访客
+      bot_visitors: botVisitors,
     },
     insights: {
       targets: topTargets,
       geo: topGeo,
       peak_hour: peakHour,
     },
+    cohorts: cohorts.cohorts,
     range_start: startTime,
     range_end: now,
+    timezone: tz,
+    segment: segment ? segment.name : null,
   };
 }
 
+function escapeHtml(str) {
+  return String(str).replace(
+    /[&<>"']/g,
+    (ch) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        ch
+      ]
+  );
+}
+
 // [核心] 生成暗色简约风格的专业报表 HTML
 function generateDarkMinimalHtml(currentMetrics, prevSnapshot) {
   const c = currentMetrics.raw;
@@ -411,9 +497,48 @@ function generateDarkMinimalHtml(currentMetrics, prevSnapshot) {
       .join("");
   };
 
+  // 辅助函数：生成同期群留存表（按留存率深浅着色）
+  const generateCohortTable = (cohorts) => {
+    if (!cohorts || cohorts.length === 0) {
+      return '<div style="color:#64748b; font-size:12px; padding:8px 0;">No data available</div>';
+    }
+    const periods = cohorts[0].rates.length;
+    const head = Array.from(
+      { length: periods },
+      (_, i) =>
+        `<th style="color:#94a3b8; font-size:11px; font-weight:600; padding:6px;">W${i}</th>`
+    ).join("");
+    const rows = cohorts
+      .map((cohort) => {
+        const cells = Array.from({ length: periods }, (_, i) => {
+          if (i >= cohort.rates.length) return '<td style="padding:6px;"></td>';
+          const rate = cohort.rates[i];
+          const alpha = (0.15 + (rate / 100) * 0.85).toFixed(2);
+          return `<td style="padding:6px; text-align:center; font-size:12px; color:#f1f5f9; background:rgba(139,92,246,${cohort.size > 0 ? alpha : 0});">${rate}%</td>`;
+        }).join("");
+        return `
+      <tr>
+        <td style="color:#cbd5e1; font-size:12px; padding:6px; white-space:nowrap;">${cohort.cohort}</td>
+        <td style="color:#f1f5f9; font-size:12px; font-weight:600; padding:6px; text-align:right;">${cohort.size}</td>
+        ${cells}
+      </tr>`;
+      })
+      .join("");
+    return `
+      <table style="width:100%; border-collapse:collapse;">
+        <tr>
+          <th style="color:#94a3b8; font-size:11px; font-weight:600; padding:6px; text-align:left;">Cohort</th>
+          <th style="color:#94a3b8; font-size:11px; font-weight:600; padding:6px; text-align:right;">Users</th>
+          ${head}
+        </tr>
+        ${rows}
+      </table>`;
+  };
+
   // 格式化时间
   const formatDate = (date) => {
     return date.toLocaleString("zh-CN", {
+      timeZone: currentMetrics.timezone,
       year: "numeric",
       month: "2-digit",
       day: "2-digit",
@@ -440,8 +565,13 @@ function generateDarkMinimalHtml(currentMetrics, prevSnapshot) {
       <div style="color:#3b82f6; font-size:32px; margin-bottom:8px;">📊</div>
       <h1 style="margin:0; color:#f1f5f9; font-size:28px; font-weight:700; letter-spacing:-0.5px;">Analytics Report</h1>
       <p style="margin:12px 0 0; color:#94a3b8; font-size:13px; font-weight:400;">
-        ${formatDate(currentMetrics.range_start)} ~ ${formatDate(currentMetrics.range_end)}
+        ${formatDate(currentMetrics.range_start)} ~ ${formatDate(currentMetrics.range_end)} (${currentMetrics.timezone})
       </p>
+      ${
+        currentMetrics.segment
+          ? `<p style="margin:8px 0 0; color:#3b82f6; font-size:13px; font-weight:600;">Segment: ${escapeHtml(currentMetrics.segment)}</p>`
+          : ""
+      }
     </div>
 
     <!-- Content Container -->
@@ -485,6 +615,16 @@ function generateDarkMinimalHtml(currentMetrics, prevSnapshot) {
         </div>
       </div>
 
+      <!-- Section 3.5: Cohort Retention -->
+      <div style="margin-bottom:32px;">
+        <h2 style="color:#8b5cf6; font-size:14px; text-transform:uppercase; letter-spacing:1px; margin:0 0 16px; font-weight:600;">
+          🔁 Weekly Retention (Cohorts)
+        </h2>
+        <div style="background:#1e293b; border-radius:8px; padding:12px; border:1px solid #334155; overflow-x:auto;">
+          ${generateCohortTable(currentMetrics.cohorts)}
+        </div>
+      </div>
+
       <!-- Section 4: Peak Hour Insight -->
       <div style="margin-bottom:32px;">
         <h2 style="color:#f59e0b; font-size:14px; text-transform:uppercase; letter-spacing:1px; margin:0 0 16px; font-weight:600;">
@@ -538,8 +678,8 @@ function generateDarkMinimalHtml(currentMetrics, prevSnapshot) {
         </div>
         <div style="background:#1e293b; border-radius:8px; padding:12px; margin-top:12px; border:1px solid #334155;">
           <p style="color:#94a3b8; font-size:11px; margin:0; line-height:1.6;">
-            ⚠️ Note: Interaction data may be inflated due to automated scripts or bots. 
-            View Analytics (UV-based) provides more accurate user behavior insights.
+            ⚠️ Note: Traffic from ${c.bot_visitors || 0} detected bot / automated visitor(s) in this period is excluded from all figures above.
+            Undetected scripts may still inflate interaction data; View Analytics (UV-based) provides more accurate user behavior insights.
           </p>
         </div>
       </div>
@@ -561,34 +701,124 @@ function generateDarkMinimalHtml(currentMetrics, prevSnapshot) {
   `;
 }
 
-// 执行报表生成与发送
-async function runScheduledReport() {
-  try {
-    const lastSnapshot = await ReportSnapshot.findOne().sort({
-      timestamp: -1,
-    });
+// 报表标题中的项目名（分群报表附带分群名）
+const reportTitle = (project, segment) =>
+  segment ? `${project.name} / ${segment.name}` : project.name;
 
-    const startTime = lastSnapshot
-      ? lastSnapshot.timestamp
-      : new Date(Date.now() - 24 * 60 * 60 * 1000);
+// 报表的 Webhook 消息（核心指标摘要，完整指标放在 data 中）
+function reportMessage(title, project, metrics) {
+  const tz = metrics.timezone;
+  const r = metrics.raw;
+  return {
+    title,
+    text: `${formatClock(metrics.range_start, tz)} → ${formatClock(metrics.range_end, tz)} (${tz})`,
+    fields: [
+      { name: "Page Views", value: r.page_views },
+      { name: "Unique Visitors", value: r.unique_visitors },
+      { name: "New Users", value: r.new_users },
+      { name: "Avg Duration", value: `${(r.avg_duration / 1000).toFixed(1)}s` },
+      { name: "Retention Rate", value: `${r.retention_rate.toFixed(1)}%` },
+      { name: "Interactions", value: r.total_interactions },
+    ],
+    data: {
+      project: { _id: project._id, slug: project.slug, name: project.name },
+      segment: metrics.segment,
+      range: { start: metrics.range_start, end: metrics.range_end },
+      timezone: tz,
+      metrics: r,
+      insights: metrics.insights,
+    },
+  };
+}
 
-    const currentMetrics = await calculateMetrics(startTime);
-    const html = generateDarkMinimalHtml(currentMetrics, lastSnapshot);
+// 生成并发送单个项目（或项目内某个分群）的报表，快照按分群分别保存
+async function runProjectReport(project, segment = null) {
+  const lastSnapshot = await ReportSnapshot.findOne({
+    project: project._id,
+    segment: segment ? segment._id : null,
+  }).sort({ timestamp: -1 });
+
+  const startTime = lastSnapshot
+    ? lastSnapshot.timestamp
+    : new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+  const currentMetrics = await calculateMetrics(
+    project,
+    startTime,
+    getTimezone(),
+    segment
+  );
+  const html = generateDarkMinimalHtml(currentMetrics, lastSnapshot);
 
-    const now = new Date();
-    const timeStr = `${now.getHours().toString().padStart(2, "0")}:${now.getMinutes().toString().padStart(2, "0")}`;
-    await sendEmail(`📊 Analytics Report [${timeStr}]`, html);
+  const now = new Date();
+  const timeStr = formatClock(now, getTimezone());
+  const subject = `📊 Analytics Report - ${reportTitle(project, segment)} [${timeStr}]`;
+  await notifyChannels("report", {
+    subject,
+    html,
+    message: reportMessage(subject, project, currentMetrics),
+  });
 
-    const newSnapshot = new ReportSnapshot({
-      timestamp: now,
-      metrics: currentMetrics.raw,
-      insights: currentMetrics.insights,
-    });
-    await newSnapshot.save();
-    console.log("[Hook] Report snapshot saved.");
-  } catch (error) {
-    console.error("[Hook] Failed to run scheduled report:", error);
+  const newSnapshot = new ReportSnapshot({
+    project: project._id,
+    segment: segment ? segment._id : undefined,
+    timestamp: now,
+    metrics: currentMetrics.raw,
+    insights: currentMetrics.insights,
+  });
+  await newSnapshot.save();
+  console.log(
+    `[Hook] Report snapshot saved for ${project.slug}${segment ? ` (segment ${segment.name})` : ""}.`
+  );
+}
+
+// 执行报表生成与发送：每个未归档项目单独一封，
+// 项目内标记了 report 的分群再各自单独一封
+async function runScheduledReport(projects = null) {
+  const targets = projects || (await Project.find({ archived: false }));
+
+  for (const project of targets) {
+    try {
+      await runProjectReport(project);
+      const segments = await Segment.find({
+        project: project._id,
+        report: true,
+      }).lean();
+      for (const segment of segments) {
+        const resolved = await loadSegmentVisitors(segment);
+        if (resolved.too_large) {
+          console.warn(
+            `[Hook] Skipped report for ${project.slug} (segment ${segment.name}): too many visitors.`
+          );
+          continue;
+        }
+        await runProjectReport(project, resolved);
+      }
+    } catch (error) {
+      console.error(
+        `[Hook] Failed to run scheduled report for ${project.slug}:`,
+        error
+      );
+    }
+  }
+}
+
+// 读取请求中的分群（?segment= 或 body.segment），未指定时返回 null；
+// 找不到或超出访客数上限时直接返回错误响应并返回 false
+async function loadReportSegment(req, res, project) {
+  const ref = req.body?.segment || req.query.segment;
+  if (!ref) return null;
+  const segment = await findSegment(project._id, ref);
+  if (!segment) {
+    res.status(404).json({ success: false, error: "Segment not found" });
+    return false;
   }
+  const resolved = await loadSegmentVisitors(segment);
+  if (resolved.too_large) {
+    res.status(400).json({ success: false, error: TOO_LARGE_ERROR });
+    return false;
+  }
+  return resolved;
 }
 
 // 刷新定时任务调度
@@ -598,15 +828,17 @@ function refreshScheduler() {
 
   if (!cachedConfig || !cachedConfig.report_times) return;
 
+  // 发送时间按配置的时区解释
+  const tz = getTimezone();
   console.log(
-    `[Hook] Scheduling reports at: ${cachedConfig.report_times.join(", ")}`
+    `[Hook] Scheduling reports at: ${cachedConfig.report_times.join(", ")} (${tz})`
   );
 
   cachedConfig.report_times.forEach((timeStr) => {
     const [hour, minute] = timeStr.split(":");
     const cronRule = `${minute} ${hour} * * *`;
 
-    const job = schedule.scheduleJob(cronRule, () => {
+    const job = schedule.scheduleJob({ rule: cronRule, tz }, () => {
       console.log(`[Hook] Running scheduled task for ${timeStr}`);
       runScheduledReport();
     });
@@ -615,133 +847,167 @@ function refreshScheduler() {
   });
 }
 
-// 异常流量检测（增强版 - 基于 UV）
-function startAnomalyDetection() {
-  setInterval(async () => {
-    if (!UserTracking) return;
-
-    try {
-      const oneMinuteAgo = new Date(Date.now() - 60 * 1000);
-
-      // 检测最近1分钟的独立访客数（更准确）
-      const recentUV = await UserTracking.distinct("user_ip", {
-        "tracks.created_at": { $gte: oneMinuteAgo },
-      });
-
-      const uvCount = recentUV.length;
-
-      // 同时检测交互数（作为参考）
-      const recentStats = await UserTracking.aggregate([
-        { $unwind: "$tracks" },
-        { $match: { "tracks.created_at": { $gte: oneMinuteAgo } } },
-        { $count: "count" },
-      ]);
-
-      const interactionCount = recentStats[0]?.count || 0;
-
-      // 如果 UV 超过阈值，或者交互数远超 UV（可能是刷量）
-      if (
-        uvCount > SPIKE_THRESHOLD ||
-        (interactionCount > uvCount * 10 && uvCount > 10)
-      ) {
-        const now = Date.now();
-        if (now - lastAlertTime > 3600 * 1000) {
-          const html = `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <title>Traffic Alert</title>
-</head>
-<body style="margin:0; padding:0; background-color:#0f172a; font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;">
-  <div style="max-width:600px; margin:0 auto; background-color:#1e293b; border:2px solid #ef4444; border-radius:12px; overflow:hidden;">
-    
-    <div style="background:#ef4444; padding:24px; text-align:center;">
-      <div style="font-size:48px; margin-bottom:8px;">⚠️</div>
-      <h1 style="margin:0; color:#fff; font-size:24px; font-weight:700;">High Traffic Alert</h1>
-    </div>
-
-    <div style="padding:32px 24px; color:#f1f5f9;">
-      <h2 style="color:#fbbf24; font-size:18px; margin:0 0 16px;">Spike Detected!</h2>
-      
-      <div style="background:#0f172a; border-radius:8px; padding:20px; margin-bottom:20px; border:1px solid #334155;">
-        <div style="display:grid; grid-template-columns:1fr 1fr; gap:16px; text-align:center;">
-          <div>
-            <div style="color:#94a3b8; font-size:12px; margin-bottom:8px;">Unique Visitors</div>
-            <div style="color:#ef4444; font-size:32px; font-weight:700;">${uvCount}</div>
-          </div>
-          <div>
-            <div style="color:#94a3b8; font-size:12px; margin-bottom:8px;">Interactions</div>
-            <div style="color:#f59e0b; font-size:32px; font-weight:700;">${interactionCount}</div>
-          </div>
-        </div>
-      </div>
-
-      <div style="background:#1e293b; border-left:4px solid #3b82f6; padding:16px; border-radius:4px; margin-bottom:20px;">
-        <p style="margin:0; color:#cbd5e1; font-size:13px; line-height:1.6;">
-          <strong style="color:#3b82f6;">Threshold:</strong> ${SPIKE_THRESHOLD} UV/min<br>
-          <strong style="color:#3b82f6;">Time:</strong> ${new Date().toLocaleString("zh-CN", { hour12: false })}
-        </p>
-      </div>
-
-      <p style="color:#94a3b8; font-size:13px; line-height:1.6; margin:0;">
-        Please check server status and review recent activity logs. 
-        This could indicate a DDoS attack, bot traffic, or legitimate viral growth.
-      </p>
-    </div>
-
-    <div style="background:#0f172a; padding:16px; text-align:center; border-top:1px solid #334155;">
-      <a href="https://dashboard.lost-track.com" style="display:inline-block; background:#3b82f6; color:#fff; padding:10px 24px; border-radius:6px; text-decoration:none; font-size:13px; font-weight:600;">
-        View Dashboard →
-      </a>
-    </div>
-
-  </div>
-</body>
-</html>
-          `;
-          await sendEmail("⚠️ ALERT: Traffic Spike Detected", html);
-          lastAlertTime = now;
-          console.warn(
-            `[Hook] High traffic alert sent! UV: ${uvCount}, Interactions: ${interactionCount}`
-          );
-        }
-      }
-    } catch (error) {
-      console.error("[Hook] Error in anomaly detection:", error);
-    }
-  }, 60 * 1000);
-}
-
 // ==========================================
 // 4. API 路由定义
 // ==========================================
 
-router.get("/config", async (req, res) => {
+// 隐藏 SMTP 密码与 Webhook 签名密钥
+function redactConfig(config) {
+  const data = config.toObject();
+  if (data.smtp?.pass) data.smtp.pass = REDACTED;
+  data.webhooks = (data.webhooks || []).map((w) =>
+    w.secret ? { ...w, secret: REDACTED } : w
+  );
+  return data;
+}
+
+router.get("/config", requireRole("editor"), async (req, res) => {
   const config = await SystemConfig.findOne({ key: "main_config" });
   if (config) {
-    res.json({ success: true, data: config });
+    res.json({
+      success: true,
+      data: hasRole(req.admin.user.role, "owner")
+        ? config
+        : redactConfig(config),
+    });
   } else {
     res.json({ success: false, error: "Config not found" });
   }
 });
 
-router.post("/config", async (req, res) => {
+router.post("/config", requireRole("editor"), async (req, res) => {
   try {
-    const { smtp, receivers, report_times } = req.body;
+    const {
+      smtp,
+      receivers,
+      report_times,
+      session_timeout,
+      timezone,
+      privacy_mode,
+      ip_salt_rotation_days,
+      retention,
+      webhooks,
+    } = req.body;
+
+    if (
+      session_timeout !== undefined &&
+      !(
+        typeof session_timeout === "number" &&
+        Number.isFinite(session_timeout) &&
+        session_timeout > 0 &&
+        session_timeout <= MAX_SESSION_TIMEOUT
+      )
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `session_timeout must be a number of minutes between 0 and ${MAX_SESSION_TIMEOUT}`,
+      });
+    }
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Invalid timezone" });
+    }
+    if (privacy_mode !== undefined && !PRIVACY_MODES.includes(privacy_mode)) {
+      return res.status(400).json({
+        success: false,
+        error: "privacy_mode must be off, hash or truncate",
+      });
+    }
+    if (
+      ip_salt_rotation_days !== undefined &&
+      !(Number.isInteger(ip_salt_rotation_days) && ip_salt_rotation_days >= 1)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "ip_salt_rotation_days must be a positive integer",
+      });
+    }
+    if (
+      retention?.raw_events_days !== undefined &&
+      !(
+        Number.isInteger(retention.raw_events_days) &&
+        retention.raw_events_days >= 0
+      )
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "retention.raw_events_days must be a non-negative integer",
+      });
+    }
+    let parsedWebhooks;
+    if (webhooks !== undefined) {
+      const parsed = parseWebhooks(webhooks);
+      if (parsed.error) {
+        return res.status(400).json({ success: false, error: parsed.error });
+      }
+      parsedWebhooks = parsed.webhooks;
+    }
     let config = await SystemConfig.findOne({ key: "main_config" });
 
     if (!config) {
       config = new SystemConfig({ key: "main_config" });
     }
+    const previousPrivacyMode = config.privacy_mode;
 
-    config.smtp = smtp;
-    config.receivers = receivers;
-    config.report_times = report_times;
+    if (smtp !== undefined) {
+      // 提交的是占位符时保留原密码
+      config.smtp =
+        smtp?.pass === REDACTED ? { ...smtp, pass: config.smtp.pass } : smtp;
+    }
+    if (receivers !== undefined) {
+      config.receivers = receivers;
+    }
+    if (report_times !== undefined) {
+      config.report_times = report_times;
+    }
+    if (session_timeout !== undefined) {
+      config.session_timeout = session_timeout;
+    }
+    if (timezone !== undefined) {
+      config.timezone = timezone;
+    }
+    if (privacy_mode !== undefined) {
+      config.privacy_mode = privacy_mode;
+    }
+    if (ip_salt_rotation_days !== undefined) {
+      config.ip_salt_rotation_days = ip_salt_rotation_days;
+    }
+    if (retention?.raw_events_days !== undefined) {
+      config.retention.raw_events_days = retention.raw_events_days;
+    }
+    if (retention?.keep_rollups !== undefined) {
+      config.retention.keep_rollups = !!retention.keep_rollups;
+    }
+    if (parsedWebhooks !== undefined) {
+      // 提交的是占位符时保留同一 URL 原有的签名密钥
+      config.webhooks = parsedWebhooks.map((w) =>
+        w.secret === REDACTED
+          ? {
+              ...w,
+              secret:
+                config.webhooks.find((old) => old.url === w.url)?.secret || "",
+            }
+          : w
+      );
+    }
 
     await config.save();
     await loadConfig();
 
+    // 开启（或切换）隐私模式后，在后台处理此前已入库的原始 IP
+    // （privacy.js 依赖本模块，这里按需引用以避免循环依赖）
+    if (
+      config.privacy_mode !== "off" &&
+      config.privacy_mode !== previousPrivacyMode
+    ) {
+      require("./privacy")
+        .scrubStoredIPs()
+        .catch((error) =>
+          console.error("[Hook] Failed to scrub stored IPs:", error)
+        );
+    }
+
     res.json({ success: true, message: "Configuration saved." });
   } catch (error) {
     console.error(error);
@@ -749,23 +1015,42 @@ router.post("/config", async (req, res) => {
   }
 });
 
-router.post("/test-email", async (req, res) => {
+router.post("/test-email", requireRole("editor"), async (req, res) => {
   try {
     if (!cachedConfig || !cachedConfig.smtp.user) {
       return res.status(400).json({ success: false, error: "Config missing" });
     }
 
-    const lastSnapshot = await ReportSnapshot.findOne().sort({
-      timestamp: -1,
-    });
+    const project = await findProject(req.body?.project || req.query.project);
+    if (!project) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Project not found" });
+    }
+
+    const segment = await loadReportSegment(req, res, project);
+    if (segment === false) return;
+
+    const lastSnapshot = await ReportSnapshot.findOne({
+      project: project._id,
+      segment: segment ? segment._id : null,
+    }).sort({ timestamp: -1 });
 
     // 测试邮件使用过去12小时的数据
     const mockStartTime = new Date(Date.now() - 12 * 60 * 60 * 1000);
 
-    const currentMetrics = await calculateMetrics(mockStartTime);
+    const currentMetrics = await calculateMetrics(
+      project,
+      mockStartTime,
+      getTimezone(),
+      segment
+    );
     const html = generateDarkMinimalHtml(currentMetrics, lastSnapshot);
 
-    await sendEmail("🧪 [TEST] Analytics Report", html);
+    await sendEmail(
+      `🧪 [TEST] Analytics Report - ${reportTitle(project, segment)}`,
+      html
+    );
 
     res.json({ success: true, message: "Test report sent successfully!" });
   } catch (e) {
@@ -774,10 +1059,94 @@ router.post("/test-email", async (req, res) => {
   }
 });
 
+// 向订阅了 test 事件的 Webhook 发送测试报表（与 /test-email 相同，使用过去12小时的数据）
+router.post("/test-webhook", requireRole("editor"), async (req, res) => {
+  try {
+    const webhooks = (cachedConfig?.webhooks || []).filter(
+      (w) => w.enabled !== false && w.events.includes("test")
+    );
+    if (webhooks.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No enabled webhook subscribed to test events",
+      });
+    }
+
+    const project = await findProject(req.body?.project || req.query.project);
+    if (!project) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Project not found" });
+    }
+
+    const segment = await loadReportSegment(req, res, project);
+    if (segment === false) return;
+
+    const mockStartTime = new Date(Date.now() - 12 * 60 * 60 * 1000);
+
+    const currentMetrics = await calculateMetrics(
+      project,
+      mockStartTime,
+      getTimezone(),
+      segment
+    );
+
+    const results = await deliverWebhooks(
+      webhooks,
+      "test",
+      reportMessage(
+        `🧪 [TEST] Analytics Report - ${reportTitle(project, segment)}`,
+        project,
+        currentMetrics
+      )
+    );
+
+    const delivered = results.filter((r) => r.ok).length;
+    if (delivered === 0) {
+      return res.status(502).json({
+        success: false,
+        error: "Failed to deliver test report to any webhook",
+        data: results,
+      });
+    }
+    res.json({
+      success: true,
+      message: `Test report delivered to ${delivered}/${results.length} webhooks.`,
+      data: results,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
 // [新增] 手动触发报表生成（用于调试）
-router.post("/trigger-report", async (req, res) => {
+router.post("/trigger-report", requireRole("editor"), async (req, res) => {
   try {
-    await runScheduledReport();
+    // 指定 project 时只生成该项目的报表，否则生成全部项目；
+    // 同时指定 segment 时只生成该分群的报表
+    const ref = req.body?.project || req.query.project;
+    let projects = null;
+    if (ref) {
+      const project = await findProject(ref);
+      if (!project) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Project not found" });
+      }
+      const segment = await loadReportSegment(req, res, project);
+      if (segment === false) return;
+      if (segment) {
+        await runProjectReport(project, segment);
+        return res.json({
+          success: true,
+          message: "Report generated and sent!",
+        });
+      }
+      projects = [project];
+    }
+
+    await runScheduledReport(projects);
     res.json({ success: true, message: "Report generated and sent!" });
   } catch (e) {
     console.error(e);
@@ -789,8 +1158,9 @@ router.post("/trigger-report", async (req, res) => {
 // 5. 导出初始化函数
 // ==========================================
 
-const initHooks = (app, userTrackingModel) => {
+const initHooks = (app, userTrackingModel, trackEventModel) => {
   UserTracking = userTrackingModel;
+  TrackEvent = trackEventModel;
 
   app.use("/api/admin", router);
 
@@ -812,7 +1182,6 @@ const initHooks = (app, userTrackingModel) => {
 
   mongoose.connection.once("open", () => {
     loadConfig();
-    startAnomalyDetection();
     startSnapshotCleanup();
   });
 
@@ -820,5 +1189,12 @@ const initHooks = (app, userTrackingModel) => {
 };
 
 module.exports = initHooks;
+module.exports.getConfig = () => cachedConfig;
+module.exports.getTimezone = getTimezone;
+module.exports.NOTIFY_CHANNELS = NOTIFY_CHANNELS;
+module.exports.notifyChannels = notifyChannels;
+module.exports.formatClock = formatClock;
+module.exports.escapeHtml = escapeHtml;
+module.exports.resolveTimezone = resolveTimezone;
 
 // --- END OF FILE hook.js ---
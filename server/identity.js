@@ -0,0 +1,198 @@
+// --- START OF FILE identity.js ---
+//
+// 访客身份：以客户端生成的匿名 ID（cookie / localStorage）作为主身份，
+// IP 仅作为访客属性保存。一个访客可以关联多个 ID（例如登录后的账号 ID）。
+//
+// 身份关联接口是公开的：给已有访客追加新 ID 无需签名，但合并两个已有访客
+// 需要站点服务端用项目的 identify_secret 签名（见 signIdentity），避免任意调用方合并他人的访客。
+
+const crypto = require("crypto");
+const { UserTracking, TrackEvent, Session } = require("./models");
+const { Project } = require("./projects");
+const { rebuildSessions } = require("./sessions");
+const { markVisitorRollupsDirty } = require("./rollups");
+const { EnrichmentJob } = require("./enrichment");
+const { QuarantinedEvent } = require("./registry");
+
+// 客户端存放匿名 ID 的 cookie 名称
+const VISITOR_COOKIE = "lt_vid";
+const VISITOR_ID_PATTERN = /^[A-Za-z0-9_.:-]{8,64}$/;
+
+function readCookie(req, name) {
+  const header = req.headers.cookie;
+  if (!header) return null;
+
+  for (const part of header.split(";")) {
+    const [key, ...rest] = part.trim().split("=");
+    if (key === name) {
+      try {
+        return decodeURIComponent(rest.join("="));
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+function isValidVisitorId(id) {
+  return typeof id === "string" && VISITOR_ID_PATTERN.test(id);
+}
+
+// 解析请求中的访客 ID：上报的 visitorId > cookie > 基于 IP 的兼容 ID
+function getVisitorId(requestedId, req, ip) {
+  const id = requestedId || readCookie(req, VISITOR_COOKIE);
+
+  if (!id) {
+    // 旧版客户端未上报 ID 时，沿用按 IP 区分访客的行为
+    return { visitor_id: `ip:${ip}` };
+  }
+
+  if (!isValidVisitorId(id)) {
+    return { error: "Invalid visitorId" };
+  }
+
+  return { visitor_id: id };
+}
+
+// 在项目内通过主 ID 或任一关联 ID 查找访客
+function findVisitor(projectId, id) {
+  return UserTracking.findOne({
+    project: projectId,
+    $or: [{ visitor_id: id }, { aliases: id }],
+  });
+}
+
+// 身份关联签名：HMAC_SHA256(identify_secret, `${visitorId}:${aliasId}`) 的十六进制
+function signIdentity(secret, visitorId, aliasId) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${visitorId}:${aliasId}`)
+    .digest("hex");
+}
+
+// 校验身份关联请求的签名；项目未生成 identify_secret 时一律不通过
+async function verifyIdentitySignature(
+  projectId,
+  visitorId,
+  aliasId,
+  signature
+) {
+  if (typeof signature !== "string" || !signature) return false;
+
+  const project = await Project.findById(projectId)
+    .select("+identify_secret")
+    .lean();
+  if (!project?.identify_secret) return false;
+
+  const expected = Buffer.from(
+    signIdentity(project.identify_secret, visitorId, aliasId)
+  );
+  const actual = Buffer.from(signature);
+  return (
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+  );
+}
+
+// 将 source 访客合并到 target：迁移事件、合并档案，再重建会话与预聚合
+async function mergeVisitors(source, target) {
+  await TrackEvent.updateMany(
+    { visitor: source._id },
+    { $set: { visitor: target._id } }
+  );
+
+  // 隔离区事件按上报的 ID 记录，统一改为 target 的主 ID
+  await QuarantinedEvent.updateMany(
+    {
+      project: source.project,
+      visitor_id: { $in: [source.visitor_id, ...(source.aliases || [])] },
+    },
+    { $set: { visitor_id: target.visitor_id } }
+  );
+
+  // 未完成的位置解析任务：target 自己有任务时以其为准，否则转给 target
+  if (await EnrichmentJob.exists({ visitor: target._id })) {
+    await EnrichmentJob.deleteMany({ visitor: source._id });
+  } else {
+    await EnrichmentJob.updateMany(
+      { visitor: source._id },
+      { $set: { visitor: target._id } }
+    );
+  }
+
+  await UserTracking.updateOne(
+    { _id: target._id },
+    {
+      $addToSet: {
+        aliases: { $each: [source.visitor_id, ...(source.aliases || [])] },
+      },
+      $min: { "profile.first_login": source.profile.first_login },
+      $max: { "profile.last_login": source.profile.last_login },
+      $inc: {
+        "stats.event_count": source.stats?.event_count || 0,
+        "stats.total_stay_time": source.stats?.total_stay_time || 0,
+        "stats.view_count": source.stats?.view_count || 0,
+        "stats.zero_stay_views": source.stats?.zero_stay_views || 0,
+      },
+      $set: { updated_at: new Date() },
+    }
+  );
+
+  await UserTracking.deleteOne({ _id: source._id });
+  await Session.deleteMany({ visitor: source._id });
+  await rebuildSessions(target);
+
+  // 预聚合的访客列表中仍有 source 的 _id：事件迁移后 target 覆盖两个访客的全部事件，
+  // 按 target 的事件标记所涉及的小时重算即可（新访客判断也随 first_login 更新）
+  await markVisitorRollupsDirty(target);
+
+  console.log(
+    `[Identity] Merged visitor ${source.visitor_id} into ${target.visitor_id}`
+  );
+}
+
+// 身份关联：把 aliasId 关联到 visitorId 所属的访客。
+// 若 aliasId 已属于另一个访客（例如同一账号在其他设备登录过），两个访客会被合并，
+// 以 aliasId 的所属访客为准。返回合并后的访客文档，访客不存在时返回 null；
+// 需要合并但 allowMerge 为 false（请求未签名）时不做修改，返回 false。
+async function linkIdentities(
+  projectId,
+  visitorId,
+  aliasId,
+  { allowMerge = true } = {}
+) {
+  const owner = await findVisitor(projectId, visitorId);
+  const aliasOwner = await findVisitor(projectId, aliasId);
+
+  if (!owner && !aliasOwner) return null;
+
+  if (owner && aliasOwner) {
+    if (!owner._id.equals(aliasOwner._id)) {
+      if (!allowMerge) return false;
+      await mergeVisitors(owner, aliasOwner);
+    }
+    return UserTracking.findById(aliasOwner._id);
+  }
+
+  const target = owner || aliasOwner;
+  const newAlias = owner ? aliasId : visitorId;
+
+  return UserTracking.findByIdAndUpdate(
+    target._id,
+    { $addToSet: { aliases: newAlias }, $set: { updated_at: new Date() } },
+    { new: true }
+  );
+}
+
+module.exports = {
+  VISITOR_COOKIE,
+  isValidVisitorId,
+  getVisitorId,
+  findVisitor,
+  signIdentity,
+  verifyIdentitySignature,
+  linkIdentities,
+};
+
+// --- END OF FILE identity.js ---
@@ -0,0 +1,462 @@
+// --- START OF FILE imports.js ---
+//
+// 历史数据导入：公开的打点接口只使用服务端的 IP 与当前时间，
+// 需要写入指定访客、地理位置与历史时间的数据（迁移旧系统、生成演示数据等）统一走这里。
+//
+// - 仅限后台账号（editor 及以上）调用，每次请求最多 MAX_IMPORT_SIZE 条事件
+// - 每次导入对应一个批次（ImportBatch），导入的事件与由导入创建的访客都带有 import_id，
+//   统计接口可通过 ?exclude_imports=1 排除，也可以按批次整体删除
+// - 事件时间不能晚于当前时间，也不能早于原始数据保留策略的截止时刻
+
+const net = require("net");
+const express = require("express");
+const mongoose = require("mongoose");
+const { UserTracking, TrackEvent, Session } = require("./models");
+const { requireRole } = require("./auth");
+const { findProject } = require("./projects");
+const { isValidVisitorId } = require("./identity");
+const { rebuildSessions } = require("./sessions");
+const { markRollupsDirty } = require("./rollups");
+const { EnrichmentJob } = require("./enrichment");
+const { getRetentionCutoff } = require("./retention");
+const { loadIpSalt, anonymizeIP } = require("./privacy");
+const { UNKNOWN } = require("./geo");
+const { parseProperties } = require("./registry");
+
+const router = express.Router();
+
+// 单次导入请求允许的最大事件数
+const MAX_IMPORT_SIZE = 1000;
+
+// 由 index.js 注入：与打点接口共用的写入逻辑
+let appendTracks = null;
+
+// ==========================================
+// 1. 数据模型定义
+// ==========================================
+const ImportBatchSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Project",
+    required: true,
+  },
+  label: String,
+  created_by: String, // 创建批次的后台用户名
+  event_count: { type: Number, default: 0 },
+  visitor_count: { type: Number, default: 0 },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now },
+});
+
+ImportBatchSchema.index({ project: 1, created_at: -1 });
+
+const ImportBatch = mongoose.model("ImportBatch", ImportBatchSchema);
+
+// ==========================================
+// 2. 校验
+// ==========================================
+
+function parseLocation(location) {
+  if (location === undefined || location === null) return null;
+  if (typeof location !== "object" || Array.isArray(location)) {
+    return { error: "Invalid location" };
+  }
+  const result = {};
+  for (const field of ["country", "region", "city"]) {
+    const value = location[field];
+    if (value !== undefined && typeof value !== "string") {
+      return { error: `Invalid location.${field}` };
+    }
+    result[field] = value || UNKNOWN[field];
+  }
+  return { location: result };
+}
+
+// 校验并规范化单条导入事件
+function parseImportEvent(event, cutoff) {
+  if (!event || typeof event !== "object" || Array.isArray(event)) {
+    return { error: "Invalid event" };
+  }
+
+  const { visitor_id, type, page, target, stay_time, timestamp, created_at } =
+    event;
+
+  if (!isValidVisitorId(visitor_id)) {
+    return { error: "Invalid visitor_id" };
+  }
+  if (!type || !page) {
+    return { error: "Missing required fields" };
+  }
+
+  const time = new Date(created_at);
+  if (created_at === undefined || isNaN(time.getTime())) {
+    return { error: "Invalid created_at" };
+  }
+  if (time > new Date()) {
+    return { error: "created_at is in the future" };
+  }
+  if (cutoff && time < cutoff) {
+    return { error: "created_at is before the retention cutoff" };
+  }
+
+  const parsedLocation = parseLocation(event.location);
+  if (parsedLocation?.error) return { error: parsedLocation.error };
+
+  if (event.ip !== undefined && !net.isIP(String(event.ip))) {
+    return { error: "Invalid ip" };
+  }
+
+  // 导入的事件不按事件注册表校验，只检查属性格式
+  const { properties, error } = parseProperties(event.properties);
+  if (error) return { error };
+
+  return {
+    visitor_id,
+    ip: event.ip,
+    user_agent: typeof event.user_agent === "string" ? event.user_agent : "",
+    location: parsedLocation?.location || null,
+    track: {
+      event_type: type,
+      event_target: target || "",
+      timestamp: timestamp || time.getTime(),
+      page,
+      stay_time: Number(stay_time) || 0,
+      created_at: time,
+      ...(properties ? { properties } : {}),
+      ...(parsedLocation ? { location: parsedLocation.location } : {}),
+    },
+  };
+}
+
+// ==========================================
+// 3. 删除批次
+// ==========================================
+
+// 按剩余事件重新计算访客的汇总计数与首末访问时间，没有剩余事件时删除访客
+async function recomputeVisitor(visitorId) {
+  const [stats] = await TrackEvent.aggregate([
+    { $match: { visitor: visitorId } },
+    {
+      $group: {
+        _id: null,
+        event_count: { $sum: 1 },
+        total_stay_time: { $sum: { $ifNull: ["$stay_time", 0] } },
+        view_count: {
+          $sum: { $cond: [{ $eq: ["$event_type", "view"] }, 1, 0] },
+        },
+        zero_stay_views: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $eq: ["$event_type", "view"] },
+                  { $not: [{ $ifNull: ["$stay_time", 0] }] },
+                ],
+              },
+              1,
+              0,
+            ],
+          },
+        },
+        first_login: { $min: "$created_at" },
+        last_login: { $max: "$created_at" },
+        // 剩余事件中实时上报（不属于任何导入批次）的数量，以及剩余事件所属的某个批次
+        live_events: {
+          $sum: { $cond: [{ $ifNull: ["$import_id", false] }, 0, 1] },
+        },
+        remaining_import: { $max: "$import_id" },
+      },
+    },
+  ]);
+
+  if (!stats) {
+    await Promise.all([
+      Session.deleteMany({ visitor: visitorId }),
+      EnrichmentJob.deleteMany({ visitor: visitorId }),
+      UserTracking.deleteOne({ _id: visitorId }),
+    ]);
+    return false;
+  }
+
+  const visitor = await UserTracking.findByIdAndUpdate(
+    visitorId,
+    {
+      $set: {
+        "stats.event_count": stats.event_count,
+        "stats.total_stay_time": stats.total_stay_time,
+        "stats.view_count": stats.view_count,
+        "stats.zero_stay_views": stats.zero_stay_views,
+        "profile.first_login": stats.first_login,
+        "profile.last_login": stats.last_login,
+        updated_at: new Date(),
+        // 剩余事件全部来自其他导入批次时，访客仍视为导入的访客
+        ...(stats.live_events === 0
+          ? { import_id: stats.remaining_import }
+          : {}),
+      },
+      // 访客还有实时上报的事件，不再视为导入的访客
+      ...(stats.live_events > 0 ? { $unset: { import_id: "" } } : {}),
+    },
+    { new: true, projection: { _id: 1, project: 1, is_bot: 1 } }
+  ).lean();
+  if (visitor) await rebuildSessions(visitor);
+  return true;
+}
+
+// 删除批次导入的全部事件，并修正受影响的访客、会话与预聚合
+async function deleteImport(batch) {
+  const importFilter = { import_id: batch._id };
+
+  const hours = await TrackEvent.aggregate([
+    { $match: importFilter },
+    {
+      $group: {
+        _id: {
+          $dateToString: { format: "%Y-%m-%dT%H:00:00Z", date: "$created_at" },
+        },
+      },
+    },
+  ]);
+  if (hours.length > 0) {
+    await markRollupsDirty(
+      batch.project,
+      hours.map((h) => ({ created_at: new Date(h._id) }))
+    );
+  }
+
+  const visitorIds = await TrackEvent.distinct("visitor", importFilter);
+  const events = await TrackEvent.deleteMany(importFilter);
+
+  let visitorsDeleted = 0;
+  for (const visitorId of visitorIds) {
+    if (!(await recomputeVisitor(visitorId))) visitorsDeleted++;
+  }
+
+  await ImportBatch.deleteOne({ _id: batch._id });
+
+  return {
+    events: events.deletedCount,
+    visitors_updated: visitorIds.length - visitorsDeleted,
+    visitors_deleted: visitorsDeleted,
+  };
+}
+
+// ==========================================
+// 4. 中间件
+// ==========================================
+
+// 统计接口是否排除历史导入的数据：?exclude_imports=1|true
+function resolveImportFilter(req, res, next) {
+  const value = String(req.query.exclude_imports || "").toLowerCase();
+  req.excludeImports = value === "1" || value === "true";
+  next();
+}
+
+// ==========================================
+// 5. API 路由定义 (/api/admin)
+// ==========================================
+
+// 导入历史事件：{ project, label?, import_id?, events: [...] }
+// 每条事件：{ visitor_id, type, page, target?, stay_time?, timestamp?, created_at, properties?,
+//             location?: { country, region, city }, ip?, user_agent? }
+// 传入 import_id 时追加到已有批次；带 ip 且未指定 location 的新访客由补全队列解析地理位置
+router.post("/import", requireRole("editor"), loadIpSalt, async (req, res) => {
+  const { events, label } = req.body || {};
+
+  if (!Array.isArray(events) || events.length === 0) {
+    return res
+      .status(400)
+      .json({ success: false, error: "events must be a non-empty array" });
+  }
+  if (events.length > MAX_IMPORT_SIZE) {
+    return res.status(400).json({
+      success: false,
+      error: `Too many events, max ${MAX_IMPORT_SIZE} per request`,
+    });
+  }
+
+  try {
+    const project = await findProject(req.body.project);
+    if (!project) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Project not found" });
+    }
+
+    let batch;
+    if (req.body.import_id) {
+      batch = mongoose.isValidObjectId(req.body.import_id)
+        ? await ImportBatch.findOne({
+            _id: req.body.import_id,
+            project: project._id,
+          })
+        : null;
+      if (!batch) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Import not found" });
+      }
+    }
+
+    const cutoff = getRetentionCutoff();
+    const results = new Array(events.length);
+    const groups = new Map();
+
+    // 1. 逐条校验，并按访客分组
+    events.forEach((event, index) => {
+      const parsed = parseImportEvent(event, cutoff);
+      if (parsed.error) {
+        results[index] = { index, success: false, error: parsed.error };
+        return;
+      }
+
+      let group = groups.get(parsed.visitor_id);
+      if (!group) {
+        group = {
+          visitor_id: parsed.visitor_id,
+          user_ip: anonymizeIP(parsed.ip) || "",
+          raw_ip: parsed.ip,
+          user_agent: parsed.user_agent,
+          location: parsed.location,
+          tracks: [],
+          indexes: [],
+        };
+        groups.set(parsed.visitor_id, group);
+      }
+      // 访客档案的位置取该访客第一条带 location 的事件
+      if (!group.location) group.location = parsed.location;
+      group.tracks.push(parsed.track);
+      group.indexes.push(index);
+    });
+
+    if (groups.size === 0) {
+      return res.status(400).json({
+        success: false,
+        accepted: 0,
+        rejected: events.length,
+        results,
+      });
+    }
+
+    if (!batch) {
+      batch = await ImportBatch.create({
+        project: project._id,
+        label,
+        created_by: req.admin?.user?.username,
+      });
+    }
+
+    // 2. 每个访客一次写入
+    for (const group of groups.values()) {
+      try {
+        await appendTracks(
+          project,
+          { ...group, import_id: batch._id },
+          group.tracks
+        );
+        group.indexes.forEach((index) => {
+          results[index] = { index, success: true };
+        });
+      } catch (error) {
+        console.error("[Import] Error saving events:", error);
+        group.indexes.forEach((index) => {
+          results[index] = { index, success: false, error: "Server error" };
+        });
+      }
+    }
+
+    const accepted = results.filter((r) => r.success).length;
+    const [visitors] = await TrackEvent.aggregate([
+      { $match: { import_id: batch._id } },
+      { $group: { _id: "$visitor" } },
+      { $count: "count" },
+    ]);
+    await ImportBatch.updateOne(
+      { _id: batch._id },
+      {
+        $inc: { event_count: accepted },
+        $set: { visitor_count: visitors?.count || 0, updated_at: new Date() },
+      }
+    );
+
+    console.log(
+      `[Import] ${project.slug} batch ${batch._id}: ${accepted}/${events.length} events imported by ${batch.created_by}`
+    );
+    res.status(200).json({
+      success: accepted > 0,
+      import_id: batch._id,
+      accepted,
+      rejected: events.length - accepted,
+      results,
+    });
+  } catch (error) {
+    console.error("[Import] Error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 导入批次列表：?project= 限定项目
+router.get("/imports", requireRole("viewer"), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.project) {
+      const project = await findProject(req.query.project);
+      if (!project) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Project not found" });
+      }
+      query.project = project._id;
+    }
+    const batches = await ImportBatch.find(query)
+      .sort({ created_at: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 100, 1000))
+      .lean();
+    res.json({ success: true, data: batches });
+  } catch (error) {
+    console.error("[Import] List error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 删除某个批次导入的全部数据
+router.delete("/imports/:id", requireRole("editor"), async (req, res) => {
+  try {
+    const batch = mongoose.isValidObjectId(req.params.id)
+      ? await ImportBatch.findById(req.params.id).lean()
+      : null;
+    if (!batch) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Import not found" });
+    }
+
+    const deleted = await deleteImport(batch);
+    console.log(
+      `[Import] Deleted batch ${batch._id} (${deleted.events} events) by ${req.admin?.user?.username}`
+    );
+    res.json({ success: true, data: deleted });
+  } catch (error) {
+    console.error("[Import] Delete error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// ==========================================
+// 6. 初始化
+// ==========================================
+
+// options.appendTracks：打点接口的写入逻辑（访客档案、事件、会话、预聚合、补全队列）
+const initImports = (app, options = {}) => {
+  appendTracks = options.appendTracks;
+  app.use("/api/admin", router);
+};
+
+module.exports = {
+  ImportBatch,
+  initImports,
+  resolveImportFilter,
+  MAX_IMPORT_SIZE,
+};
+
+// --- END OF FILE imports.js ---
@@ -5,11 +5,66 @@ const mongoose = require("mongoose");
 const cors = require("cors");
 const path = require("path");
 const config = require("../config/database.js");
-const https = require("https");
 const rateLimit = require("express-rate-limit");
+const { UserTracking, TrackEvent, Session } = require("./models");
+const {
+  getDateRangeQuery,
+  formatDay,
+  addDays,
+  startOfDay,
+  eventMatch,
+  visitorMatch,
+} = require("./utils");
 
 // [新增] 引入 Hook 模块
 const initHooks = require("./hook");
+const { initAuth, requireRole } = require("./auth");
+const { initProjects, resolveIngestProject } = require("./projects");
+const { initSessions, trackSessions } = require("./sessions");
+const { initFunnels } = require("./funnels");
+const { initCohorts } = require("./cohorts");
+const { initExport } = require("./export");
+const { initVisitors } = require("./visitors");
+const { initGeo, UNKNOWN } = require("./geo");
+const { initBots, evaluateVisitor, resolveBotFilter } = require("./bots");
+const { initQuery } = require("./query");
+const { initBaseline } = require("./baseline");
+const { initSegments } = require("./segments");
+const {
+  initPrivacy,
+  loadIpSalt,
+  anonymizeIP,
+  getPrivacyMode,
+} = require("./privacy");
+const { initRetention, getRetentionCutoff } = require("./retention");
+const { initAlerts, AlertState, AlertHistory } = require("./alerts");
+const { ImportBatch, initImports, resolveImportFilter } = require("./imports");
+const {
+  QuarantinedEvent,
+  initRegistry,
+  parseProperties,
+  screenEvent,
+} = require("./registry");
+const {
+  EnrichmentJob,
+  initEnrichment,
+  enqueueEnrichment,
+} = require("./enrichment");
+const {
+  Rollup,
+  initRollups,
+  summarizeRange,
+  topCounts,
+  visitorIds,
+  markRollupsDirty,
+} = require("./rollups");
+const {
+  getVisitorId,
+  findVisitor,
+  isValidVisitorId,
+  verifyIdentitySignature,
+  linkIdentities,
+} = require("./identity");
 
 // 创建限制规则
 const trackLimiter = rateLimit({
@@ -28,8 +83,6 @@ const trackLimiter = rateLimit({
 const app = express();
 const port = 3000;
 
-const ADMIN_TOKEN = "WPWix32CBJpLYAKiHYsx";
-
 // [修复] 修改 Trust Proxy 设置，解决报错并安全获取 IP
 // 1 表示信任第一层代理 (Nginx)，这样 req.ip 依然准确，且 rate-limit 库不会报错
 app.set("trust proxy", 1);
@@ -47,72 +100,64 @@ mongoose
     console.error("MongoDB connection error:", err);
   });
 
-// 定义用户跟踪数据模型
-const UserTrackingSchema = new mongoose.Schema({
-  user_ip: { type: String, unique: true, required: true },
-  profile: {
-    location: {
-      country: String,
-      region: String,
-      city: String,
-    },
-    first_login: { type: Date, default: Date.now },
-    last_login: { type: Date, default: Date.now },
-  },
-  tracks: [
-    {
-      event_type: String,
-      event_target: String,
-      timestamp: Number,
-      page: String,
-      stay_time: Number,
-      created_at: { type: Date, default: Date.now },
-    },
-  ],
-  created_at: { type: Date, default: Date.now },
-  updated_at: { type: Date, default: Date.now },
-});
-
-const UserTracking = mongoose.model("UserTracking", UserTrackingSchema);
-
 // 中间件
 app.use(
   cors({
     origin: "*",
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Ingest-Key"],
   })
 );
 app.use(express.json());
 app.use(express.static(path.join(__dirname, "../public")));
 
-// 权限校验中间件
-const authGuard = (req, res, next) => {
-  // 同时支持 X-Admin-Token 和 Authorization，优先读 X-Admin-Token
-  // 注意：Express headers 都是小写的
-  const clientToken =
-    req.headers["x-admin-token"] || req.headers["authorization"];
-
-  // 打印日志方便调试
-  if (clientToken !== ADMIN_TOKEN) {
-    console.warn(
-      `[Auth] Failed. IP: ${req.ip}, Token received: ${clientToken}`
-    );
-  }
+// 后台账号登录与权限校验（/api/auth，以及 /api/admin 下的账号、Token 管理接口）
+initAuth(app);
 
-  if (clientToken === ADMIN_TOKEN) {
-    next();
-  } else {
-    // 确保返回 403
-    res
-      .status(403)
-      .json({ success: false, error: "Access Denied: Unauthorized" });
-  }
-};
+// 管理员接口与数据分析接口：至少需要 viewer 角色，具体接口再按需提升
+app.use("/api/admin", requireRole("viewer"));
+app.use("/api/stats", requireRole("viewer"));
+
+// 统计接口的时区：?tz= 参数（IANA 名称），默认取系统配置
+app.use("/api/stats", initHooks.resolveTimezone);
+// 统计接口默认排除机器人流量，?include_bots=1 时包含
+app.use("/api/stats", resolveBotFilter);
+// ?exclude_imports=1 时排除历史导入的数据
+app.use("/api/stats", resolveImportFilter);
+
+// 项目管理接口；统计接口按 ?project= 参数（默认项目）限定范围
+initProjects(app);
+
+// 访客分群（/api/admin/segments）；统计接口按 ?segment= 限定访客
+initSegments(app);
 
 // [新增] 初始化 Hooks (邮件、报表、配置接口)
-// 这行代码必须在 authGuard, UserTracking 定义之后，app.listen 之前
-initHooks(app, UserTracking);
+// 这行代码必须在权限校验中间件、UserTracking 定义之后，app.listen 之前
+initHooks(app, UserTracking, TrackEvent);
+
+// 预聚合后台任务与重建接口（/api/admin/rollups/rebuild）
+initRollups(app, {
+  getTimezone: initHooks.getTimezone,
+  getRetentionCutoff,
+});
+
+// IP 地理位置（本地数据库，/api/admin/geoip 查看状态与重新加载）
+initGeo(app);
+
+// 新访客信息异步补全队列（/api/admin/enrichment）
+initEnrichment(app);
+
+// IP 匿名化与访客数据导出 / 删除（/api/admin/visitors/:id、/api/admin/erasures）
+initPrivacy(app);
+
+// 原始数据保留策略（/api/admin/retention）
+initRetention(app);
+
+// 告警规则与告警历史（/api/admin/alert-rules、/api/admin/alerts）
+initAlerts(app);
+
+// 事件注册表与隔离区（/api/admin/event-types、/api/admin/event-validation）
+initRegistry(app);
 
 // 获取用户真实IP
 function getClientIP(req) {
@@ -121,60 +166,18 @@ function getClientIP(req) {
   );
 }
 
-// 获取IP地理位置
-async function getIPGeolocation(ip) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: "ipinfo.io",
-      path: `/${ip}/json`,
-      method: "GET",
-    };
-
-    const req = https.request(options, (res) => {
-      let data = "";
-      res.on("data", (chunk) => {
-        data += chunk;
-      });
-      res.on("end", () => {
-        try {
-          const result = JSON.parse(data);
-          resolve({
-            country: result.country || "Unknown",
-            region: result.region || "Unknown",
-            city: result.city || "Unknown",
-          });
-        } catch (error) {
-          console.error("Error parsing geolocation data:", error);
-          resolve({
-            country: "Unknown",
-            region: "Unknown",
-            city: "Unknown",
-          });
-        }
-      });
-    });
-
-    req.on("error", (error) => {
-      console.error("Error getting geolocation:", error);
-      resolve({
-        country: "Unknown",
-        region: "Unknown",
-        city: "Unknown",
-      });
-    });
-
-    req.end();
-  });
-}
-
-// 3. 管理员接口：增加 authGuard 保护
-app.use("/api/admin", authGuard);
-
-// 重置数据库接口（增强版 - 带详细日志）
-app.delete("/api/admin/reset", async (req, res) => {
+// 重置数据库接口（增强版 - 带详细日志），仅 owner 可调用
+app.delete("/api/admin/reset", requireRole("owner"), async (req, res) => {
   try {
     const results = {
       usertracking_deleted: 0,
+      events_deleted: 0,
+      sessions_deleted: 0,
+      rollups_deleted: 0,
+      enrichment_jobs_deleted: 0,
+      imports_deleted: 0,
+      quarantined_deleted: 0,
+      alerts_deleted: 0,
       snapshots_deleted: 0,
       config_preserved: true,
     };
@@ -186,6 +189,41 @@ app.delete("/api/admin/reset", async (req, res) => {
       `[Reset] Deleted ${results.usertracking_deleted} user tracking records.`
     );
 
+    const eventResult = await TrackEvent.deleteMany({});
+    results.events_deleted = eventResult.deletedCount;
+    console.log(`[Reset] Deleted ${results.events_deleted} track events.`);
+
+    const sessionResult = await Session.deleteMany({});
+    results.sessions_deleted = sessionResult.deletedCount;
+    console.log(`[Reset] Deleted ${results.sessions_deleted} sessions.`);
+
+    const rollupResult = await Rollup.deleteMany({});
+    results.rollups_deleted = rollupResult.deletedCount;
+    console.log(`[Reset] Deleted ${results.rollups_deleted} rollups.`);
+
+    const jobResult = await EnrichmentJob.deleteMany({});
+    results.enrichment_jobs_deleted = jobResult.deletedCount;
+    console.log(
+      `[Reset] Deleted ${results.enrichment_jobs_deleted} enrichment jobs.`
+    );
+
+    const importResult = await ImportBatch.deleteMany({});
+    results.imports_deleted = importResult.deletedCount;
+    console.log(`[Reset] Deleted ${results.imports_deleted} import batches.`);
+
+    // 事件注册表属于配置，保留；只清空隔离区
+    const quarantineResult = await QuarantinedEvent.deleteMany({});
+    results.quarantined_deleted = quarantineResult.deletedCount;
+    console.log(
+      `[Reset] Deleted ${results.quarantined_deleted} quarantined events.`
+    );
+
+    // 告警规则属于配置，保留；清空告警状态与历史
+    await AlertState.deleteMany({});
+    const alertResult = await AlertHistory.deleteMany({});
+    results.alerts_deleted = alertResult.deletedCount;
+    console.log(`[Reset] Deleted ${results.alerts_deleted} alert records.`);
+
     // 2. 删除报表快照数据
     const ReportSnapshot = mongoose.model("ReportSnapshot");
     const snapshotResult = await ReportSnapshot.deleteMany({});
@@ -219,78 +257,375 @@ app.delete("/api/admin/reset", async (req, res) => {
   }
 });
 
-// 打点接口
-app.post("/api/track", trackLimiter, async (req, res) => {
-  const {
-    type,
-    target,
-    timestamp,
-    page,
-    stayTime,
-    custom_created_at,
-    mock_location,
-  } = req.body;
-
-  const user_ip = req.body.mock_ip || getClientIP(req);
-  const recordTime = custom_created_at
-    ? new Date(custom_created_at)
-    : new Date();
+// 单次批量上报允许的最大事件数
+const MAX_BATCH_SIZE = 50;
+
+// 校验并规范化单条打点数据，单条接口与批量接口共用
+function parseTrackEvent(body, req, defaultVisitorId) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { error: "Invalid event" };
+  }
+
+  const { type, target, timestamp, page, stayTime } = body;
 
   if (!type || !page) {
-    return res
-      .status(400)
-      .json({ success: false, error: "Missing required fields" });
+    return { error: "Missing required fields" };
   }
 
-  try {
-    let userTracking = await UserTracking.findOne({ user_ip });
-
-    if (!userTracking) {
-      let location;
-      if (mock_location) {
-        location = mock_location;
-      } else {
-        location = await getIPGeolocation(user_ip);
-      }
-
-      userTracking = new UserTracking({
-        user_ip,
-        profile: {
-          location,
-          first_login: recordTime,
-          last_login: recordTime,
-        },
-        tracks: [],
-      });
-    } else {
-      if (recordTime > userTracking.profile.last_login) {
-        userTracking.profile.last_login = recordTime;
-      }
-    }
+  // 自定义属性只做格式检查，是否符合注册表由 screenEvent 按项目判断
+  const { properties, error } = parseProperties(body.properties);
+  if (error) {
+    return { error };
+  }
 
-    let newData = {
-      user_ip,
-      location: userTracking.profile.location,
+  // 原始 IP 只用于补全地理位置，入库与日志只使用匿名化后的 user_ip
+  const raw_ip = getClientIP(req);
+  const user_ip = anonymizeIP(raw_ip);
+  const identity = getVisitorId(
+    body.visitorId || defaultVisitorId,
+    req,
+    user_ip
+  );
+  if (identity.error) {
+    return { error: identity.error };
+  }
+
+  return {
+    visitor_id: identity.visitor_id,
+    user_ip,
+    raw_ip,
+    user_agent: req.headers["user-agent"] || "",
+    track: {
       event_type: type,
       event_target: target || "",
       timestamp: timestamp || Date.now(),
       page,
       stay_time: stayTime || 0,
-      created_at: recordTime,
-    };
+      ...(properties ? { properties } : {}),
+      created_at: new Date(),
+    },
+  };
+}
 
-    userTracking.tracks.push(newData);
-    userTracking.updated_at = new Date();
-    await userTracking.save();
+// 将同一访客的多条记录一次性写入（新访客的地理位置由补全队列异步填充）
+// source: { visitor_id, user_ip, raw_ip, user_agent, location, import_id }
+// 历史数据导入（见 imports.js）会带上 location（及每条事件自己的 location）与 import_id，
+// 导入的数据不参与机器人识别
+async function appendTracks(project, source, tracks) {
+  const { visitor_id, user_ip, raw_ip, user_agent, import_id } = source;
+  const times = tracks.map((t) => t.created_at.getTime());
+  const firstTime = new Date(Math.min(...times));
+  const lastTime = new Date(Math.max(...times));
+  const totalStay = tracks.reduce((sum, t) => sum + (t.stay_time || 0), 0);
+  const views = tracks.filter((t) => t.event_type === "view");
+
+  // 访客可能通过主 ID 或关联 ID 上报
+  const existing = await findVisitor(project._id, visitor_id)
+    .select("profile.location")
+    .lean();
+  const location = existing
+    ? existing.profile?.location
+    : source.location || { ...UNKNOWN };
+
+  // 1. 更新（或创建）访客档案与汇总计数
+  const visitor = await UserTracking.findOneAndUpdate(
+    existing ? { _id: existing._id } : { project: project._id, visitor_id },
+    {
+      $inc: {
+        "stats.event_count": tracks.length,
+        "stats.total_stay_time": totalStay,
+        "stats.view_count": views.length,
+        "stats.zero_stay_views": views.filter((t) => !t.stay_time).length,
+      },
+      $min: { "profile.first_login": firstTime },
+      $max: { "profile.last_login": lastTime },
+      $set: {
+        // 导入的事件未带 IP / User-Agent 时保留访客原有的值
+        ...(import_id && !user_ip ? {} : { user_ip }),
+        ...(import_id && !user_agent ? {} : { user_agent }),
+        updated_at: new Date(),
+      },
+      $setOnInsert: {
+        "profile.location": location,
+        created_at: new Date(),
+        ...(import_id ? { import_id } : {}),
+      },
+    },
+    {
+      upsert: true,
+      new: true,
+      projection: { _id: 1, project: 1, is_bot: 1, bot_reasons: 1, stats: 1 },
+    }
+  ).lean();
+
+  // 2. 事件写入独立集合
+  await TrackEvent.insertMany(
+    tracks.map((track) => ({
+      ...track,
+      project: project._id,
+      visitor: visitor._id,
+      location: track.location || location,
+      is_bot: !!visitor.is_bot,
+      ...(import_id ? { import_id } : {}),
+    }))
+  );
 
-    console.log("Tracking data saved:", newData);
-    res.status(200).json({ success: true });
+  // 3. 归并到访问会话（失败不影响事件入库）
+  try {
+    await trackSessions(visitor, tracks);
+  } catch (error) {
+    console.error("Error updating sessions:", error);
+  }
+
+  // 4. 机器人识别（失败不影响事件入库）
+  if (!import_id) {
+    try {
+      await evaluateVisitor(visitor, user_agent, tracks);
+    } catch (error) {
+      console.error("Error evaluating bot score:", error);
+    }
+  }
+
+  // 5. 标记预聚合待重算（失败不影响事件入库）
+  try {
+    await markRollupsDirty(project._id, tracks);
+  } catch (error) {
+    console.error("Error marking rollups:", error);
+  }
+
+  // 6. 新访客加入补全队列（失败不影响事件入库，可通过回填接口补救）
+  if (!existing && !source.location && raw_ip) {
+    try {
+      await enqueueEnrichment(visitor, raw_ip);
+    } catch (error) {
+      console.error("Error queueing enrichment:", error);
+    }
+  }
+
+  return location;
+}
+
+// 历史数据导入（/api/admin/import、/api/admin/imports），与打点接口共用写入逻辑
+initImports(app, { appendTracks });
+
+// 打点接口
+app.post("/api/track", trackLimiter, loadIpSalt, async (req, res) => {
+  const parsed = parseTrackEvent(req.body, req);
+
+  if (parsed.error) {
+    return res.status(400).json({ success: false, error: parsed.error });
+  }
+
+  try {
+    const { project, error, status } = await resolveIngestProject(req);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    // 按项目的事件注册表校验，不匹配的事件被拒绝或转入隔离区
+    const screened = await screenEvent(
+      project,
+      parsed.visitor_id,
+      parsed.track
+    );
+    if (screened.action === "rejected") {
+      return res.status(400).json({
+        success: false,
+        error: "Event does not match the event registry",
+        reasons: screened.reasons,
+      });
+    }
+    if (screened.action === "quarantined") {
+      return res.status(200).json({
+        success: true,
+        visitor_id: parsed.visitor_id,
+        quarantined: true,
+        reasons: screened.reasons,
+      });
+    }
+
+    await appendTracks(project, parsed, [parsed.track]);
+
+    console.log("Tracking data saved:", {
+      project: project.slug,
+      visitor_id: parsed.visitor_id,
+      user_ip: parsed.user_ip,
+      ...parsed.track,
+    });
+    res.status(200).json({ success: true, visitor_id: parsed.visitor_id });
   } catch (error) {
     console.error("Error saving tracking data:", error);
     res.status(500).json({ success: false, error: "Server error" });
   }
 });
 
+// 批量打点接口：一次请求上报多条事件，逐条返回处理结果
+app.post("/api/track/batch", trackLimiter, loadIpSalt, async (req, res) => {
+  const { events } = req.body || {};
+
+  if (!Array.isArray(events) || events.length === 0) {
+    return res
+      .status(400)
+      .json({ success: false, error: "events must be a non-empty array" });
+  }
+
+  if (events.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({
+      success: false,
+      error: `Too many events, max ${MAX_BATCH_SIZE} per batch`,
+    });
+  }
+
+  let project;
+  try {
+    const resolved = await resolveIngestProject(req);
+    if (resolved.error) {
+      return res
+        .status(resolved.status)
+        .json({ success: false, error: resolved.error });
+    }
+    project = resolved.project;
+  } catch (error) {
+    console.error("Error resolving project:", error);
+    return res.status(500).json({ success: false, error: "Server error" });
+  }
+
+  const results = new Array(events.length);
+  const groups = new Map();
+
+  // 1. 逐条校验（含事件注册表），并按访客分组
+  for (const [index, event] of events.entries()) {
+    // 单条事件未带 visitorId 时，沿用批量请求顶层的 visitorId
+    const parsed = parseTrackEvent(event, req, req.body.visitorId);
+    if (parsed.error) {
+      results[index] = { index, success: false, error: parsed.error };
+      continue;
+    }
+
+    let screened;
+    try {
+      screened = await screenEvent(project, parsed.visitor_id, parsed.track);
+    } catch (error) {
+      console.error("Error screening batch event:", error);
+      results[index] = { index, success: false, error: "Server error" };
+      continue;
+    }
+    if (!screened.accepted) {
+      // 转入隔离区的事件对客户端视为成功，避免重复上报
+      results[index] =
+        screened.action === "quarantined"
+          ? {
+              index,
+              success: true,
+              quarantined: true,
+              reasons: screened.reasons,
+            }
+          : {
+              index,
+              success: false,
+              error: "Event does not match the event registry",
+              reasons: screened.reasons,
+            };
+      continue;
+    }
+
+    let group = groups.get(parsed.visitor_id);
+    if (!group) {
+      group = {
+        visitor_id: parsed.visitor_id,
+        user_ip: parsed.user_ip,
+        raw_ip: parsed.raw_ip,
+        user_agent: parsed.user_agent,
+        tracks: [],
+        indexes: [],
+      };
+      groups.set(parsed.visitor_id, group);
+    }
+    group.tracks.push(parsed.track);
+    group.indexes.push(index);
+  }
+
+  // 2. 每个访客一次写入
+  for (const group of groups.values()) {
+    try {
+      await appendTracks(project, group, group.tracks);
+      group.indexes.forEach((index) => {
+        results[index] = { index, success: true };
+      });
+    } catch (error) {
+      console.error("Error saving batch tracking data:", error);
+      group.indexes.forEach((index) => {
+        results[index] = { index, success: false, error: "Server error" };
+      });
+    }
+  }
+
+  const accepted = results.filter((r) => r.success && !r.quarantined).length;
+  const quarantined = results.filter((r) => r.quarantined).length;
+  console.log(
+    `Batch tracking saved: ${accepted}/${events.length} events accepted, ${quarantined} quarantined`
+  );
+
+  res.status(200).json({
+    success: accepted + quarantined > 0,
+    accepted,
+    quarantined,
+    rejected: events.length - accepted - quarantined,
+    results,
+  });
+});
+
+// 身份关联接口：例如登录后将匿名 visitorId 与账号 ID 关联，
+// 若该账号 ID 已属于其他访客，两个访客的数据会被合并。
+// 需要携带 ingest key；合并两个访客时还需要 signature（由站点服务端签名，见 identity.js）
+app.post("/api/track/identify", trackLimiter, async (req, res) => {
+  const { visitorId, aliasId, signature } = req.body || {};
+
+  if (!isValidVisitorId(visitorId) || !isValidVisitorId(aliasId)) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Invalid visitorId or aliasId" });
+  }
+
+  try {
+    // 身份关联必须指明项目，不回退到默认项目
+    const { project, error, status } = await resolveIngestProject(req, {
+      requireKey: true,
+    });
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    const signed = await verifyIdentitySignature(
+      project._id,
+      visitorId,
+      aliasId,
+      signature
+    );
+    const visitor = await linkIdentities(project._id, visitorId, aliasId, {
+      allowMerge: signed,
+    });
+    if (visitor === false) {
+      return res.status(403).json({
+        success: false,
+        error: "Merging two visitors requires a signed identify request",
+      });
+    }
+    if (!visitor) {
+      return res.status(404).json({ success: false, error: "Unknown visitor" });
+    }
+
+    res.status(200).json({
+      success: true,
+      visitor_id: visitor.visitor_id,
+      aliases: visitor.aliases,
+    });
+  } catch (error) {
+    console.error("Error linking identities:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
 // 健康检查接口
 app.get("/api/health", (req, res) => {
   res.status(200).json({ success: true, message: "Server is running" });
@@ -299,7 +634,10 @@ app.get("/api/health", (req, res) => {
 // 测试接口
 app.get("/api/test", (req, res) => {
   const { name = "test", age = 18, message = "Hello World" } = req.query;
-  console.log("Test API called:", { ip: getClientIP(req) });
+  // 开启隐私模式时不记录原始 IP
+  console.log("Test API called:", {
+    ip: getPrivacyMode() === "off" ? getClientIP(req) : "[redacted]",
+  });
   res.status(200).json({
     success: true,
     message: "Test API called successfully",
@@ -309,13 +647,55 @@ app.get("/api/test", (req, res) => {
   });
 });
 
-// 数据分析接口
-app.use("/api/stats", authGuard);
+// 数据分析接口（权限校验已在上方统一挂载）
+// 会话统计接口（/api/stats/sessions、/api/stats/daily/sessions）
+initSessions(app);
+// 漏斗定义与转化计算（/api/stats/funnels）
+initFunnels(app);
+// 同期群留存矩阵（/api/stats/cohorts）
+initCohorts(app);
+// 原始事件流式导出（/api/stats/export）
+initExport(app);
+// 访客浏览（/api/stats/visitors）
+initVisitors(app);
+// 机器人流量汇总（/api/stats/bots）
+initBots(app);
+// 通用查询：指标 + 过滤 + 分组（/api/stats/query）
+initQuery(app);
+// 按周内小时学习的流量基线带（/api/stats/baseline）
+initBaseline(app);
+
+// 原始数据（仅适用于调试，批量导出请使用 /api/stats/export）
+// 按 ?page=&limit= 分页返回访客，每个访客只附带最近 NAKED_DATA_TRACKS 条事件
+const NAKED_DATA_LIMIT = 50;
+const NAKED_DATA_MAX_LIMIT = 200;
+const NAKED_DATA_TRACKS = 100;
 
 app.get("/api/stats/naked-data", async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit) || NAKED_DATA_LIMIT, 1),
+    NAKED_DATA_MAX_LIMIT
+  );
+
   try {
-    const stats = await UserTracking.find().populate("tracks");
-    res.status(200).json({ success: true, data: stats });
+    const visitors = await UserTracking.find(visitorMatch(req))
+      .sort({ _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit + 1)
+      .populate({
+        path: "tracks",
+        options: { sort: { created_at: -1 } },
+        perDocumentLimit: NAKED_DATA_TRACKS,
+      });
+    const stats = visitors.slice(0, limit);
+    res.status(200).json({
+      success: true,
+      data: stats,
+      page,
+      limit,
+      has_more: visitors.length > limit,
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: "Server error" });
   }
@@ -323,12 +703,16 @@ app.get("/api/stats/naked-data", async (req, res) => {
 
 app.get("/api/stats/timeline", async (req, res) => {
   try {
-    const stats = await UserTracking.aggregate([
-      { $unwind: "$tracks" },
+    const stats = await TrackEvent.aggregate([
+      { $match: eventMatch(req) },
       {
         $group: {
           _id: {
-            $dateToString: { format: "%Y-%m-%d", date: "$tracks.created_at" },
+            $dateToString: {
+              format: "%Y-%m-%d",
+              date: "$created_at",
+              timezone: req.tz,
+            },
           },
           count: { $sum: 1 },
         },
@@ -343,10 +727,9 @@ app.get("/api/stats/timeline", async (req, res) => {
 
 app.get("/api/stats/targets", async (req, res) => {
   try {
-    const stats = await UserTracking.aggregate([
-      { $unwind: "$tracks" },
-      { $match: { "tracks.event_target": { $exists: true, $ne: "" } } },
-      { $group: { _id: "$tracks.event_target", count: { $sum: 1 } } },
+    const stats = await TrackEvent.aggregate([
+      { $match: eventMatch(req, { event_target: { $exists: true, $ne: "" } }) },
+      { $group: { _id: "$event_target", count: { $sum: 1 } } },
       { $sort: { count: -1 } },
       { $limit: 10 },
     ]);
@@ -358,10 +741,9 @@ app.get("/api/stats/targets", async (req, res) => {
 
 app.get("/api/stats/staytime", async (req, res) => {
   try {
-    const stats = await UserTracking.aggregate([
-      { $unwind: "$tracks" },
-      { $match: { "tracks.stay_time": { $gt: 0 } } },
-      { $group: { _id: null, avgTime: { $avg: "$tracks.stay_time" } } },
+    const stats = await TrackEvent.aggregate([
+      { $match: eventMatch(req, { stay_time: { $gt: 0 } }) },
+      { $group: { _id: null, avgTime: { $avg: "$stay_time" } } },
     ]);
     const avg = stats.length > 0 ? Math.round(stats[0].avgTime) : 0;
     res.status(200).json({ success: true, data: avg });
@@ -373,7 +755,11 @@ app.get("/api/stats/staytime", async (req, res) => {
 app.get("/api/stats/geolocation", async (req, res) => {
   try {
     const stats = await UserTracking.aggregate([
-      { $match: { "profile.location.country": { $ne: "Unknown" } } },
+      {
+        $match: visitorMatch(req, {
+          "profile.location.country": { $ne: "Unknown" },
+        }),
+      },
       { $group: { _id: "$profile.location.country", count: { $sum: 1 } } },
       { $sort: { count: -1 } },
     ]);
@@ -385,9 +771,9 @@ app.get("/api/stats/geolocation", async (req, res) => {
 
 app.get("/api/stats/pages", async (req, res) => {
   try {
-    const stats = await UserTracking.aggregate([
-      { $unwind: "$tracks" },
-      { $group: { _id: "$tracks.page", count: { $sum: 1 } } },
+    const stats = await TrackEvent.aggregate([
+      { $match: eventMatch(req) },
+      { $group: { _id: "$page", count: { $sum: 1 } } },
       { $sort: { count: -1 } },
     ]);
     res.status(200).json({ success: true, data: stats });
@@ -399,9 +785,10 @@ app.get("/api/stats/pages", async (req, res) => {
 app.get("/api/stats/activity", async (req, res) => {
   try {
     const stats = await UserTracking.aggregate([
+      { $match: visitorMatch(req) },
       {
         $project: {
-          tracks_count: { $size: "$tracks" },
+          tracks_count: "$stats.event_count",
           last_login: "$profile.last_login",
           first_login: "$profile.first_login",
         },
@@ -416,9 +803,9 @@ app.get("/api/stats/activity", async (req, res) => {
 
 app.get("/api/stats/events", async (req, res) => {
   try {
-    const stats = await UserTracking.aggregate([
-      { $unwind: "$tracks" },
-      { $group: { _id: "$tracks.event_type", count: { $sum: 1 } } },
+    const stats = await TrackEvent.aggregate([
+      { $match: eventMatch(req) },
+      { $group: { _id: "$event_type", count: { $sum: 1 } } },
       { $sort: { count: -1 } },
     ]);
     res.status(200).json({ success: true, data: stats });
@@ -429,13 +816,11 @@ app.get("/api/stats/events", async (req, res) => {
 
 app.get("/api/stats/overview", async (req, res) => {
   try {
-    const totalUsers = await UserTracking.countDocuments();
-    const totalTracks = await UserTracking.aggregate([
-      { $group: { _id: null, count: { $sum: { $size: "$tracks" } } } },
-    ]);
+    const totalUsers = await UserTracking.countDocuments(visitorMatch(req));
+    const totalTracks = await TrackEvent.countDocuments(eventMatch(req));
     const overview = {
       total_users: totalUsers,
-      total_tracks: totalTracks[0]?.count || 0,
+      total_tracks: totalTracks,
     };
     res.status(200).json({ success: true, data: overview });
   } catch (error) {
@@ -443,44 +828,45 @@ app.get("/api/stats/overview", async (req, res) => {
   }
 });
 
-// 辅助函数
-function getDateRangeQuery(startStr, endStr) {
-  const start = startStr ? new Date(startStr) : new Date();
-  start.setHours(0, 0, 0, 0);
-  const end = endStr ? new Date(endStr) : new Date();
-  end.setHours(23, 59, 59, 999);
-  return { $gte: start, $lte: end };
+// 区间视图接口（读取预聚合，见 rollups.js）
+
+// 汇总请求的日期区间
+function summarizeDailyRange(req, options = {}) {
+  const { startDate, endDate } = req.query;
+  const range = getDateRangeQuery(startDate, endDate, req.tz);
+  return summarizeRange(
+    req.project._id,
+    range.$gte,
+    new Date(range.$lte.getTime() + 1),
+    {
+      timezone: req.tz,
+      includeBots: req.includeBots,
+      excludeImports: req.excludeImports,
+      segment: req.segment,
+      ...options,
+    }
+  );
+}
+
+// 小时分布转为 [{ _id: hour, ...fields }]（按小时升序）
+function hourlyRows(summary, pick) {
+  return [...summary.hours.entries()]
+    .map(([hour, entry]) => ({ _id: hour, ...pick(entry) }))
+    .sort((a, b) => a._id - b._id);
 }
 
-// 区间视图接口
 app.get("/api/stats/daily/overview", async (req, res) => {
-  const { startDate, endDate } = req.query;
   try {
-    const dateQuery = getDateRangeQuery(startDate, endDate);
-    const activeUsers = await UserTracking.distinct("user_ip", {
-      "tracks.created_at": dateQuery,
-    });
-    const interactionStats = await UserTracking.aggregate([
-      { $unwind: "$tracks" },
-      { $match: { "tracks.created_at": dateQuery } },
-      { $count: "total" },
-    ]);
-    const timeStats = await UserTracking.aggregate([
-      { $unwind: "$tracks" },
-      {
-        $match: {
-          "tracks.created_at": dateQuery,
-          "tracks.stay_time": { $gt: 0 },
-        },
-      },
-      { $group: { _id: null, avg: { $avg: "$tracks.stay_time" } } },
-    ]);
+    const summary = await summarizeDailyRange(req);
     res.json({
       success: true,
       data: {
-        active_users: activeUsers.length,
-        total_interactions: interactionStats[0]?.total || 0,
-        avg_stay_time: timeStats[0]?.avg ? Math.round(timeStats[0].avg) : 0,
+        active_users: summary.visitors.size,
+        total_interactions: summary.pv,
+        avg_stay_time:
+          summary.stay_events > 0
+            ? Math.round(summary.stay_time / summary.stay_events)
+            : 0,
       },
     });
   } catch (error) {
@@ -489,44 +875,18 @@ app.get("/api/stats/daily/overview", async (req, res) => {
 });
 
 app.get("/api/stats/daily/geolocation", async (req, res) => {
-  const { startDate, endDate } = req.query;
   try {
-    const stats = await UserTracking.aggregate([
-      { $unwind: "$tracks" },
-      {
-        $match: { "tracks.created_at": getDateRangeQuery(startDate, endDate) },
-      },
-      { $group: { _id: "$profile.location.country", count: { $sum: 1 } } },
-      { $sort: { count: -1 } },
-    ]);
-    res.json({ success: true, data: stats });
+    const summary = await summarizeDailyRange(req);
+    res.json({ success: true, data: topCounts(summary.countries) });
   } catch (error) {
     res.status(500).json({ success: false });
   }
 });
 
 app.get("/api/stats/daily/hourly", async (req, res) => {
-  const { startDate, endDate } = req.query;
   try {
-    const stats = await UserTracking.aggregate([
-      { $unwind: "$tracks" },
-      {
-        $match: { "tracks.created_at": getDateRangeQuery(startDate, endDate) },
-      },
-      // 🔧 [修复] 添加时区转换为北京时间 (UTC+8)
-      {
-        $addFields: {
-          beijing_hour: {
-            $hour: {
-              date: "$tracks.created_at",
-              timezone: "+08:00", // 北京时间
-            },
-          },
-        },
-      },
-      { $group: { _id: "$beijing_hour", count: { $sum: 1 } } }, // 使用转换后的小时
-      { $sort: { _id: 1 } },
-    ]);
+    const summary = await summarizeDailyRange(req, { hourly: true });
+    const stats = hourlyRows(summary, (entry) => ({ count: entry.pv }));
     res.json({ success: true, data: stats });
   } catch (error) {
     res.status(500).json({ success: false });
@@ -534,21 +894,9 @@ app.get("/api/stats/daily/hourly", async (req, res) => {
 });
 
 app.get("/api/stats/daily/targets", async (req, res) => {
-  const { startDate, endDate } = req.query;
   try {
-    const stats = await UserTracking.aggregate([
-      { $unwind: "$tracks" },
-      {
-        $match: {
-          "tracks.created_at": getDateRangeQuery(startDate, endDate),
-          "tracks.event_target": { $exists: true, $ne: "" },
-        },
-      },
-      { $group: { _id: "$tracks.event_target", count: { $sum: 1 } } },
-      { $sort: { count: -1 } },
-      { $limit: 10 },
-    ]);
-    res.json({ success: true, data: stats });
+    const summary = await summarizeDailyRange(req);
+    res.json({ success: true, data: topCounts(summary.targets, 10) });
   } catch (error) {
     res.status(500).json({ success: false });
   }
@@ -560,34 +908,17 @@ app.get("/api/stats/daily/targets", async (req, res) => {
 
 // 1. 区间内的 PV/UV 统计
 app.get("/api/stats/daily/views", async (req, res) => {
-  const { startDate, endDate } = req.query;
   try {
-    const dateQuery = getDateRangeQuery(startDate, endDate);
-
-    // PV (Page Views) - 所有 tracks 记录数
-    const pvStats = await UserTracking.aggregate([
-      { $unwind: "$tracks" },
-      { $match: { "tracks.created_at": dateQuery } },
-      { $count: "total" },
-    ]);
-
-    // UV (Unique Visitors) - 去重 IP 数
-    const uvList = await UserTracking.distinct("user_ip", {
-      "tracks.created_at": dateQuery,
-    });
-
-    // 新用户数（首次访问在区间内的）
-    const newUsers = await UserTracking.countDocuments({
-      "profile.first_login": dateQuery,
-    });
+    const summary = await summarizeDailyRange(req);
+    const uniqueVisitors = summary.visitors.size;
 
     res.json({
       success: true,
       data: {
-        page_views: pvStats[0]?.total || 0,
-        unique_visitors: uvList.length,
-        new_users: newUsers,
-        returning_users: uvList.length - newUsers,
+        page_views: summary.pv,
+        unique_visitors: uniqueVisitors,
+        new_users: summary.new_users,
+        returning_users: uniqueVisitors - summary.new_users,
       },
     });
   } catch (error) {
@@ -597,42 +928,11 @@ app.get("/api/stats/daily/views", async (req, res) => {
 
 // 2. 区间内的访问时段分布（基于 UV 而非 Interaction）
 app.get("/api/stats/daily/visit-hourly", async (req, res) => {
-  const { startDate, endDate } = req.query;
   try {
-    const dateQuery = getDateRangeQuery(startDate, endDate);
-
-    // 按小时统计独立访客数（通过 user_ip 去重）
-    const stats = await UserTracking.aggregate([
-      { $unwind: "$tracks" },
-      { $match: { "tracks.created_at": dateQuery } },
-      // 🔧 [修复] 添加时区转换为北京时间 (UTC+8)
-      {
-        $addFields: {
-          beijing_hour: {
-            $hour: {
-              date: "$tracks.created_at",
-              timezone: "+08:00", // 北京时间
-            },
-          },
-        },
-      },
-      {
-        $group: {
-          _id: {
-            hour: "$beijing_hour", // 使用转换后的小时
-            user_ip: "$user_ip",
-          },
-        },
-      },
-      {
-        $group: {
-          _id: "$_id.hour",
-          unique_visitors: { $sum: 1 },
-        },
-      },
-      { $sort: { _id: 1 } },
-    ]);
-
+    const summary = await summarizeDailyRange(req, { hourly: true });
+    const stats = hourlyRows(summary, (entry) => ({
+      unique_visitors: entry.visitors.size,
+    }));
     res.json({ success: true, data: stats });
   } catch (error) {
     res.status(500).json({ success: false });
@@ -641,35 +941,13 @@ app.get("/api/stats/daily/visit-hourly", async (req, res) => {
 
 // 3. 区间内的平均停留时长（基于用户维度）
 app.get("/api/stats/daily/avg-duration", async (req, res) => {
-  const { startDate, endDate } = req.query;
   try {
-    const dateQuery = getDateRangeQuery(startDate, endDate);
-
-    const stats = await UserTracking.aggregate([
-      { $unwind: "$tracks" },
-      {
-        $match: {
-          "tracks.created_at": dateQuery,
-          "tracks.stay_time": { $gt: 0 },
-        },
-      },
-      {
-        $group: {
-          _id: "$user_ip",
-          total_time: { $sum: "$tracks.stay_time" },
-        },
-      },
-      {
-        $group: {
-          _id: null,
-          avg_duration: { $avg: "$total_time" },
-        },
-      },
-    ]);
+    const summary = await summarizeDailyRange(req);
+    const visitors = summary.stay_visitors.size;
 
     res.json({
       success: true,
-      data: stats[0]?.avg_duration ? Math.round(stats[0].avg_duration) : 0,
+      data: visitors > 0 ? Math.round(summary.stay_time / visitors) : 0,
     });
   } catch (error) {
     res.status(500).json({ success: false });
@@ -678,18 +956,13 @@ app.get("/api/stats/daily/avg-duration", async (req, res) => {
 
 // 4. 区间内的地理分布（基于 UV）
 app.get("/api/stats/daily/geo-visitors", async (req, res) => {
-  const { startDate, endDate } = req.query;
   try {
-    const dateQuery = getDateRangeQuery(startDate, endDate);
-
     // 获取在区间内有活动的所有用户
-    const activeIPs = await UserTracking.distinct("user_ip", {
-      "tracks.created_at": dateQuery,
-    });
+    const summary = await summarizeDailyRange(req);
 
     // 统计这些用户的地理分布
     const stats = await UserTracking.aggregate([
-      { $match: { user_ip: { $in: activeIPs } } },
+      { $match: visitorMatch(req, { _id: { $in: visitorIds(summary) } }) },
       { $group: { _id: "$profile.location.country", count: { $sum: 1 } } },
       { $sort: { count: -1 } },
     ]);
@@ -708,9 +981,10 @@ app.get("/api/stats/daily/geo-visitors", async (req, res) => {
 app.get("/api/stats/user-engagement", async (req, res) => {
   try {
     const stats = await UserTracking.aggregate([
+      { $match: visitorMatch(req) },
       {
         $project: {
-          visit_count: { $size: "$tracks" },
+          visit_count: "$stats.event_count",
         },
       },
       {
@@ -734,10 +1008,10 @@ app.get("/api/stats/user-engagement", async (req, res) => {
 // 6. 回访率统计
 app.get("/api/stats/retention", async (req, res) => {
   try {
-    const totalUsers = await UserTracking.countDocuments();
-    const returningUsers = await UserTracking.countDocuments({
-      $expr: { $gt: [{ $size: "$tracks" }, 1] },
-    });
+    const totalUsers = await UserTracking.countDocuments(visitorMatch(req));
+    const returningUsers = await UserTracking.countDocuments(
+      visitorMatch(req, { "stats.event_count": { $gt: 1 } })
+    );
 
     res.json({
       success: true,
@@ -756,12 +1030,12 @@ app.get("/api/stats/retention", async (req, res) => {
 // 7. 页面访问深度（平均每个用户访问的页面数）
 app.get("/api/stats/page-depth", async (req, res) => {
   try {
-    const stats = await UserTracking.aggregate([
-      { $unwind: "$tracks" },
+    const stats = await TrackEvent.aggregate([
+      { $match: eventMatch(req) },
       {
         $group: {
-          _id: "$user_ip",
-          unique_pages: { $addToSet: "$tracks.page" },
+          _id: "$visitor",
+          unique_pages: { $addToSet: "$page" },
         },
       },
       {
@@ -789,20 +1063,20 @@ app.get("/api/stats/page-depth", async (req, res) => {
 // 高价值用户识别（访问次数 > 10 且停留时间 > 平均值）
 app.get("/api/stats/high-value-users", async (req, res) => {
   try {
-    const avgTime = await UserTracking.aggregate([
-      { $unwind: "$tracks" },
-      { $match: { "tracks.stay_time": { $gt: 0 } } },
-      { $group: { _id: null, avg: { $avg: "$tracks.stay_time" } } },
+    const avgTime = await TrackEvent.aggregate([
+      { $match: eventMatch(req, { stay_time: { $gt: 0 } }) },
+      { $group: { _id: null, avg: { $avg: "$stay_time" } } },
     ]);
 
     const threshold = avgTime[0]?.avg || 0;
 
     const highValueUsers = await UserTracking.aggregate([
+      { $match: visitorMatch(req) },
       {
         $project: {
-          user_ip: 1,
-          visit_count: { $size: "$tracks" },
-          total_time: { $sum: "$tracks.stay_time" },
+          visitor_id: 1,
+          visit_count: "$stats.event_count",
+          total_time: "$stats.total_stay_time",
         },
       },
       {
@@ -820,67 +1094,36 @@ app.get("/api/stats/high-value-users", async (req, res) => {
   }
 });
 
-// 页面访问漏斗（首页 -> 详情页 -> 联系页）
-app.get("/api/stats/funnel", async (req, res) => {
-  try {
-    const funnel = await UserTracking.aggregate([
-      { $unwind: "$tracks" },
-      {
-        $group: {
-          _id: "$user_ip",
-          pages: { $addToSet: "$tracks.page" },
-        },
-      },
-      {
-        $project: {
-          visited_home: { $in: ["/", "$pages"] },
-          visited_detail: { $in: ["/detail", "$pages"] },
-          visited_contact: { $in: ["/contact", "$pages"] },
-        },
-      },
-      {
-        $group: {
-          _id: null,
-          step1: { $sum: { $cond: ["$visited_home", 1, 0] } },
-          step2: { $sum: { $cond: ["$visited_detail", 1, 0] } },
-          step3: { $sum: { $cond: ["$visited_contact", 1, 0] } },
-        },
-      },
-    ]);
-
-    res.json({ success: true, data: funnel[0] || {} });
-  } catch (error) {
-    res.status(500).json({ success: false });
-  }
-});
-
 // 7日留存率
 app.get("/api/stats/retention-7d", async (req, res) => {
   try {
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+    // 按 req.tz 的自然日计算：7 天前当天的零点
+    const sevenDaysAgo = startOfDay(
+      addDays(formatDay(new Date(), req.tz), -7),
+      req.tz
+    );
 
     // 7天前注册的用户
-    const cohort = await UserTracking.find({
-      "profile.first_login": { $lte: sevenDaysAgo },
-    }).select("user_ip");
+    const cohort = await UserTracking.find(
+      visitorMatch(req, { "profile.first_login": { $lte: sevenDaysAgo } })
+    ).select("_id");
 
-    const cohortIPs = cohort.map((u) => u.user_ip);
+    const cohortIds = cohort.map((u) => u._id);
 
     // 这些用户中，最近7天内有活动的
     const retained = await UserTracking.countDocuments({
-      user_ip: { $in: cohortIPs },
+      _id: { $in: cohortIds },
       "profile.last_login": { $gte: sevenDaysAgo },
     });
 
     res.json({
       success: true,
       data: {
-        cohort_size: cohortIPs.length,
+        cohort_size: cohortIds.length,
         retained: retained,
         rate:
-          cohortIPs.length > 0
-            ? ((retained / cohortIPs.length) * 100).toFixed(1)
+          cohortIds.length > 0
+            ? ((retained / cohortIds.length) * 100).toFixed(1)
             : 0,
       },
     });
@@ -893,9 +1136,10 @@ app.get("/api/stats/online-now", async (req, res) => {
   try {
     const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
 
-    const online = await UserTracking.countDocuments({
-      "profile.last_login": { $gte: fiveMinutesAgo },
-    });
+    // 最近 5 分钟仍有活动的会话数
+    const online = await Session.countDocuments(
+      eventMatch(req, { ended_at: { $gte: fiveMinutesAgo } })
+    );
 
     res.json({ success: true, data: online });
   } catch (error) {
@@ -906,27 +1150,23 @@ app.get("/api/stats/online-now", async (req, res) => {
 // 后端接口：对比上周同期数据
 app.get("/api/stats/compare-last-week", async (req, res) => {
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    const lastWeek = new Date(today);
-    lastWeek.setDate(lastWeek.getDate() - 7);
+    const todayStr = formatDay(new Date(), req.tz);
+    const today = startOfDay(todayStr, req.tz);
+    const lastWeek = startOfDay(addDays(todayStr, -7), req.tz);
 
-    const thisWeekData = await UserTracking.aggregate([
-      { $unwind: "$tracks" },
-      { $match: { "tracks.created_at": { $gte: today } } },
+    const thisWeekData = await TrackEvent.aggregate([
+      { $match: eventMatch(req, { created_at: { $gte: today } }) },
       { $count: "total" },
     ]);
 
-    const lastWeekData = await UserTracking.aggregate([
-      { $unwind: "$tracks" },
+    const lastWeekData = await TrackEvent.aggregate([
       {
-        $match: {
-          "tracks.created_at": {
+        $match: eventMatch(req, {
+          created_at: {
             $gte: lastWeek,
             $lt: today,
           },
-        },
+        }),
       },
       { $count: "total" },
     ]);
@@ -0,0 +1,173 @@
+// --- START OF FILE migrate.js ---
+//
+// 数据迁移脚本：将 UserTracking 文档中内嵌的 tracks 数组拆分到 TrackEvent 集合
+// 用法：npm run migrate
+//
+// 迁移过程可重复执行：事件沿用原 tracks 子文档的 _id，重复插入会被忽略；
+// 只有在某个访客的全部事件写入成功后，才会移除该访客文档上的 tracks 字段。
+// 事件迁移完成后，会按当前的会话超时配置重建所有访客的会话。
+// 旧的访客文档以 IP 为唯一键，迁移时补上 visitor_id = "ip:<IP>" 并同步索引。
+// 引入多项目后，未归属项目的历史数据统一归入默认项目。
+// 最后为每个项目重建全部历史数据的预聚合（Rollup）。
+
+const mongoose = require("mongoose");
+const config = require("../config/database.js");
+const { UserTracking, TrackEvent, Session } = require("./models");
+const { rebuildSessions } = require("./sessions");
+const { DEFAULT_TIMEZONE, formatDay, startOfDay } = require("./utils");
+const { Project, ensureDefaultProject } = require("./projects");
+const { rebuildRollups } = require("./rollups");
+
+async function migrateVisitor(doc) {
+  const tracks = doc.tracks || [];
+  const location = doc.profile?.location;
+
+  if (tracks.length > 0) {
+    const events = tracks.map((track) => ({
+      _id: track._id || new mongoose.Types.ObjectId(),
+      project: doc.project,
+      visitor: doc._id,
+      location,
+      event_type: track.event_type,
+      event_target: track.event_target,
+      timestamp: track.timestamp,
+      page: track.page,
+      stay_time: track.stay_time,
+      created_at: track.created_at || doc.created_at,
+    }));
+
+    try {
+      await TrackEvent.insertMany(events, { ordered: false });
+    } catch (error) {
+      // 11000 为重复主键（上次迁移已写入），其余错误直接抛出
+      const writeErrors = error.writeErrors || [];
+      const fatal =
+        writeErrors.length === 0 ||
+        writeErrors.some((e) => (e.code || e.err?.code) !== 11000);
+      if (fatal) throw error;
+    }
+  }
+
+  // 按事件表重新计算汇总计数，保证重复执行结果一致
+  const [summary] = await TrackEvent.aggregate([
+    { $match: { visitor: doc._id } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        stay: { $sum: { $ifNull: ["$stay_time", 0] } },
+      },
+    },
+  ]);
+
+  await UserTracking.collection.updateOne(
+    { _id: doc._id },
+    {
+      $set: {
+        "stats.event_count": summary?.count || 0,
+        "stats.total_stay_time": summary?.stay || 0,
+      },
+      $unset: { tracks: "" },
+    }
+  );
+
+  return tracks.length;
+}
+
+async function run() {
+  await mongoose.connect(config.mongodb.uri);
+  console.log("[Migrate] Connected to MongoDB");
+
+  // 0. 多项目：历史数据归入默认项目
+  const defaultProject = await ensureDefaultProject();
+  for (const name of [
+    "usertrackings",
+    "trackevents",
+    "sessions",
+    "reportsnapshots",
+  ]) {
+    const result = await mongoose.connection
+      .collection(name)
+      .updateMany(
+        { project: { $exists: false } },
+        { $set: { project: defaultProject._id } }
+      );
+    console.log(
+      `[Migrate] ${result.modifiedCount} ${name} assigned to default project.`
+    );
+  }
+
+  // 1. 访客身份：补全 visitor_id，移除 user_ip 上的唯一索引
+  const identityResult = await UserTracking.collection.updateMany(
+    { visitor_id: { $exists: false } },
+    [{ $set: { visitor_id: { $concat: ["ip:", "$user_ip"] } } }]
+  );
+  console.log(
+    `[Migrate] ${identityResult.modifiedCount} visitors assigned visitor_id.`
+  );
+  await UserTracking.syncIndexes();
+  await TrackEvent.syncIndexes();
+  await Session.syncIndexes();
+
+  const cursor = UserTracking.collection.find({ tracks: { $exists: true } });
+
+  let visitors = 0;
+  let events = 0;
+  for await (const doc of cursor) {
+    events += await migrateVisitor(doc);
+    visitors++;
+    if (visitors % 100 === 0) {
+      console.log(
+        `[Migrate] ${visitors} visitors, ${events} events migrated...`
+      );
+    }
+  }
+
+  console.log(`[Migrate] ${visitors} visitors, ${events} events migrated.`);
+
+  // 重建会话
+  const systemConfig = await mongoose.connection
+    .collection("systemconfigs")
+    .findOne({ key: "main_config" });
+  const gap = (systemConfig?.session_timeout || 30) * 60 * 1000;
+
+  let sessions = 0;
+  for await (const visitor of UserTracking.find()
+    .select("_id project")
+    .cursor()) {
+    sessions += await rebuildSessions(visitor, gap);
+  }
+
+  console.log(`[Migrate] ${sessions} sessions rebuilt.`);
+
+  // 重建预聚合（天文档按系统配置的时区切分）
+  const timezone = systemConfig?.timezone || DEFAULT_TIMEZONE;
+  for (const project of await Project.find()) {
+    const first = await TrackEvent.findOne({ project: project._id })
+      .sort({ created_at: 1 })
+      .select("created_at");
+    if (!first) continue;
+
+    const start = startOfDay(formatDay(first.created_at, timezone), timezone);
+    const result = await rebuildRollups(
+      project._id,
+      start,
+      new Date(),
+      timezone
+    );
+    console.log(
+      `[Migrate] ${project.slug}: ${result.hours} hourly, ${result.days} daily rollups rebuilt.`
+    );
+  }
+
+  console.log("[Migrate] Done.");
+}
+
+run()
+  .catch((error) => {
+    console.error("[Migrate] Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
+
+// --- END OF FILE migrate.js ---
@@ -0,0 +1,140 @@
+// --- START OF FILE models.js ---
+
+const mongoose = require("mongoose");
+
+// 定义用户跟踪数据模型（访客档案，事件单独存放在 TrackEvent 中）
+const UserTrackingSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    // 客户端生成的匿名访客 ID（旧数据为 "ip:<IP>"），在项目内唯一
+    visitor_id: { type: String, required: true },
+    // 身份关联：同一访客的其他 ID（如登录后的账号 ID）
+    aliases: { type: [String], default: [] },
+    // 最近一次上报的 IP，仅作为访客属性
+    user_ip: String,
+    // 最近一次上报的 User-Agent
+    user_agent: String,
+    // 机器人识别（见 bots.js）：命中的规则与得分，得分达到阈值即标记为机器人
+    is_bot: { type: Boolean, default: false },
+    bot_score: { type: Number, default: 0 },
+    bot_reasons: { type: [String], default: [] },
+    // 由历史数据导入创建的访客（见 imports.js）
+    import_id: { type: mongoose.Schema.Types.ObjectId, ref: "ImportBatch" },
+    profile: {
+      location: {
+        country: String,
+        region: String,
+        city: String,
+      },
+      first_login: { type: Date, default: Date.now },
+      last_login: { type: Date, default: Date.now },
+    },
+    // 汇总计数，写入事件时同步累加，避免统计时再扫描事件表
+    stats: {
+      event_count: { type: Number, default: 0 },
+      total_stay_time: { type: Number, default: 0 },
+      // view 事件数，以及其中停留时长为 0 的数量（机器人识别用）
+      view_count: { type: Number, default: 0 },
+      zero_stay_views: { type: Number, default: 0 },
+    },
+    created_at: { type: Date, default: Date.now },
+    updated_at: { type: Date, default: Date.now },
+  },
+  {
+    id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+UserTrackingSchema.index({ project: 1, visitor_id: 1 }, { unique: true });
+UserTrackingSchema.index({ project: 1, aliases: 1 });
+UserTrackingSchema.index({ project: 1, "profile.first_login": 1 });
+// 访客列表的排序字段（/api/stats/visitors）
+UserTrackingSchema.index({ project: 1, "profile.last_login": -1, _id: -1 });
+UserTrackingSchema.index({ project: 1, "stats.event_count": -1, _id: -1 });
+UserTrackingSchema.index({ project: 1, "stats.total_stay_time": -1, _id: -1 });
+
+// 兼容旧接口：UserTracking.find().populate("tracks") 依然可以取到访客的全部事件
+UserTrackingSchema.virtual("tracks", {
+  ref: "TrackEvent",
+  localField: "_id",
+  foreignField: "visitor",
+});
+
+const UserTracking = mongoose.model("UserTracking", UserTrackingSchema);
+
+// 打点事件模型（每条事件一条文档）
+const TrackEventSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Project",
+    required: true,
+  },
+  visitor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "UserTracking",
+    required: true,
+  },
+  // 写入时冗余访客位置，地理维度的统计无需再关联访客表
+  location: {
+    country: String,
+    region: String,
+    city: String,
+  },
+  // 冗余访客的机器人标记，统计时默认排除
+  is_bot: { type: Boolean, default: false },
+  // 历史数据导入的批次，实时上报的事件没有该字段
+  import_id: { type: mongoose.Schema.Types.ObjectId, ref: "ImportBatch" },
+  event_type: String,
+  event_target: String,
+  timestamp: Number,
+  page: String,
+  stay_time: Number,
+  // 自定义属性（扁平对象，结构可在事件注册表中登记，见 registry.js）
+  properties: mongoose.Schema.Types.Mixed,
+  created_at: { type: Date, default: Date.now },
+});
+
+TrackEventSchema.index({ visitor: 1, created_at: 1 });
+TrackEventSchema.index({ project: 1, created_at: 1 });
+TrackEventSchema.index({ project: 1, page: 1, created_at: 1 });
+TrackEventSchema.index({ project: 1, event_target: 1, created_at: 1 });
+TrackEventSchema.index({ import_id: 1 }, { sparse: true });
+
+const TrackEvent = mongoose.model("TrackEvent", TrackEventSchema);
+
+// 访问会话模型：同一访客相邻事件间隔不超过超时时间即视为同一次访问
+const SessionSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Project",
+    required: true,
+  },
+  visitor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "UserTracking",
+    required: true,
+  },
+  started_at: { type: Date, required: true },
+  ended_at: { type: Date, required: true },
+  duration: { type: Number, default: 0 }, // 毫秒，首末事件的时间差
+  entry_page: String,
+  exit_page: String,
+  event_count: { type: Number, default: 0 },
+  is_bot: { type: Boolean, default: false },
+});
+
+SessionSchema.index({ visitor: 1, started_at: -1 });
+SessionSchema.index({ project: 1, started_at: 1 });
+SessionSchema.index({ project: 1, ended_at: 1 });
+
+const Session = mongoose.model("Session", SessionSchema);
+
+module.exports = { UserTracking, TrackEvent, Session };
+
+// --- END OF FILE models.js ---
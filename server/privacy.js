@@ -0,0 +1,431 @@
+// --- START OF FILE privacy.js ---
+//
+// 隐私保护：
+// - IP 匿名化：系统配置 privacy_mode 为 hash 时只保存加盐哈希，为 truncate 时只保存截断后的
+//   IP（IPv4 保留 /24，IPv6 保留 /48），为 off 时保存原始 IP。
+//   哈希用的盐保存在数据库中，按 ip_salt_rotation_days 定期轮换，旧盐直接丢弃，
+//   因此不同周期的哈希无法关联，也无法反推出原始 IP。
+//   开启隐私模式时，在后台对已入库的原始 IP 执行一次同样的处理（scrubStoredIPs）。
+// - 数据主体请求：导出某个访客的全部数据、永久删除某个访客的全部数据，
+//   每次删除都写入删除记录（ErasureLog）。
+
+const crypto = require("crypto");
+const net = require("net");
+const express = require("express");
+const mongoose = require("mongoose");
+const schedule = require("node-schedule");
+const { UserTracking, TrackEvent, Session } = require("./models");
+const { requireRole } = require("./auth");
+const { findProject } = require("./projects");
+const { findVisitor } = require("./identity");
+const { markVisitorRollupsDirty } = require("./rollups");
+const { EnrichmentJob, releaseStoredIPs } = require("./enrichment");
+const { QuarantinedEvent } = require("./registry");
+const hook = require("./hook");
+
+const router = express.Router();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// ==========================================
+// 1. 数据模型定义
+// ==========================================
+
+// 当前使用的 IP 哈希盐（只保留一条）
+const IpSaltSchema = new mongoose.Schema({
+  key: { type: String, default: "current", unique: true },
+  salt: { type: String, required: true },
+  created_at: { type: Date, default: Date.now },
+});
+
+const IpSalt = mongoose.model("IpSalt", IpSaltSchema);
+
+// 数据删除记录：不保存访客 ID 原文，只保存其 SHA-256，便于事后核对某个 ID 是否已删除
+const ErasureLogSchema = new mongoose.Schema({
+  project: { type: mongoose.Schema.Types.ObjectId, ref: "Project" },
+  visitor_hash: { type: String, required: true },
+  reason: String,
+  erased_by: String, // 执行删除的后台用户名
+  deleted: {
+    visitors: Number,
+    events: Number,
+    sessions: Number,
+    enrichment_jobs: Number,
+    quarantined_events: Number,
+  },
+  erased_at: { type: Date, default: Date.now },
+});
+
+ErasureLogSchema.index({ erased_at: -1 });
+ErasureLogSchema.index({ visitor_hash: 1 });
+
+const ErasureLog = mongoose.model("ErasureLog", ErasureLogSchema);
+
+// ==========================================
+// 2. IP 匿名化
+// ==========================================
+
+let cachedSalt = null;
+
+function getPrivacyMode() {
+  return hook.getConfig()?.privacy_mode || "off";
+}
+
+function rotationInterval() {
+  return (hook.getConfig()?.ip_salt_rotation_days || 1) * DAY;
+}
+
+// 读取当前的盐，过期则轮换（多个进程同时轮换时以先写入的为准）
+async function ensureSalt() {
+  if (cachedSalt && Date.now() - cachedSalt.created_at < rotationInterval()) {
+    return cachedSalt.salt;
+  }
+
+  let doc = await IpSalt.findOne({ key: "current" }).lean();
+  if (!doc || Date.now() - doc.created_at >= rotationInterval()) {
+    try {
+      doc = await IpSalt.findOneAndUpdate(
+        doc
+          ? { key: "current", created_at: doc.created_at }
+          : { key: "current" },
+        {
+          $set: {
+            salt: crypto.randomBytes(32).toString("hex"),
+            created_at: new Date(),
+          },
+        },
+        { upsert: true, new: true }
+      ).lean();
+      console.log("[Privacy] IP salt rotated.");
+    } catch (error) {
+      // 其他进程已完成轮换（唯一索引冲突）
+      if (error.code !== 11000) throw error;
+      doc = await IpSalt.findOne({ key: "current" }).lean();
+    }
+  }
+
+  cachedSalt = doc;
+  return doc.salt;
+}
+
+// IPv4 保留前 24 位，IPv6 保留前 48 位
+function truncateIP(ip) {
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  const addr = mapped ? mapped[1] : ip;
+
+  if (net.isIPv4(addr)) {
+    return addr.split(".").slice(0, 3).concat("0").join(".");
+  }
+  if (net.isIPv6(addr)) {
+    const [head, tail] = addr.split("%")[0].split("::");
+    const headParts = head ? head.split(":") : [];
+    const tailCount = tail ? tail.split(":").length : 0;
+    const parts = [
+      ...headParts,
+      ...new Array(8 - headParts.length - tailCount).fill("0"),
+    ].slice(0, 3);
+    return `${parts.map((p) => p || "0").join(":")}::`;
+  }
+  return "";
+}
+
+// 按当前隐私模式处理 IP；hash 模式需先调用 ensureSalt()
+function anonymizeIP(ip) {
+  if (!ip) return ip;
+  switch (getPrivacyMode()) {
+    case "hash":
+      if (!cachedSalt) throw new Error("IP salt not loaded");
+      return `h:${crypto
+        .createHmac("sha256", cachedSalt.salt)
+        .update(String(ip))
+        .digest("hex")
+        .slice(0, 32)}`;
+    case "truncate":
+      return truncateIP(String(ip));
+    default:
+      return ip;
+  }
+}
+
+// 日志中使用的 IP：hash 模式下盐尚未加载时直接隐去
+function maskIP(ip) {
+  if (!ip || getPrivacyMode() === "off") return ip;
+  if (getPrivacyMode() === "hash" && !cachedSalt) return "[redacted]";
+  return anonymizeIP(ip);
+}
+
+// 旧数据迁移生成的 "ip:<IP>" 访客 ID 中的原始 IP，不是原始 IP 时返回 null
+function legacyIdIP(id) {
+  if (typeof id !== "string" || !id.startsWith("ip:")) return null;
+  const ip = id.slice(3);
+  return net.isIP(ip) ? ip : null;
+}
+
+// 按当前隐私模式处理已入库的原始 IP：访客档案的 user_ip、"ip:<IP>" 形式的访客 ID 与关联 ID，
+// 以及补全任务中保存的 IP（待处理任务的 IP 移到内存，见 enrichment.releaseStoredIPs）。
+// 截断后与同项目其他访客的 ID 重复时，在 ID 后附加访客 _id 保持唯一。
+async function scrubStoredIPs() {
+  const mode = getPrivacyMode();
+  if (mode === "off") return null;
+  if (mode === "hash") await ensureSalt();
+
+  const result = { visitors: 0, id_conflicts: 0, enrichment_jobs: 0 };
+  const cursor = UserTracking.find({
+    $or: [
+      { user_ip: { $nin: [null, ""] } },
+      { visitor_id: /^ip:/ },
+      { aliases: /^ip:/ },
+    ],
+  })
+    .select("_id visitor_id aliases user_ip")
+    .lean()
+    .cursor();
+
+  for await (const visitor of cursor) {
+    const update = {};
+    if (net.isIP(visitor.user_ip || "")) {
+      const ip = anonymizeIP(visitor.user_ip);
+      if (ip !== visitor.user_ip) update.user_ip = ip;
+    }
+
+    const legacyIP = legacyIdIP(visitor.visitor_id);
+    if (legacyIP) {
+      const id = `ip:${anonymizeIP(legacyIP)}`;
+      if (id !== visitor.visitor_id) update.visitor_id = id;
+    }
+
+    const aliases = (visitor.aliases || []).map((alias) => {
+      const ip = legacyIdIP(alias);
+      return ip ? `ip:${anonymizeIP(ip)}` : alias;
+    });
+    if (aliases.some((alias, i) => alias !== visitor.aliases[i])) {
+      update.aliases = [...new Set(aliases)];
+    }
+
+    if (Object.keys(update).length === 0) continue;
+
+    try {
+      await UserTracking.updateOne({ _id: visitor._id }, { $set: update });
+    } catch (error) {
+      if (error.code !== 11000 || !update.visitor_id) throw error;
+      update.visitor_id = `${update.visitor_id}:${visitor._id}`;
+      await UserTracking.updateOne({ _id: visitor._id }, { $set: update });
+      result.id_conflicts++;
+    }
+    result.visitors++;
+  }
+
+  result.enrichment_jobs = await releaseStoredIPs();
+
+  console.log(`[Privacy] Scrubbed stored IPs (${mode}):`, result);
+  return result;
+}
+
+// 打点接口中间件：hash 模式下确保盐已加载且未过期
+async function loadIpSalt(req, res, next) {
+  try {
+    if (getPrivacyMode() === "hash") await ensureSalt();
+    next();
+  } catch (error) {
+    console.error("[Privacy] Failed to load IP salt:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+}
+
+// ==========================================
+// 3. 数据主体请求
+// ==========================================
+
+const hashVisitorId = (id) =>
+  crypto.createHash("sha256").update(String(id)).digest("hex");
+
+// 按 _id、visitor_id 或关联 ID 查找项目内的访客
+async function resolveVisitor(project, id) {
+  if (mongoose.isValidObjectId(id)) {
+    const byId = await UserTracking.findOne({
+      _id: id,
+      project: project._id,
+    }).lean();
+    if (byId) return byId;
+  }
+  return findVisitor(project._id, id).lean();
+}
+
+// 读取请求中的项目与访客，找不到时直接返回错误响应
+async function loadSubject(req, res) {
+  const project = await findProject(req.query.project || req.body?.project);
+  if (!project) {
+    res.status(404).json({ success: false, error: "Project not found" });
+    return null;
+  }
+  const visitor = await resolveVisitor(project, req.params.id);
+  if (!visitor) {
+    res.status(404).json({ success: false, error: "Visitor not found" });
+    return null;
+  }
+  return { project, visitor };
+}
+
+// 隔离区中的事件只记录了上报的访客 ID，按主 ID 与全部关联 ID 匹配
+function quarantineFilter(project, visitor) {
+  return {
+    project: project._id,
+    visitor_id: { $in: [visitor.visitor_id, ...(visitor.aliases || [])] },
+  };
+}
+
+// ==========================================
+// 4. API 路由定义 (/api/admin)
+// ==========================================
+
+// 导出某个访客的全部数据（档案、事件、会话、隔离区中的事件）
+router.get("/visitors/:id/data", requireRole("editor"), async (req, res) => {
+  try {
+    const subject = await loadSubject(req, res);
+    if (!subject) return;
+    const { project, visitor } = subject;
+
+    const [events, sessions, quarantined] = await Promise.all([
+      TrackEvent.find({ visitor: visitor._id })
+        .select("-project -visitor -__v")
+        .sort({ created_at: 1 })
+        .lean(),
+      Session.find({ visitor: visitor._id })
+        .select("-project -visitor -__v")
+        .sort({ started_at: 1 })
+        .lean(),
+      QuarantinedEvent.find(quarantineFilter(project, visitor))
+        .select("-project -__v")
+        .sort({ received_at: 1 })
+        .lean(),
+    ]);
+
+    const { __v, ...profile } = visitor;
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="visitor-${visitor._id}.json"`
+    );
+    res.json({
+      success: true,
+      data: {
+        exported_at: new Date(),
+        project: { _id: project._id, slug: project.slug, name: project.name },
+        visitor: profile,
+        events,
+        sessions,
+        quarantined_events: quarantined,
+      },
+    });
+  } catch (error) {
+    console.error("[Privacy] Export error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 永久删除某个访客的全部数据：{ reason }
+router.delete("/visitors/:id", requireRole("owner"), async (req, res) => {
+  try {
+    const subject = await loadSubject(req, res);
+    if (!subject) return;
+    const { project, visitor } = subject;
+
+    // 预聚合中保存了访客 _id，删除事件前先标记相关小时桶待重算
+    await markVisitorRollupsDirty(visitor);
+
+    const [events, sessions, jobs, quarantined] = await Promise.all([
+      TrackEvent.deleteMany({ visitor: visitor._id }),
+      Session.deleteMany({ visitor: visitor._id }),
+      EnrichmentJob.deleteMany({ visitor: visitor._id }),
+      QuarantinedEvent.deleteMany(quarantineFilter(project, visitor)),
+    ]);
+    const visitors = await UserTracking.deleteOne({ _id: visitor._id });
+
+    const log = await ErasureLog.create({
+      project: project._id,
+      visitor_hash: hashVisitorId(visitor.visitor_id),
+      reason: req.body?.reason,
+      erased_by: req.admin?.user?.username,
+      deleted: {
+        visitors: visitors.deletedCount,
+        events: events.deletedCount,
+        sessions: sessions.deletedCount,
+        enrichment_jobs: jobs.deletedCount,
+        quarantined_events: quarantined.deletedCount,
+      },
+    });
+
+    console.log(
+      `[Privacy] Erased visitor ${visitor._id} (${events.deletedCount} events) by ${log.erased_by}`
+    );
+    res.json({ success: true, data: log });
+  } catch (error) {
+    console.error("[Privacy] Erase error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 按当前隐私模式重新处理已入库的原始 IP（开启隐私模式时会自动执行一次）
+router.post("/privacy/scrub", requireRole("owner"), async (req, res) => {
+  if (getPrivacyMode() === "off") {
+    return res
+      .status(400)
+      .json({ success: false, error: "Privacy mode is off" });
+  }
+  try {
+    const result = await scrubStoredIPs();
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error("[Privacy] Scrub error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 删除记录：?visitor_id= 可核对某个访客 ID 是否已被删除
+router.get("/erasures", requireRole("editor"), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.visitor_id) {
+      query.visitor_hash = hashVisitorId(req.query.visitor_id);
+    }
+    const logs = await ErasureLog.find(query)
+      .sort({ erased_at: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 100, 1000))
+      .lean();
+    res.json({ success: true, data: logs });
+  } catch (error) {
+    console.error("[Privacy] Erasure log error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// ==========================================
+// 5. 初始化
+// ==========================================
+
+const initPrivacy = (app) => {
+  app.use("/api/admin", router);
+
+  mongoose.connection.once("open", () => {
+    // 每小时检查一次，盐到期即轮换（即使没有新的打点请求）
+    ensureSalt().catch((error) =>
+      console.error("[Privacy] Failed to load IP salt:", error)
+    );
+    schedule.scheduleJob("0 * * * *", () => {
+      ensureSalt().catch((error) =>
+        console.error("[Privacy] Failed to rotate IP salt:", error)
+      );
+    });
+  });
+};
+
+module.exports = {
+  initPrivacy,
+  ensureSalt,
+  loadIpSalt,
+  anonymizeIP,
+  maskIP,
+  scrubStoredIPs,
+  getPrivacyMode,
+};
+
+// --- END OF FILE privacy.js ---
@@ -0,0 +1,244 @@
+// --- START OF FILE projects.js ---
+//
+// 多项目支持：每个站点 / 游戏是一个项目，拥有独立的公开上报 Key（ingest key）。
+// 打点数据、统计接口、报表与异常检测都按项目隔离。
+
+const crypto = require("crypto");
+const express = require("express");
+const mongoose = require("mongoose");
+const { requireRole } = require("./auth");
+
+const router = express.Router();
+
+// ==========================================
+// 1. 数据模型定义
+// ==========================================
+const ProjectSchema = new mongoose.Schema({
+  slug: { type: String, unique: true, required: true },
+  name: { type: String, required: true },
+  // 公开的上报 Key，随前端代码下发，仅用于区分项目
+  ingest_key: { type: String, unique: true, required: true },
+  // 服务端签名密钥：合并两个访客的身份关联请求需用它签名（见 identity.js），不随项目信息返回
+  identify_secret: { type: String, select: false },
+  // 打点事件按事件注册表校验的模式（见 registry.js）：off | quarantine | reject
+  event_validation: {
+    type: String,
+    enum: ["off", "quarantine", "reject"],
+    default: "off",
+  },
+  archived: { type: Boolean, default: false },
+  archived_at: Date,
+  created_at: { type: Date, default: Date.now },
+});
+
+const Project = mongoose.model("Project", ProjectSchema);
+
+const DEFAULT_PROJECT_SLUG = "default";
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,31}$/;
+
+function generateIngestKey() {
+  return `pk_${crypto.randomBytes(16).toString("hex")}`;
+}
+
+function generateIdentifySecret() {
+  return `sk_${crypto.randomBytes(32).toString("hex")}`;
+}
+
+// 未携带项目参数的旧客户端与统计请求，统一归入默认项目
+async function ensureDefaultProject() {
+  let project = await Project.findOne({ slug: DEFAULT_PROJECT_SLUG });
+  if (!project) {
+    project = await new Project({
+      slug: DEFAULT_PROJECT_SLUG,
+      name: "Default",
+      ingest_key: generateIngestKey(),
+    }).save();
+    console.log("[Project] Default project created.");
+  }
+  return project;
+}
+
+// 按 slug 或 _id 查找项目，未指定时返回默认项目
+async function findProject(ref) {
+  if (!ref) return ensureDefaultProject();
+  if (mongoose.isValidObjectId(ref)) {
+    const byId = await Project.findById(ref);
+    if (byId) return byId;
+  }
+  return Project.findOne({ slug: ref });
+}
+
+// 打点接口使用：根据 ingest key 解析项目（X-Ingest-Key 头或 body.projectKey）；
+// requireKey 为 true 时不回退到默认项目
+async function resolveIngestProject(req, { requireKey = false } = {}) {
+  const key = req.headers["x-ingest-key"] || req.body?.projectKey;
+  if (requireKey && !key) return { error: "Ingest key required", status: 403 };
+
+  const project = key
+    ? await Project.findOne({ ingest_key: key })
+    : await ensureDefaultProject();
+
+  if (!project) return { error: "Invalid ingest key", status: 403 };
+  if (project.archived) return { error: "Project archived", status: 403 };
+  return { project };
+}
+
+// 统计接口中间件：根据 ?project= 参数设置 req.project
+async function resolveProject(req, res, next) {
+  try {
+    const project = await findProject(req.query.project);
+    if (!project) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Project not found" });
+    }
+    req.project = project;
+    next();
+  } catch (error) {
+    console.error("[Project] Error resolving project:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+}
+
+// ==========================================
+// 2. API 路由定义 (/api/admin/projects)
+// ==========================================
+
+router.get("/projects", requireRole("viewer"), async (req, res) => {
+  try {
+    const query = req.query.include_archived ? {} : { archived: false };
+    const projects = await Project.find(query).sort({ created_at: 1 });
+    res.json({ success: true, data: projects });
+  } catch (error) {
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+router.post("/projects", requireRole("owner"), async (req, res) => {
+  const { slug, name } = req.body || {};
+
+  if (!slug || !SLUG_PATTERN.test(slug)) {
+    return res.status(400).json({
+      success: false,
+      error: "slug must be 2-32 lowercase letters, digits or dashes",
+    });
+  }
+
+  try {
+    if (await Project.exists({ slug })) {
+      return res
+        .status(409)
+        .json({ success: false, error: "Project already exists" });
+    }
+
+    const project = await new Project({
+      slug,
+      name: name || slug,
+      ingest_key: generateIngestKey(),
+    }).save();
+
+    console.log(`[Project] Project ${slug} created.`);
+    res.json({ success: true, data: project });
+  } catch (error) {
+    console.error("[Project] Create error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 归档后停止接收上报，历史数据仍可查询
+router.post("/projects/:id/archive", requireRole("owner"), async (req, res) => {
+  try {
+    const project = await findProject(req.params.id);
+    if (!project) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Project not found" });
+    }
+    if (project.slug === DEFAULT_PROJECT_SLUG) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Cannot archive default project" });
+    }
+
+    project.archived = true;
+    project.archived_at = new Date();
+    await project.save();
+
+    console.log(`[Project] Project ${project.slug} archived.`);
+    res.json({ success: true, data: project });
+  } catch (error) {
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+router.post("/projects/:id/restore", requireRole("owner"), async (req, res) => {
+  try {
+    const project = await findProject(req.params.id);
+    if (!project) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Project not found" });
+    }
+
+    project.archived = false;
+    project.archived_at = undefined;
+    await project.save();
+
+    res.json({ success: true, data: project });
+  } catch (error) {
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 生成（轮换）身份关联签名密钥，明文仅在此返回一次，旧密钥立即失效
+router.post(
+  "/projects/:id/identify-secret",
+  requireRole("owner"),
+  async (req, res) => {
+    try {
+      const project = await findProject(req.params.id);
+      if (!project) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Project not found" });
+      }
+
+      const secret = generateIdentifySecret();
+      await Project.updateOne(
+        { _id: project._id },
+        { $set: { identify_secret: secret } }
+      );
+
+      console.log(`[Project] Identify secret rotated for ${project.slug}.`);
+      res.json({ success: true, data: { identify_secret: secret } });
+    } catch (error) {
+      console.error("[Project] Rotate identify secret error:", error);
+      res.status(500).json({ success: false, error: "Server error" });
+    }
+  }
+);
+
+// ==========================================
+// 3. 初始化
+// ==========================================
+
+const initProjects = (app) => {
+  app.use("/api/admin", router);
+  app.use("/api/stats", resolveProject);
+
+  mongoose.connection.once("open", () => {
+    ensureDefaultProject().catch((error) =>
+      console.error("[Project] Failed to create default project:", error)
+    );
+  });
+};
+
+module.exports = {
+  Project,
+  initProjects,
+  ensureDefaultProject,
+  findProject,
+  resolveIngestProject,
+};
+
+// --- END OF FILE projects.js ---
@@ -0,0 +1,313 @@
+// --- START OF FILE query.js ---
+//
+// 通用查询接口（/api/stats/query）：一个指标 + 日期区间 + 任意过滤条件 + 最多两个分组维度。
+// 请求只能引用下方白名单中的指标与维度，过滤值只能是字符串 / 数字 / 布尔（或其数组），
+// 管道完全由服务端拼装，调用方无法注入任意的聚合阶段或查询操作符。
+//
+// 请求参数（GET 查询串或 POST JSON 均可）：
+//   metric       events | visitors | avg_stay_time | sessions
+//   startDate / endDate
+//   filters      { page: "/home", country: ["CN", "JP"], "prop:quality": "1080p", ... }
+//   group_by     ["time", "page"]（或逗号分隔的字符串），最多两个
+//   granularity  按 time 分组时的粒度：hour | day | week | month（默认 day）
+//   limit        返回的行数，默认 100，最多 1000
+
+const express = require("express");
+const { TrackEvent, Session } = require("./models");
+const { getDateRangeQuery, eventMatch } = require("./utils");
+
+const router = express.Router();
+
+const MAX_GROUP_BY = 2;
+const MAX_FILTER_VALUES = 50;
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+// 自定义属性维度：prop:<属性名>（属性名规则与事件注册表一致）
+const PROPERTY_DIMENSION = /^prop:([A-Za-z_][A-Za-z0-9_]{0,63})$/;
+
+// 维度 -> 各数据源中的字段；会话表只冗余了入口页，其余维度不可用
+const DIMENSIONS = {
+  page: { events: "page", sessions: "entry_page" },
+  event_type: { events: "event_type" },
+  target: { events: "event_target" },
+  country: { events: "location.country" },
+  region: { events: "location.region" },
+  city: { events: "location.city" },
+};
+
+// 指标：数据源与时间字段（聚合方式见 buildPipeline）
+const METRICS = {
+  events: { source: "events", time: "created_at" },
+  visitors: { source: "events", time: "created_at" },
+  avg_stay_time: { source: "events", time: "created_at" },
+  sessions: { source: "sessions", time: "started_at" },
+};
+
+// $dateToString 格式（week 为 ISO 周，如 2024-W05）
+const GRANULARITIES = {
+  hour: "%Y-%m-%dT%H:00",
+  day: "%Y-%m-%d",
+  week: "%G-W%V",
+  month: "%Y-%m",
+};
+
+// ==========================================
+// 1. 请求校验
+// ==========================================
+
+// 白名单查表：只认表自身的键（"constructor"、"toString" 等原型上的键不算）
+function lookup(table, key) {
+  return typeof key === "string" && Object.hasOwn(table, key)
+    ? table[key]
+    : undefined;
+}
+
+// 维度名 -> 字段路径，不在白名单中（或该指标不支持）时返回 null
+function resolveField(dimension, source) {
+  if (typeof dimension !== "string") return null;
+  const property = dimension.match(PROPERTY_DIMENSION);
+  if (property) return source === "events" ? `properties.${property[1]}` : null;
+  return lookup(lookup(DIMENSIONS, dimension) || {}, source) || null;
+}
+
+function isScalar(value) {
+  return (
+    typeof value === "string" ||
+    typeof value === "boolean" ||
+    (typeof value === "number" && Number.isFinite(value))
+  );
+}
+
+// 查询串中的值都是字符串，数组可能以逗号分隔传入
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === "string") {
+    return value
+      .split(",")
+      .map((v) => v.trim())
+      .filter(Boolean);
+  }
+  return value === undefined || value === null ? [] : [value];
+}
+
+// 校验请求，返回 { query } 或 { error }
+function parseQuery(params) {
+  const metricName = params.metric || "events";
+  const metric = lookup(METRICS, metricName);
+  if (!metric) {
+    return {
+      error: `metric must be one of: ${Object.keys(METRICS).join(", ")}`,
+    };
+  }
+
+  // 过滤条件
+  const filters = {};
+  const rawFilters = params.filters ?? {};
+  if (typeof rawFilters !== "object" || Array.isArray(rawFilters)) {
+    return { error: "filters must be an object" };
+  }
+  for (const [dimension, raw] of Object.entries(rawFilters)) {
+    const field = resolveField(dimension, metric.source);
+    if (!field) {
+      return {
+        error: `Unsupported filter "${dimension}" for metric ${metricName}`,
+      };
+    }
+    const values = Array.isArray(raw) ? raw : [raw];
+    if (
+      values.length === 0 ||
+      values.length > MAX_FILTER_VALUES ||
+      !values.every(isScalar)
+    ) {
+      return { error: `Invalid value for filter "${dimension}"` };
+    }
+    filters[field] = values.length === 1 ? values[0] : { $in: values };
+  }
+
+  // 分组维度
+  const groupBy = toList(params.group_by);
+  if (groupBy.length > MAX_GROUP_BY) {
+    return { error: `group_by accepts at most ${MAX_GROUP_BY} dimensions` };
+  }
+  if (new Set(groupBy).size !== groupBy.length) {
+    return { error: "Duplicate group_by dimension" };
+  }
+  const groups = [];
+  for (const dimension of groupBy) {
+    if (typeof dimension !== "string") {
+      return { error: "Invalid group_by" };
+    }
+    const field =
+      dimension === "time"
+        ? metric.time
+        : resolveField(dimension, metric.source);
+    if (!field) {
+      return {
+        error: `Unsupported group_by "${dimension}" for metric ${metricName}`,
+      };
+    }
+    groups.push({ dimension, field });
+  }
+
+  const granularity = params.granularity || "day";
+  if (!lookup(GRANULARITIES, granularity)) {
+    return {
+      error: `granularity must be one of: ${Object.keys(GRANULARITIES).join(", ")}`,
+    };
+  }
+
+  const requestedLimit =
+    params.limit === undefined ? DEFAULT_LIMIT : Number(params.limit);
+  if (!Number.isInteger(requestedLimit) || requestedLimit < 1) {
+    return { error: "limit must be a positive integer" };
+  }
+  const limit = Math.min(requestedLimit, MAX_LIMIT);
+
+  return {
+    query: {
+      metric: metricName,
+      source: metric.source,
+      timeField: metric.time,
+      filters,
+      groups,
+      granularity,
+      limit,
+    },
+  };
+}
+
+// ==========================================
+// 2. 管道拼装
+// ==========================================
+
+function buildPipeline(query, match, tz) {
+  const groupId = {};
+  query.groups.forEach(({ dimension, field }, i) => {
+    groupId[`d${i}`] =
+      dimension === "time"
+        ? {
+            $dateToString: {
+              format: lookup(GRANULARITIES, query.granularity),
+              date: `$${field}`,
+              timezone: tz,
+            },
+          }
+        : `$${field}`;
+  });
+
+  const pipeline = [{ $match: match }];
+
+  switch (query.metric) {
+    case "visitors":
+      // 先按 (维度, 访客) 去重，再按维度计数
+      pipeline.push(
+        { $group: { _id: { ...groupId, visitor: "$visitor" } } },
+        {
+          $group: {
+            _id: Object.fromEntries(
+              Object.keys(groupId).map((key) => [key, `$_id.${key}`])
+            ),
+            value: { $sum: 1 },
+          },
+        }
+      );
+      break;
+    case "avg_stay_time":
+      pipeline[0].$match = { ...match, stay_time: { $gt: 0 } };
+      pipeline.push(
+        { $group: { _id: groupId, value: { $avg: "$stay_time" } } },
+        { $addFields: { value: { $round: ["$value", 0] } } }
+      );
+      break;
+    default:
+      pipeline.push({ $group: { _id: groupId, value: { $sum: 1 } } });
+  }
+
+  // 含时间维度时按时间排序，否则按指标值从大到小
+  const timeKey = query.groups.findIndex((g) => g.dimension === "time");
+  pipeline.push(
+    {
+      $sort:
+        timeKey >= 0
+          ? { [`_id.d${timeKey}`]: 1, value: -1 }
+          : { value: -1, _id: 1 },
+    },
+    { $limit: query.limit }
+  );
+
+  return pipeline;
+}
+
+// ==========================================
+// 3. API 路由定义 (/api/stats/query)
+// ==========================================
+
+async function handleQuery(req, res) {
+  const params = req.method === "GET" ? req.query : req.body || {};
+  const parsed = parseQuery(params);
+  if (parsed.error) {
+    return res.status(400).json({ success: false, error: parsed.error });
+  }
+  const { query } = parsed;
+
+  const range = getDateRangeQuery(params.startDate, params.endDate, req.tz);
+  if (range.$lte - range.$gte > MAX_RANGE_DAYS * DAY) {
+    return res.status(400).json({
+      success: false,
+      error: `Date range must not exceed ${MAX_RANGE_DAYS} days`,
+    });
+  }
+
+  try {
+    const Model = query.source === "sessions" ? Session : TrackEvent;
+    const match = eventMatch(req, {
+      ...query.filters,
+      [query.timeField]: range,
+    });
+
+    const rows = await Model.aggregate(buildPipeline(query, match, req.tz));
+
+    res.json({
+      success: true,
+      data: {
+        metric: query.metric,
+        group_by: query.groups.map((g) => g.dimension),
+        granularity: query.groups.some((g) => g.dimension === "time")
+          ? query.granularity
+          : null,
+        timezone: req.tz,
+        range: { start: range.$gte, end: range.$lte },
+        rows: rows.map((row) => {
+          const result = {};
+          query.groups.forEach(({ dimension }, i) => {
+            result[dimension] = row._id[`d${i}`] ?? null;
+          });
+          result.value = row.value;
+          return result;
+        }),
+      },
+    });
+  } catch (error) {
+    console.error("[Query] Error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+}
+
+router.get("/query", handleQuery);
+router.post("/query", handleQuery);
+
+// 挂载到 /api/stats（需在权限校验与项目解析中间件之后调用）
+const initQuery = (app) => {
+  app.use("/api/stats", router);
+};
+
+module.exports = {
+  initQuery,
+  parseQuery,
+  buildPipeline,
+};
+
+// --- END OF FILE query.js ---
@@ -0,0 +1,67 @@
+// --- START OF FILE rebuild-rollups.js ---
+//
+// 重建指定日期区间的预聚合（Rollup）
+// 用法：npm run rollups:rebuild -- <project> <startDate> <endDate> [tz]
+// 例如：npm run rollups:rebuild -- default 2024-01-01 2024-01-31 Asia/Shanghai
+//
+// 服务运行中也可调用 POST /api/admin/rollups/rebuild 完成同样的操作。
+
+const mongoose = require("mongoose");
+const config = require("../config/database.js");
+const { findProject } = require("./projects");
+const { rebuildRollups } = require("./rollups");
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getDateRangeQuery,
+  retentionCutoff,
+} = require("./utils");
+
+async function run() {
+  const [ref, startDate, endDate, tzArg] = process.argv.slice(2);
+
+  if (!ref || !startDate || !endDate) {
+    throw new Error(
+      "Usage: npm run rollups:rebuild -- <project> <startDate> <endDate> [tz]"
+    );
+  }
+
+  await mongoose.connect(config.mongodb.uri);
+  console.log("[Rollup] Connected to MongoDB");
+
+  const systemConfig = await mongoose.connection
+    .collection("systemconfigs")
+    .findOne({ key: "main_config" });
+  const tz = tzArg || systemConfig?.timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimeZone(tz)) throw new Error(`Invalid timezone: ${tz}`);
+
+  const project = await findProject(ref);
+  if (!project) throw new Error(`Project not found: ${ref}`);
+
+  const range = getDateRangeQuery(startDate, endDate, tz);
+  const cutoff = retentionCutoff(systemConfig?.retention?.raw_events_days, tz);
+  if (cutoff && range.$gte < cutoff) {
+    throw new Error(
+      `Raw events before ${cutoff.toISOString()} have expired and cannot be rebuilt`
+    );
+  }
+  const result = await rebuildRollups(
+    project._id,
+    range.$gte,
+    new Date(range.$lte.getTime() + 1),
+    tz
+  );
+
+  console.log(
+    `[Rollup] Done. ${project.slug} ${startDate} ~ ${endDate} (${tz}): ${result.hours} hourly, ${result.days} daily rollups rebuilt.`
+  );
+}
+
+run()
+  .catch((error) => {
+    console.error("[Rollup] Rebuild failed:", error.message || error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
+
+// --- END OF FILE rebuild-rollups.js ---
@@ -0,0 +1,537 @@
+// --- START OF FILE registry.js ---
+//
+// 事件注册表：按项目登记已知的事件类型、允许的 target 与自定义属性（properties）的结构。
+//
+// 打点接口按项目的 event_validation 设置校验上报的事件：
+// - off（默认）：不校验注册表，只做属性格式的基本检查
+// - quarantine：不匹配的事件不入库，转存到隔离区，接口仍返回成功（客户端无需重试）
+// - reject：不匹配的事件直接返回 400
+// 两种模式下不匹配的事件都会记录到隔离区（保留 QUARANTINE_TTL_DAYS 天），
+// 可通过 /api/admin/event-types/unmatched 查看汇总。
+
+const express = require("express");
+const mongoose = require("mongoose");
+const { requireRole } = require("./auth");
+const { Project, findProject } = require("./projects");
+
+const router = express.Router();
+
+const VALIDATION_MODES = ["off", "quarantine", "reject"];
+const PROPERTY_TYPES = ["string", "number", "boolean"];
+
+// 自定义属性的基本限制（与注册表无关，任何模式下都生效）
+const MAX_PROPERTIES = 20;
+const MAX_PROPERTY_LENGTH = 256;
+const PROPERTY_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+const EVENT_NAME_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+
+const QUARANTINE_TTL_DAYS = 30;
+const CACHE_TTL = 30 * 1000;
+
+// ==========================================
+// 1. 数据模型定义
+// ==========================================
+
+const PropertySchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    type: { type: String, enum: PROPERTY_TYPES, required: true },
+    required: { type: Boolean, default: false },
+    // 允许的取值，为空表示不限
+    values: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+  },
+  { _id: false }
+);
+
+const EventTypeSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Project",
+    required: true,
+  },
+  name: { type: String, required: true }, // 对应事件的 event_type
+  description: String,
+  // 允许的 target，支持末尾 * 的前缀匹配（如 screenshot-*）；为空表示不限
+  targets: { type: [String], default: [] },
+  properties: { type: [PropertySchema], default: [] },
+  // 是否允许未登记的属性
+  allow_extra_properties: { type: Boolean, default: false },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now },
+});
+
+EventTypeSchema.index({ project: 1, name: 1 }, { unique: true });
+
+const EventType = mongoose.model("EventType", EventTypeSchema);
+
+// 隔离区：与注册表不匹配的事件（不保存 IP）
+const QuarantinedEventSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Project",
+    required: true,
+  },
+  visitor_id: String,
+  action: { type: String, enum: ["quarantined", "rejected"] },
+  reasons: [String],
+  event: {
+    event_type: String,
+    event_target: String,
+    page: String,
+    stay_time: Number,
+    timestamp: Number,
+    properties: mongoose.Schema.Types.Mixed,
+  },
+  received_at: { type: Date, default: Date.now },
+});
+
+QuarantinedEventSchema.index(
+  { received_at: 1 },
+  { expireAfterSeconds: QUARANTINE_TTL_DAYS * 24 * 60 * 60 }
+);
+QuarantinedEventSchema.index({ project: 1, received_at: -1 });
+QuarantinedEventSchema.index({ project: 1, visitor_id: 1 });
+
+const QuarantinedEvent = mongoose.model(
+  "QuarantinedEvent",
+  QuarantinedEventSchema
+);
+
+// ==========================================
+// 2. 校验
+// ==========================================
+
+// 自定义属性的基本检查：扁平对象，值只能是字符串、数字、布尔或 null
+// 返回 { properties } 或 { error }，未传时 properties 为 undefined
+function parseProperties(properties) {
+  if (properties === undefined || properties === null) return {};
+  if (typeof properties !== "object" || Array.isArray(properties)) {
+    return { error: "properties must be an object" };
+  }
+
+  const keys = Object.keys(properties);
+  if (keys.length > MAX_PROPERTIES) {
+    return { error: `Too many properties, max ${MAX_PROPERTIES}` };
+  }
+  for (const key of keys) {
+    if (!PROPERTY_KEY_PATTERN.test(key)) {
+      return { error: `Invalid property name: ${key}` };
+    }
+    const value = properties[key];
+    if (value === null || typeof value === "boolean") continue;
+    if (typeof value === "number" && Number.isFinite(value)) continue;
+    if (typeof value === "string" && value.length <= MAX_PROPERTY_LENGTH) {
+      continue;
+    }
+    return { error: `Invalid value for property ${key}` };
+  }
+
+  return keys.length > 0 ? { properties } : {};
+}
+
+function matchTarget(patterns, target) {
+  return patterns.some((pattern) =>
+    pattern.endsWith("*")
+      ? target.startsWith(pattern.slice(0, -1))
+      : target === pattern
+  );
+}
+
+// 按事件类型定义检查单条事件，返回不匹配的原因列表（空数组表示通过）
+function checkEvent(definition, track) {
+  if (!definition) return ["unknown_type"];
+
+  const reasons = [];
+  if (
+    definition.targets.length > 0 &&
+    !matchTarget(definition.targets, track.event_target || "")
+  ) {
+    reasons.push("unknown_target");
+  }
+
+  const properties = track.properties || {};
+  const declared = new Set();
+  for (const prop of definition.properties) {
+    declared.add(prop.key);
+    const value = properties[prop.key];
+    if (value === undefined || value === null) {
+      if (prop.required) reasons.push(`missing_property:${prop.key}`);
+      continue;
+    }
+    if (
+      typeof value !== prop.type ||
+      (prop.values?.length > 0 && !prop.values.includes(value))
+    ) {
+      reasons.push(`invalid_property:${prop.key}`);
+    }
+  }
+
+  if (!definition.allow_extra_properties) {
+    Object.keys(properties)
+      .filter((key) => !declared.has(key))
+      .forEach((key) => reasons.push(`unknown_property:${key}`));
+  }
+
+  return reasons;
+}
+
+// 注册表内存缓存：projectId -> { loaded_at, types: Map(name -> definition) }
+const registryCache = new Map();
+
+async function loadRegistry(projectId) {
+  const key = String(projectId);
+  const cached = registryCache.get(key);
+  if (cached && Date.now() - cached.loaded_at < CACHE_TTL) return cached.types;
+
+  const definitions = await EventType.find({ project: projectId }).lean();
+  const types = new Map(definitions.map((d) => [d.name, d]));
+  registryCache.set(key, { loaded_at: Date.now(), types });
+  return types;
+}
+
+function invalidateRegistry(projectId) {
+  registryCache.delete(String(projectId));
+}
+
+// 打点接口使用：按项目的校验模式检查事件
+// 返回 { accepted: true } 或 { accepted: false, action: "quarantined"|"rejected", reasons }
+// 不匹配的事件会写入隔离区
+async function screenEvent(project, visitorId, track) {
+  const mode = project.event_validation || "off";
+  if (mode === "off") return { accepted: true };
+
+  const types = await loadRegistry(project._id);
+  const reasons = checkEvent(types.get(track.event_type), track);
+  if (reasons.length === 0) return { accepted: true };
+
+  const action = mode === "reject" ? "rejected" : "quarantined";
+  try {
+    await QuarantinedEvent.create({
+      project: project._id,
+      visitor_id: visitorId,
+      action,
+      reasons,
+      event: {
+        event_type: track.event_type,
+        event_target: track.event_target,
+        page: track.page,
+        stay_time: track.stay_time,
+        timestamp: track.timestamp,
+        properties: track.properties,
+      },
+    });
+  } catch (error) {
+    console.error("[Registry] Failed to record unmatched event:", error);
+  }
+
+  return { accepted: false, action, reasons };
+}
+
+// 校验并规范化注册表中的事件类型定义（用于新建与修改）
+function parseDefinition(body) {
+  const { name, description, targets, properties } = body;
+
+  if (!name || !EVENT_NAME_PATTERN.test(name)) {
+    return { error: "name must be 1-64 letters, digits or _.:-" };
+  }
+  if (
+    targets !== undefined &&
+    (!Array.isArray(targets) || targets.some((t) => typeof t !== "string"))
+  ) {
+    return { error: "targets must be an array of strings" };
+  }
+  if (properties !== undefined && !Array.isArray(properties)) {
+    return { error: "properties must be an array" };
+  }
+
+  const seen = new Set();
+  for (const prop of properties || []) {
+    if (!prop || !PROPERTY_KEY_PATTERN.test(prop.key || "")) {
+      return { error: "Invalid property key" };
+    }
+    if (seen.has(prop.key)) {
+      return { error: `Duplicate property: ${prop.key}` };
+    }
+    seen.add(prop.key);
+    if (!PROPERTY_TYPES.includes(prop.type)) {
+      return {
+        error: `Property type must be one of: ${PROPERTY_TYPES.join(", ")}`,
+      };
+    }
+    if (
+      prop.values !== undefined &&
+      (!Array.isArray(prop.values) ||
+        prop.values.some((v) => typeof v !== prop.type))
+    ) {
+      return { error: `Invalid values for property ${prop.key}` };
+    }
+  }
+
+  return {
+    definition: {
+      name,
+      description: description || "",
+      targets: targets || [],
+      properties: (properties || []).map((p) => ({
+        key: p.key,
+        type: p.type,
+        required: !!p.required,
+        ...(p.values?.length > 0 ? { values: p.values } : {}),
+      })),
+      allow_extra_properties: !!body.allow_extra_properties,
+    },
+  };
+}
+
+// ==========================================
+// 3. API 路由定义 (/api/admin)
+// ==========================================
+
+// 读取请求中的项目，找不到时直接返回错误响应
+async function loadProject(req, res) {
+  const project = await findProject(req.query.project || req.body?.project);
+  if (!project) {
+    res.status(404).json({ success: false, error: "Project not found" });
+    return null;
+  }
+  return project;
+}
+
+// 项目的事件注册表与校验模式
+router.get("/event-types", requireRole("viewer"), async (req, res) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const types = await EventType.find({ project: project._id })
+      .sort({ name: 1 })
+      .lean();
+    res.json({
+      success: true,
+      data: { mode: project.event_validation || "off", types },
+    });
+  } catch (error) {
+    console.error("[Registry] List error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 隔离区路由需在 /event-types/:id 之前定义
+// 不匹配注册表的事件汇总：按事件类型、target 与原因分组，附带最近一条样例
+// ?project=&since=（ISO 时间，默认全部保留期）&limit=
+router.get(
+  "/event-types/unmatched",
+  requireRole("viewer"),
+  async (req, res) => {
+    try {
+      const project = await loadProject(req, res);
+      if (!project) return;
+
+      const match = { project: project._id };
+      if (req.query.since) {
+        const since = new Date(req.query.since);
+        if (isNaN(since.getTime())) {
+          return res
+            .status(400)
+            .json({ success: false, error: "Invalid since" });
+        }
+        match.received_at = { $gte: since };
+      }
+
+      const groups = await QuarantinedEvent.aggregate([
+        { $match: match },
+        { $sort: { received_at: -1 } },
+        {
+          $group: {
+            _id: {
+              event_type: "$event.event_type",
+              event_target: "$event.event_target",
+              reasons: "$reasons",
+            },
+            count: { $sum: 1 },
+            quarantined: {
+              $sum: { $cond: [{ $eq: ["$action", "quarantined"] }, 1, 0] },
+            },
+            rejected: {
+              $sum: { $cond: [{ $eq: ["$action", "rejected"] }, 1, 0] },
+            },
+            first_seen: { $min: "$received_at" },
+            last_seen: { $max: "$received_at" },
+            sample: { $first: "$event" },
+          },
+        },
+        { $sort: { count: -1 } },
+        { $limit: Math.min(parseInt(req.query.limit) || 100, 1000) },
+      ]);
+
+      res.json({
+        success: true,
+        data: groups.map(({ _id, ...group }) => ({ ..._id, ...group })),
+      });
+    } catch (error) {
+      console.error("[Registry] Unmatched error:", error);
+      res.status(500).json({ success: false, error: "Server error" });
+    }
+  }
+);
+
+// 清空项目的隔离区
+router.delete(
+  "/event-types/unmatched",
+  requireRole("editor"),
+  async (req, res) => {
+    try {
+      const project = await loadProject(req, res);
+      if (!project) return;
+
+      const result = await QuarantinedEvent.deleteMany({
+        project: project._id,
+      });
+      res.json({ success: true, data: { deleted: result.deletedCount } });
+    } catch (error) {
+      console.error("[Registry] Clear error:", error);
+      res.status(500).json({ success: false, error: "Server error" });
+    }
+  }
+);
+
+// 登记事件类型：{ project, name, description, targets, properties, allow_extra_properties }
+router.post("/event-types", requireRole("editor"), async (req, res) => {
+  const parsed = parseDefinition(req.body || {});
+  if (parsed.error) {
+    return res.status(400).json({ success: false, error: parsed.error });
+  }
+
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    if (
+      await EventType.exists({
+        project: project._id,
+        name: parsed.definition.name,
+      })
+    ) {
+      return res
+        .status(409)
+        .json({ success: false, error: "Event type already exists" });
+    }
+
+    const type = await EventType.create({
+      ...parsed.definition,
+      project: project._id,
+    });
+    invalidateRegistry(project._id);
+
+    console.log(`[Registry] ${project.slug}: event type ${type.name} added.`);
+    res.json({ success: true, data: type });
+  } catch (error) {
+    console.error("[Registry] Create error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 修改事件类型（整体替换定义）
+router.put("/event-types/:id", requireRole("editor"), async (req, res) => {
+  const parsed = parseDefinition(req.body || {});
+  if (parsed.error) {
+    return res.status(400).json({ success: false, error: parsed.error });
+  }
+
+  try {
+    const existing = mongoose.isValidObjectId(req.params.id)
+      ? await EventType.findById(req.params.id)
+      : null;
+    if (!existing) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Event type not found" });
+    }
+
+    if (
+      parsed.definition.name !== existing.name &&
+      (await EventType.exists({
+        project: existing.project,
+        name: parsed.definition.name,
+      }))
+    ) {
+      return res
+        .status(409)
+        .json({ success: false, error: "Event type already exists" });
+    }
+
+    existing.set({ ...parsed.definition, updated_at: new Date() });
+    await existing.save();
+    invalidateRegistry(existing.project);
+
+    res.json({ success: true, data: existing });
+  } catch (error) {
+    console.error("[Registry] Update error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+router.delete("/event-types/:id", requireRole("editor"), async (req, res) => {
+  try {
+    const type = mongoose.isValidObjectId(req.params.id)
+      ? await EventType.findByIdAndDelete(req.params.id)
+      : null;
+    if (!type) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Event type not found" });
+    }
+    invalidateRegistry(type.project);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("[Registry] Delete error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 设置项目的校验模式：{ project, mode: off|quarantine|reject }
+router.post("/event-validation", requireRole("editor"), async (req, res) => {
+  const { mode } = req.body || {};
+  if (!VALIDATION_MODES.includes(mode)) {
+    return res.status(400).json({
+      success: false,
+      error: `mode must be one of: ${VALIDATION_MODES.join(", ")}`,
+    });
+  }
+
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    await Project.updateOne(
+      { _id: project._id },
+      { $set: { event_validation: mode } }
+    );
+
+    console.log(`[Registry] ${project.slug}: event validation set to ${mode}.`);
+    res.json({ success: true, data: { project: project.slug, mode } });
+  } catch (error) {
+    console.error("[Registry] Mode error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// ==========================================
+// 4. 初始化
+// ==========================================
+
+const initRegistry = (app) => {
+  app.use("/api/admin", router);
+};
+
+module.exports = {
+  EventType,
+  QuarantinedEvent,
+  VALIDATION_MODES,
+  initRegistry,
+  parseProperties,
+  checkEvent,
+  screenEvent,
+};
+
+// --- END OF FILE registry.js ---
@@ -0,0 +1,236 @@
+// --- START OF FILE retention.js ---
+//
+// 原始数据保留策略（SystemConfig.retention）：
+// - raw_events_days：原始事件保留的天数（按系统时区的自然日对齐），0 表示永久保留
+// - keep_rollups：原始事件过期后是否保留按天汇总的预聚合（小时预聚合总是随原始数据一起清理）
+//
+// 后台任务每天按项目分批清理过期的事件、会话与预聚合；访客档案（含累计计数）不受影响。
+// 修改策略前可通过 /api/admin/retention/preview 预览将被删除的数据量。
+
+const express = require("express");
+const mongoose = require("mongoose");
+const schedule = require("node-schedule");
+const { TrackEvent, Session } = require("./models");
+const { Project } = require("./projects");
+const { Rollup } = require("./rollups");
+const { requireRole } = require("./auth");
+const { retentionCutoff } = require("./utils");
+const hook = require("./hook");
+
+const router = express.Router();
+
+const RETENTION_BATCH_SIZE = 5000;
+
+let running = false;
+let lastRun = null;
+
+// ==========================================
+// 1. 策略
+// ==========================================
+
+// 当前策略（overrides 中的字段优先，用于预览尚未保存的策略）
+function getRetentionPolicy(overrides = {}) {
+  const current = hook.getConfig()?.retention || {};
+  return {
+    raw_events_days: overrides.raw_events_days ?? current.raw_events_days ?? 0,
+    keep_rollups: overrides.keep_rollups ?? current.keep_rollups ?? true,
+  };
+}
+
+// 当前策略下的截止时刻（早于该时刻的原始数据会被清理），永久保留时为 null
+function getRetentionCutoff() {
+  return retentionCutoff(
+    getRetentionPolicy().raw_events_days,
+    hook.getTimezone()
+  );
+}
+
+// 某个项目在截止时刻之前、会被清理的数据
+function expiredFilters(projectId, cutoff, policy) {
+  const filters = {
+    events: [TrackEvent, { project: projectId, created_at: { $lt: cutoff } }],
+    sessions: [Session, { project: projectId, ended_at: { $lt: cutoff } }],
+    hourly_rollups: [
+      Rollup,
+      {
+        project: projectId,
+        granularity: "hour",
+        bucket_end: { $lte: cutoff },
+      },
+    ],
+  };
+  if (!policy.keep_rollups) {
+    filters.daily_rollups = [
+      Rollup,
+      { project: projectId, granularity: "day", bucket_end: { $lte: cutoff } },
+    ];
+  }
+  return filters;
+}
+
+// ==========================================
+// 2. 清理
+// ==========================================
+
+// 分批删除，避免一次删除大量文档长时间占用数据库
+async function deleteInBatches(Model, filter) {
+  let deleted = 0;
+  for (;;) {
+    const ids = (
+      await Model.find(filter).select("_id").limit(RETENTION_BATCH_SIZE).lean()
+    ).map((doc) => doc._id);
+    if (ids.length === 0) break;
+
+    const result = await Model.deleteMany({ _id: { $in: ids } });
+    deleted += result.deletedCount;
+    if (ids.length < RETENTION_BATCH_SIZE) break;
+  }
+  return deleted;
+}
+
+// 按当前策略清理全部项目（包括已归档的项目）
+async function enforceRetention() {
+  const policy = getRetentionPolicy();
+  const cutoff = getRetentionCutoff();
+  if (!cutoff) return null;
+
+  const totals = {};
+  const projects = await Project.find().select("_id slug").lean();
+  for (const project of projects) {
+    const filters = expiredFilters(project._id, cutoff, policy);
+    for (const [name, [Model, filter]] of Object.entries(filters)) {
+      totals[name] =
+        (totals[name] || 0) + (await deleteInBatches(Model, filter));
+    }
+  }
+
+  return { cutoff, policy, deleted: totals };
+}
+
+async function runRetention() {
+  if (running) return null;
+  running = true;
+  try {
+    const result = await enforceRetention();
+    if (result) {
+      lastRun = { ...result, finished_at: new Date() };
+      console.log(
+        `[Retention] Cleaned data before ${result.cutoff.toISOString()}:`,
+        result.deleted
+      );
+    }
+    return result;
+  } finally {
+    running = false;
+  }
+}
+
+// ==========================================
+// 3. API 路由定义 (/api/admin/retention)
+// ==========================================
+
+// 当前策略、截止时刻与最近一次清理结果
+router.get("/retention", requireRole("viewer"), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      policy: getRetentionPolicy(),
+      cutoff: getRetentionCutoff(),
+      running,
+      last_run: lastRun,
+    },
+  });
+});
+
+// 预览策略的影响：?raw_events_days=&keep_rollups=（未传的字段沿用当前策略）
+// 返回各项目将被删除的事件、会话与预聚合数量
+router.get("/retention/preview", requireRole("editor"), async (req, res) => {
+  const overrides = {};
+  if (req.query.raw_events_days !== undefined) {
+    const days = Number(req.query.raw_events_days);
+    if (!Number.isInteger(days) || days < 0) {
+      return res.status(400).json({
+        success: false,
+        error: "raw_events_days must be a non-negative integer",
+      });
+    }
+    overrides.raw_events_days = days;
+  }
+  if (req.query.keep_rollups !== undefined) {
+    overrides.keep_rollups = ["1", "true"].includes(
+      String(req.query.keep_rollups).toLowerCase()
+    );
+  }
+
+  try {
+    const policy = getRetentionPolicy(overrides);
+    const cutoff = retentionCutoff(policy.raw_events_days, hook.getTimezone());
+    if (!cutoff) {
+      return res.json({
+        success: true,
+        data: { policy, cutoff: null, totals: {}, projects: [] },
+      });
+    }
+
+    const totals = {};
+    const projects = [];
+    for (const project of await Project.find().select("_id slug name").lean()) {
+      const counts = {};
+      const filters = expiredFilters(project._id, cutoff, policy);
+      for (const [name, [Model, filter]] of Object.entries(filters)) {
+        counts[name] = await Model.countDocuments(filter);
+        totals[name] = (totals[name] || 0) + counts[name];
+      }
+      projects.push({ _id: project._id, slug: project.slug, ...counts });
+    }
+
+    res.json({ success: true, data: { policy, cutoff, totals, projects } });
+  } catch (error) {
+    console.error("[Retention] Preview error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 立即按当前策略执行一次清理
+router.post("/retention/run", requireRole("owner"), async (req, res) => {
+  if (running) {
+    return res
+      .status(409)
+      .json({ success: false, error: "Retention cleanup is already running" });
+  }
+  try {
+    const result = await runRetention();
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error("[Retention] Run error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// ==========================================
+// 4. 初始化
+// ==========================================
+
+const initRetention = (app) => {
+  app.use("/api/admin", router);
+
+  mongoose.connection.once("open", () => {
+    // 每天凌晨 3:30 按策略清理过期数据
+    schedule.scheduleJob("30 3 * * *", async () => {
+      try {
+        await runRetention();
+      } catch (error) {
+        console.error("[Retention] Error:", error);
+      }
+    });
+  });
+};
+
+module.exports = {
+  initRetention,
+  getRetentionPolicy,
+  getRetentionCutoff,
+  enforceRetention,
+};
+
+// --- END OF FILE retention.js ---
@@ -0,0 +1,686 @@
+// --- START OF FILE rollups.js ---
+//
+// 预聚合（Rollup）：按小时与按天保存 PV、UV、新用户、停留时长，以及页面 / 组件 /
+// 国家 / 事件类型的计数，统计接口与报表优先读取预聚合，避免每次扫描全部事件。
+//
+// - 小时文档以 UTC 整点为桶；天文档以系统时区的自然日为桶（记录 timezone）
+// - 文档保存访客 _id 列表，跨桶合并时对访客取并集，UV 保持精确
+// - 打点写入后将对应小时标记为 dirty，后台任务每分钟重算 dirty 的小时与天
+// - 读取时：整天用天文档，其余整点用小时文档，首尾不足一小时的部分以及
+//   尚未重算（dirty）的桶直接查事件表，因此当前小时的数据没有延迟
+// - 预聚合只统计非机器人流量；需要包含机器人（include_bots）或排除导入数据
+//   （exclude_imports）时直接查事件表
+
+const express = require("express");
+const mongoose = require("mongoose");
+const schedule = require("node-schedule");
+const { UserTracking, TrackEvent } = require("./models");
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  timeZoneOffset,
+  localHour,
+  formatDay,
+  addDays,
+  startOfDay,
+  getDateRangeQuery,
+  trafficFilter,
+} = require("./utils");
+const { requireRole } = require("./auth");
+const { findProject } = require("./projects");
+
+const router = express.Router();
+
+const HOUR = 60 * 60 * 1000;
+const DIRTY_BATCH_SIZE = 200;
+const MAX_REBUILD_DAYS = 366;
+
+// ==========================================
+// 1. 数据模型定义
+// ==========================================
+const CountSchema = new mongoose.Schema(
+  { key: String, count: Number },
+  { _id: false }
+);
+
+const RollupSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Project",
+    required: true,
+  },
+  granularity: { type: String, enum: ["hour", "day"], required: true },
+  bucket: { type: Date, required: true }, // 桶开始时间（含）
+  bucket_end: { type: Date, required: true }, // 桶结束时间（不含）
+  timezone: { type: String, default: "UTC" }, // 天文档所属时区
+  dirty_at: Date, // 有新事件待重算时设置
+
+  pv: { type: Number, default: 0 },
+  visitors: [mongoose.Schema.Types.ObjectId],
+  new_users: { type: Number, default: 0 },
+  stay_time: { type: Number, default: 0 }, // stay_time > 0 的事件总停留
+  stay_events: { type: Number, default: 0 },
+  stay_visitors: [mongoose.Schema.Types.ObjectId],
+  pages: [CountSchema],
+  targets: [CountSchema],
+  countries: [CountSchema],
+  event_types: [CountSchema],
+  updated_at: Date,
+});
+
+RollupSchema.index(
+  { project: 1, granularity: 1, timezone: 1, bucket: 1 },
+  { unique: true }
+);
+RollupSchema.index({ dirty_at: 1 }, { sparse: true });
+
+const Rollup = mongoose.model("Rollup", RollupSchema);
+
+// ==========================================
+// 2. 汇总结构（内存中）
+// ==========================================
+
+function emptySummary(hourly = false) {
+  return {
+    pv: 0,
+    visitors: new Set(),
+    new_users: 0,
+    stay_time: 0,
+    stay_events: 0,
+    stay_visitors: new Set(),
+    pages: new Map(),
+    targets: new Map(),
+    countries: new Map(),
+    event_types: new Map(),
+    // 按本地小时的 PV / UV，仅在需要小时分布时填充
+    hours: hourly ? new Map() : null,
+  };
+}
+
+function addCounts(map, items) {
+  (items || []).forEach(({ key, count }) => {
+    map.set(key, (map.get(key) || 0) + count);
+  });
+}
+
+function addHour(summary, hour, pv, visitors) {
+  if (!summary.hours) return;
+  const entry = summary.hours.get(hour) || { pv: 0, visitors: new Set() };
+  entry.pv += pv;
+  visitors.forEach((v) => entry.visitors.add(String(v)));
+  summary.hours.set(hour, entry);
+}
+
+// 合并一个 Rollup 文档（或同结构的对象）
+function mergeDoc(summary, doc, hour = null) {
+  summary.pv += doc.pv || 0;
+  summary.new_users += doc.new_users || 0;
+  summary.stay_time += doc.stay_time || 0;
+  summary.stay_events += doc.stay_events || 0;
+  (doc.visitors || []).forEach((v) => summary.visitors.add(String(v)));
+  (doc.stay_visitors || []).forEach((v) =>
+    summary.stay_visitors.add(String(v))
+  );
+  addCounts(summary.pages, doc.pages);
+  addCounts(summary.targets, doc.targets);
+  addCounts(summary.countries, doc.countries);
+  addCounts(summary.event_types, doc.event_types);
+  if (hour !== null) addHour(summary, hour, doc.pv || 0, doc.visitors || []);
+}
+
+const toCounts = (rows) => rows.map((r) => ({ key: r._id, count: r.count }));
+
+// 直接从事件表计算 [start, end) 区间的汇总（tz 非空时同时计算小时分布）
+// traffic：{ includeBots, excludeImports, segment }，见 utils.trafficFilter
+async function computeRaw(projectId, start, end, tz = null, traffic = {}) {
+  const trafficMatch = trafficFilter(traffic);
+  const match = {
+    project: projectId,
+    created_at: { $gte: start, $lt: end },
+    ...trafficMatch,
+  };
+
+  const facet = {
+    totals: [
+      {
+        $group: {
+          _id: null,
+          pv: { $sum: 1 },
+          visitors: { $addToSet: "$visitor" },
+        },
+      },
+    ],
+    stay: [
+      { $match: { stay_time: { $gt: 0 } } },
+      {
+        $group: {
+          _id: null,
+          stay_time: { $sum: "$stay_time" },
+          stay_events: { $sum: 1 },
+          stay_visitors: { $addToSet: "$visitor" },
+        },
+      },
+    ],
+    pages: [{ $group: { _id: "$page", count: { $sum: 1 } } }],
+    targets: [
+      { $match: { event_target: { $exists: true, $ne: "" } } },
+      { $group: { _id: "$event_target", count: { $sum: 1 } } },
+    ],
+    countries: [{ $group: { _id: "$location.country", count: { $sum: 1 } } }],
+    event_types: [{ $group: { _id: "$event_type", count: { $sum: 1 } } }],
+  };
+  if (tz) {
+    facet.hours = [
+      {
+        $group: {
+          _id: { $hour: { date: "$created_at", timezone: tz } },
+          pv: { $sum: 1 },
+          visitors: { $addToSet: "$visitor" },
+        },
+      },
+    ];
+  }
+
+  const [result] = await TrackEvent.aggregate([
+    { $match: match },
+    { $facet: facet },
+  ]).allowDiskUse(true);
+
+  const newUsers = await UserTracking.countDocuments({
+    project: projectId,
+    "profile.first_login": { $gte: start, $lt: end },
+    ...trafficFilter(traffic, "_id"),
+  });
+
+  const totals = result.totals[0] || { pv: 0, visitors: [] };
+  const stay = result.stay[0] || {
+    stay_time: 0,
+    stay_events: 0,
+    stay_visitors: [],
+  };
+
+  return {
+    doc: {
+      pv: totals.pv,
+      visitors: totals.visitors,
+      new_users: newUsers,
+      stay_time: stay.stay_time,
+      stay_events: stay.stay_events,
+      stay_visitors: stay.stay_visitors,
+      pages: toCounts(result.pages),
+      targets: toCounts(result.targets),
+      countries: toCounts(result.countries),
+      event_types: toCounts(result.event_types),
+    },
+    hours: result.hours || [],
+  };
+}
+
+async function mergeRaw(summary, projectId, start, end, tz, traffic) {
+  if (start >= end) return;
+  const { doc, hours } = await computeRaw(
+    projectId,
+    new Date(start),
+    new Date(end),
+    summary.hours ? tz : null,
+    traffic
+  );
+  mergeDoc(summary, doc);
+  hours.forEach((h) => addHour(summary, h._id, h.pv, h.visitors));
+}
+
+// 时区偏移为整小时时，UTC 整点桶与本地整点一致
+function isHourAligned(tz, start, end) {
+  return [start, end].every(
+    (t) => timeZoneOffset(new Date(t), tz) % HOUR === 0
+  );
+}
+
+// 从区间列表中扣除已被天文档覆盖的部分
+function subtractIntervals(intervals, covered) {
+  let result = intervals;
+  covered.forEach(([cs, ce]) => {
+    const next = [];
+    result.forEach(([s, e]) => {
+      if (ce <= s || cs >= e) return next.push([s, e]);
+      if (s < cs) next.push([s, cs]);
+      if (ce < e) next.push([ce, e]);
+    });
+    result = next;
+  });
+  return result;
+}
+
+// 汇总 [start, end) 区间：天文档 + 小时文档 + 首尾的原始事件
+// options.hourly 为 true 时额外返回按本地小时的分布（此时不使用天文档）
+// options.includeBots / excludeImports / segment 改变了默认的流量过滤（不使用预聚合）
+async function summarizeRange(projectId, start, end, options = {}) {
+  const tz = options.timezone || DEFAULT_TIMEZONE;
+  const hourly = !!options.hourly;
+  const summary = emptySummary(hourly);
+  const startMs = new Date(start).getTime();
+  const endMs = new Date(end).getTime();
+
+  // 改变了流量过滤（预聚合只包含默认流量），或半小时时区无法用 UTC 整点桶拼出本地小时时，
+  // 直接查事件表
+  const traffic = {
+    includeBots: !!options.includeBots,
+    excludeImports: !!options.excludeImports,
+    segment: options.segment || null,
+  };
+  if (
+    traffic.includeBots ||
+    traffic.excludeImports ||
+    traffic.segment ||
+    (hourly && !isHourAligned(tz, startMs, endMs))
+  ) {
+    await mergeRaw(summary, projectId, startMs, endMs, tz, traffic);
+    return summary;
+  }
+
+  let intervals = [[startMs, endMs]];
+
+  if (!hourly && options.useDays !== false) {
+    const days = await Rollup.find({
+      project: projectId,
+      granularity: "day",
+      timezone: tz,
+      bucket: { $gte: new Date(startMs) },
+      bucket_end: { $lte: new Date(endMs) },
+      dirty_at: { $exists: false },
+    }).lean();
+
+    days.forEach((doc) => mergeDoc(summary, doc));
+    intervals = subtractIntervals(
+      intervals,
+      days.map((d) => [d.bucket.getTime(), d.bucket_end.getTime()])
+    );
+  }
+
+  for (const [s, e] of intervals) {
+    const firstHour = Math.ceil(s / HOUR) * HOUR;
+    const lastHour = Math.floor(e / HOUR) * HOUR;
+
+    if (firstHour >= lastHour) {
+      await mergeRaw(summary, projectId, s, e, tz);
+      continue;
+    }
+
+    await mergeRaw(summary, projectId, s, firstHour, tz);
+
+    const hours = await Rollup.find({
+      project: projectId,
+      granularity: "hour",
+      bucket: { $gte: new Date(firstHour), $lt: new Date(lastHour) },
+    }).lean();
+    for (const doc of hours) {
+      if (doc.dirty_at) {
+        await mergeRaw(
+          summary,
+          projectId,
+          doc.bucket.getTime(),
+          doc.bucket_end.getTime(),
+          tz
+        );
+      } else {
+        mergeDoc(summary, doc, hourly ? localHour(doc.bucket, tz) : null);
+      }
+    }
+
+    await mergeRaw(summary, projectId, lastHour, e, tz);
+  }
+
+  return summary;
+}
+
+// 汇总结果转为接口常用的 [{ _id, count }] 列表（按 count 降序）
+function topCounts(map, limit = 0) {
+  const rows = [...map.entries()]
+    .map(([key, count]) => ({ _id: key, count }))
+    .sort((a, b) => b.count - a.count);
+  return limit > 0 ? rows.slice(0, limit) : rows;
+}
+
+const toObjectIds = (set) =>
+  [...set].map((id) => new mongoose.Types.ObjectId(id));
+
+// 汇总结果中的访客 _id 列表
+function visitorIds(summary) {
+  return toObjectIds(summary.visitors);
+}
+
+// 汇总结果转为 Rollup 文档字段
+function summaryToDoc(summary) {
+  const fromCounts = (map) =>
+    [...map.entries()].map(([key, count]) => ({ key, count }));
+
+  return {
+    pv: summary.pv,
+    visitors: toObjectIds(summary.visitors),
+    new_users: summary.new_users,
+    stay_time: summary.stay_time,
+    stay_events: summary.stay_events,
+    stay_visitors: toObjectIds(summary.stay_visitors),
+    pages: fromCounts(summary.pages),
+    targets: fromCounts(summary.targets),
+    countries: fromCounts(summary.countries),
+    event_types: fromCounts(summary.event_types),
+  };
+}
+
+// ==========================================
+// 3. 写入与重算
+// ==========================================
+
+// 打点入库后标记受影响的小时桶
+async function markRollupsDirty(projectId, tracks) {
+  const buckets = new Set(
+    tracks.map(
+      (t) => Math.floor(new Date(t.created_at).getTime() / HOUR) * HOUR
+    )
+  );
+  const now = new Date();
+
+  await Rollup.bulkWrite(
+    [...buckets].map((bucket) => ({
+      updateOne: {
+        filter: {
+          project: projectId,
+          granularity: "hour",
+          timezone: "UTC",
+          bucket: new Date(bucket),
+        },
+        update: {
+          $set: { dirty_at: now },
+          $setOnInsert: { bucket_end: new Date(bucket + HOUR) },
+        },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+}
+
+// 访客的历史事件被修改（如合并访客、补全位置、标记为机器人）后，标记其事件所在的小时桶
+async function markVisitorRollupsDirty(visitor) {
+  const hours = await TrackEvent.aggregate([
+    { $match: { visitor: visitor._id } },
+    {
+      $group: {
+        _id: {
+          $dateToString: { format: "%Y-%m-%dT%H:00:00Z", date: "$created_at" },
+        },
+      },
+    },
+  ]);
+  if (hours.length === 0) return;
+
+  await markRollupsDirty(
+    visitor.project,
+    hours.map((h) => ({ created_at: new Date(h._id) }))
+  );
+}
+
+// 写入重算结果；重算期间又有新事件时保留 dirty 标记
+async function saveRollup(doc, fields, startedAt) {
+  await Rollup.updateOne(
+    { _id: doc._id },
+    { $set: { ...fields, updated_at: new Date() } }
+  );
+  await Rollup.updateOne(
+    { _id: doc._id, dirty_at: { $lte: startedAt } },
+    { $unset: { dirty_at: "" } }
+  );
+}
+
+// 标记某个时间段所涉及的自然日（tz）需要重算
+async function markDaysDirty(projectId, start, end, tz) {
+  const now = new Date();
+  let day = formatDay(new Date(start), tz);
+  const lastDay = formatDay(new Date(end - 1), tz);
+
+  const ops = [];
+  while (day <= lastDay) {
+    const bucket = startOfDay(day, tz);
+    const next = addDays(day, 1);
+    ops.push({
+      updateOne: {
+        filter: {
+          project: projectId,
+          granularity: "day",
+          timezone: tz,
+          bucket,
+        },
+        update: {
+          $set: { dirty_at: now },
+          $setOnInsert: { bucket_end: startOfDay(next, tz) },
+        },
+        upsert: true,
+      },
+    });
+    day = next;
+  }
+  if (ops.length > 0) await Rollup.bulkWrite(ops, { ordered: false });
+}
+
+async function refreshHour(doc, tz) {
+  const startedAt = new Date();
+  const { doc: fields } = await computeRaw(
+    doc.project,
+    doc.bucket,
+    doc.bucket_end
+  );
+  await saveRollup(doc, fields, startedAt);
+  await markDaysDirty(
+    doc.project,
+    doc.bucket.getTime(),
+    doc.bucket_end.getTime(),
+    tz
+  );
+}
+
+async function refreshDay(doc) {
+  const startedAt = new Date();
+  const summary = await summarizeRange(
+    doc.project,
+    doc.bucket,
+    doc.bucket_end,
+    {
+      timezone: doc.timezone,
+      useDays: false,
+    }
+  );
+  await saveRollup(doc, summaryToDoc(summary), startedAt);
+}
+
+// 重算所有 dirty 的小时桶，再重算受影响的天桶
+async function processDirtyRollups(tz) {
+  let hours = 0;
+  let days = 0;
+
+  for (;;) {
+    const batch = await Rollup.find({
+      granularity: "hour",
+      dirty_at: { $exists: true },
+    })
+      .sort({ bucket: 1 })
+      .limit(DIRTY_BATCH_SIZE);
+    if (batch.length === 0) break;
+
+    for (const doc of batch) {
+      await refreshHour(doc, tz);
+      hours++;
+    }
+    if (batch.length < DIRTY_BATCH_SIZE) break;
+  }
+
+  const dirtyDays = await Rollup.find({
+    granularity: "day",
+    dirty_at: { $exists: true },
+  }).sort({ bucket: 1 });
+  for (const doc of dirtyDays) {
+    await refreshDay(doc);
+    days++;
+  }
+
+  return { hours, days };
+}
+
+// 重建某个项目 [start, end) 区间的预聚合（按 tz 的自然日对齐）
+async function rebuildRollups(projectId, start, end, tz) {
+  const from = Math.floor(new Date(start).getTime() / HOUR) * HOUR;
+  const to = Math.ceil(new Date(end).getTime() / HOUR) * HOUR;
+
+  await Rollup.deleteMany({
+    project: projectId,
+    granularity: "hour",
+    bucket: { $gte: new Date(from), $lt: new Date(to) },
+  });
+  await Rollup.deleteMany({
+    project: projectId,
+    granularity: "day",
+    timezone: tz,
+    bucket: { $gte: new Date(start), $lt: new Date(end) },
+  });
+
+  // 只为有事件的小时建立文档
+  const hours = await TrackEvent.aggregate([
+    {
+      $match: {
+        project: projectId,
+        created_at: { $gte: new Date(from), $lt: new Date(to) },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          $dateToString: { format: "%Y-%m-%dT%H:00:00Z", date: "$created_at" },
+        },
+      },
+    },
+  ]);
+
+  await markRollupsDirty(
+    projectId,
+    hours.map((h) => ({ created_at: new Date(h._id) }))
+  );
+  // 没有事件的日期也需要天文档（新用户数等仍可能非零）
+  await markDaysDirty(projectId, from, to, tz);
+
+  return processDirtyRollups(tz);
+}
+
+// ==========================================
+// 4. API 路由定义 (/api/admin/rollups)
+// ==========================================
+
+let getTimezone = () => DEFAULT_TIMEZONE;
+let getRetentionCutoff = () => null;
+let rebuilding = false;
+
+// 重建区间内的预聚合：{ project, startDate, endDate, tz }
+router.post("/rollups/rebuild", requireRole("editor"), async (req, res) => {
+  const { project: ref, startDate, endDate } = req.body || {};
+  const tz = req.body?.tz || getTimezone();
+
+  if (!startDate || !endDate) {
+    return res
+      .status(400)
+      .json({ success: false, error: "startDate and endDate are required" });
+  }
+  if (!isValidTimeZone(tz)) {
+    return res.status(400).json({ success: false, error: "Invalid tz" });
+  }
+
+  const range = getDateRangeQuery(startDate, endDate, tz);
+  if (range.$lte - range.$gte > MAX_REBUILD_DAYS * 24 * HOUR) {
+    return res.status(400).json({
+      success: false,
+      error: `Range must not exceed ${MAX_REBUILD_DAYS} days`,
+    });
+  }
+  // 原始事件已按保留策略清理的日期无法重建（会丢失保留下来的按天汇总）
+  const cutoff = getRetentionCutoff();
+  if (cutoff && range.$gte < cutoff) {
+    return res.status(400).json({
+      success: false,
+      error: `Raw events before ${cutoff.toISOString()} have expired and cannot be rebuilt`,
+    });
+  }
+  if (rebuilding) {
+    return res
+      .status(409)
+      .json({ success: false, error: "A rebuild is already running" });
+  }
+
+  try {
+    const project = await findProject(ref);
+    if (!project) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Project not found" });
+    }
+
+    rebuilding = true;
+    const result = await rebuildRollups(
+      project._id,
+      range.$gte,
+      new Date(range.$lte.getTime() + 1),
+      tz
+    );
+    console.log(
+      `[Rollup] Rebuilt ${project.slug} ${startDate} ~ ${endDate}: ${result.hours} hours, ${result.days} days.`
+    );
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error("[Rollup] Rebuild error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  } finally {
+    rebuilding = false;
+  }
+});
+
+// ==========================================
+// 5. 初始化
+// ==========================================
+
+// options.getTimezone：返回当前系统时区（天文档按该时区切分）
+// options.getRetentionCutoff：返回原始数据保留策略的截止时刻（无则为 null）
+const initRollups = (app, options = {}) => {
+  if (options.getTimezone) getTimezone = options.getTimezone;
+  if (options.getRetentionCutoff) {
+    getRetentionCutoff = options.getRetentionCutoff;
+  }
+
+  app.use("/api/admin", router);
+
+  mongoose.connection.once("open", () => {
+    // 每分钟重算 dirty 的预聚合
+    let running = false;
+    schedule.scheduleJob("* * * * *", async () => {
+      if (running || rebuilding) return;
+      running = true;
+      try {
+        await processDirtyRollups(getTimezone());
+      } catch (error) {
+        console.error("[Rollup] Error processing dirty rollups:", error);
+      } finally {
+        running = false;
+      }
+    });
+  });
+};
+
+module.exports = {
+  Rollup,
+  initRollups,
+  summarizeRange,
+  topCounts,
+  visitorIds,
+  markRollupsDirty,
+  markVisitorRollupsDirty,
+  processDirtyRollups,
+  rebuildRollups,
+};
+
+// --- END OF FILE rollups.js ---
@@ -0,0 +1,484 @@
+// --- START OF FILE segments.js ---
+//
+// 访客分群（segment）：按项目保存的命名条件组合，所有条件同时满足的访客属于该分群。
+//
+// 条件分两类：
+// - 档案属性：{ type: "profile", field, op, value }
+//   field 为 country / region / city / event_count / total_stay_time / first_login / last_login
+// - 行为：{ type: "event", event_type?, event_target?, page?, min_count?, within_days?, negate? }
+//   在（最近 within_days 天内）至少产生过 min_count 次匹配事件的访客；negate 为 true 时取反
+//
+// 统计接口（/api/stats/*）通过 ?segment=<_id 或名称> 只统计分群内的访客，
+// 解析出的访客列表在内存中缓存 CACHE_TTL。
+// 访客列表以 $in 条件附加到每个统计查询上，因此分群最多 MAX_SEGMENT_VISITORS 个访客：
+// 超出时保存分群、按分群统计与生成分群报表都会被拒绝（需收窄条件）。
+
+const express = require("express");
+const mongoose = require("mongoose");
+const { UserTracking, TrackEvent } = require("./models");
+const { requireRole } = require("./auth");
+const { findProject } = require("./projects");
+
+const router = express.Router();
+
+const MAX_CONDITIONS = 10;
+const MAX_SEGMENT_VISITORS = 50000;
+const TOO_LARGE_ERROR = `Segment matches more than ${MAX_SEGMENT_VISITORS} visitors, narrow its conditions`;
+const CACHE_TTL = 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+// 档案属性 -> 访客表字段与取值类型
+const PROFILE_FIELDS = {
+  country: { path: "profile.location.country", type: "string" },
+  region: { path: "profile.location.region", type: "string" },
+  city: { path: "profile.location.city", type: "string" },
+  event_count: { path: "stats.event_count", type: "number" },
+  total_stay_time: { path: "stats.total_stay_time", type: "number" },
+  first_login: { path: "profile.first_login", type: "date" },
+  last_login: { path: "profile.last_login", type: "date" },
+};
+
+// 各取值类型允许的比较方式（within_days：距今不超过 value 天）
+const OPERATORS = {
+  string: ["eq", "ne", "in", "nin"],
+  number: ["eq", "ne", "gt", "gte", "lt", "lte"],
+  date: ["gt", "gte", "lt", "lte", "within_days"],
+};
+
+// 行为条件中可限定的事件字段
+const EVENT_FIELDS = ["event_type", "event_target", "page"];
+
+// ==========================================
+// 1. 数据模型定义
+// ==========================================
+const SegmentSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Project",
+    required: true,
+  },
+  name: { type: String, required: true },
+  description: String,
+  conditions: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  // 定时报表是否为该分群单独生成一份（见 hook.js）
+  report: { type: Boolean, default: false },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now },
+});
+
+SegmentSchema.index({ project: 1, name: 1 }, { unique: true });
+
+const Segment = mongoose.model("Segment", SegmentSchema);
+
+// ==========================================
+// 2. 条件校验
+// ==========================================
+
+function parseProfileCondition(condition) {
+  const field = PROFILE_FIELDS[condition.field];
+  if (!field) return { error: `Unknown profile field: ${condition.field}` };
+
+  const op = condition.op || "eq";
+  if (!OPERATORS[field.type].includes(op)) {
+    return { error: `Operator ${op} is not supported for ${condition.field}` };
+  }
+
+  const { value } = condition;
+  let valid;
+  if (op === "in" || op === "nin") {
+    valid =
+      Array.isArray(value) &&
+      value.length > 0 &&
+      value.every((v) => typeof v === "string");
+  } else if (op === "within_days") {
+    valid = Number.isInteger(value) && value > 0;
+  } else if (field.type === "date") {
+    valid = typeof value === "string" && !isNaN(new Date(value).getTime());
+  } else {
+    valid = typeof value === field.type;
+  }
+  if (!valid) return { error: `Invalid value for ${condition.field}` };
+
+  return { condition: { type: "profile", field: condition.field, op, value } };
+}
+
+function parseEventCondition(condition) {
+  const result = { type: "event" };
+  for (const key of EVENT_FIELDS) {
+    if (condition[key] === undefined) continue;
+    if (typeof condition[key] !== "string") {
+      return { error: `Invalid ${key}` };
+    }
+    result[key] = condition[key];
+  }
+  if (!EVENT_FIELDS.some((key) => result[key] !== undefined)) {
+    return {
+      error: `Event condition requires one of: ${EVENT_FIELDS.join(", ")}`,
+    };
+  }
+
+  const minCount = condition.min_count ?? 1;
+  if (!Number.isInteger(minCount) || minCount < 1) {
+    return { error: "min_count must be a positive integer" };
+  }
+  result.min_count = minCount;
+
+  if (condition.within_days !== undefined) {
+    if (!Number.isInteger(condition.within_days) || condition.within_days < 1) {
+      return { error: "within_days must be a positive integer" };
+    }
+    result.within_days = condition.within_days;
+  }
+  result.negate = !!condition.negate;
+
+  return { condition: result };
+}
+
+// 校验并规范化分群定义，返回 { segment } 或 { error }
+function parseSegment(body) {
+  const { name, description, conditions } = body || {};
+
+  if (!name || typeof name !== "string") {
+    return { error: "name is required" };
+  }
+  if (
+    !Array.isArray(conditions) ||
+    conditions.length === 0 ||
+    conditions.length > MAX_CONDITIONS
+  ) {
+    return {
+      error: `conditions must be an array of 1-${MAX_CONDITIONS} conditions`,
+    };
+  }
+
+  const parsed = [];
+  for (const condition of conditions) {
+    if (!condition || typeof condition !== "object") {
+      return { error: "Invalid condition" };
+    }
+    const parser = {
+      profile: parseProfileCondition,
+      event: parseEventCondition,
+    }[condition.type];
+    if (!parser) return { error: "Condition type must be profile or event" };
+
+    const result = parser(condition);
+    if (result.error) return { error: result.error };
+    parsed.push(result.condition);
+  }
+
+  return {
+    segment: {
+      name,
+      description: description || "",
+      conditions: parsed,
+      report: !!body.report,
+    },
+  };
+}
+
+// ==========================================
+// 3. 解析分群内的访客
+// ==========================================
+
+function profileFilter({ field, op, value }) {
+  const { path, type } = PROFILE_FIELDS[field];
+  const cast = (v) => (type === "date" ? new Date(v) : v);
+  switch (op) {
+    case "eq":
+      return { [path]: cast(value) };
+    case "within_days":
+      return { [path]: { $gte: new Date(Date.now() - value * DAY) } };
+    default:
+      return {
+        [path]: {
+          [`$${op}`]: Array.isArray(value) ? value : cast(value),
+        },
+      };
+  }
+}
+
+// 行为条件 -> 满足条件的访客 _id 列表
+async function eventVisitors(projectId, condition) {
+  const match = { project: projectId };
+  EVENT_FIELDS.forEach((key) => {
+    if (condition[key] !== undefined) match[key] = condition[key];
+  });
+  if (condition.within_days) {
+    match.created_at = {
+      $gte: new Date(Date.now() - condition.within_days * DAY),
+    };
+  }
+
+  const rows = await TrackEvent.aggregate([
+    { $match: match },
+    { $group: { _id: "$visitor", count: { $sum: 1 } } },
+    { $match: { count: { $gte: condition.min_count } } },
+  ]).allowDiskUse(true);
+  return rows.map((r) => r._id);
+}
+
+// 分群 -> 访客 _id 列表；指定 limit 时最多返回 limit 个
+async function resolveVisitors(segment, limit = 0) {
+  const and = [];
+  for (const condition of segment.conditions) {
+    if (condition.type === "profile") {
+      and.push(profileFilter(condition));
+    } else {
+      const ids = await eventVisitors(segment.project, condition);
+      and.push({ _id: condition.negate ? { $nin: ids } : { $in: ids } });
+    }
+  }
+
+  const visitors = await UserTracking.find({
+    project: segment.project,
+    $and: and,
+  })
+    .select("_id")
+    .limit(limit)
+    .lean();
+  return visitors.map((v) => v._id);
+}
+
+// 分群是否超出访客数上限
+async function isTooLarge(segment) {
+  const visitors = await resolveVisitors(segment, MAX_SEGMENT_VISITORS + 1);
+  return visitors.length > MAX_SEGMENT_VISITORS;
+}
+
+// 解析结果缓存：segment _id -> { updated_at, loaded_at, segment }
+const visitorCache = new Map();
+
+// 返回 { _id, name, visitors }，供 utils.trafficFilter 使用；
+// 超出 MAX_SEGMENT_VISITORS 时返回 { _id, name, too_large: true }（不含访客列表）
+async function loadSegmentVisitors(segment) {
+  const key = String(segment._id);
+  const cached = visitorCache.get(key);
+  if (
+    cached &&
+    cached.updated_at === segment.updated_at.getTime() &&
+    Date.now() - cached.loaded_at < CACHE_TTL
+  ) {
+    return cached.segment;
+  }
+
+  const visitors = await resolveVisitors(segment, MAX_SEGMENT_VISITORS + 1);
+  const resolved =
+    visitors.length > MAX_SEGMENT_VISITORS
+      ? { _id: segment._id, name: segment.name, too_large: true }
+      : { _id: segment._id, name: segment.name, visitors };
+  visitorCache.set(key, {
+    updated_at: segment.updated_at.getTime(),
+    loaded_at: Date.now(),
+    segment: resolved,
+  });
+  return resolved;
+}
+
+// 按 _id 或名称查找项目内的分群
+async function findSegment(projectId, ref) {
+  if (mongoose.isValidObjectId(ref)) {
+    const byId = await Segment.findOne({ _id: ref, project: projectId }).lean();
+    if (byId) return byId;
+  }
+  return Segment.findOne({ project: projectId, name: ref }).lean();
+}
+
+// ==========================================
+// 4. 中间件
+// ==========================================
+
+// 统计接口按 ?segment= 限定访客（需在项目解析中间件之后），设置 req.segment
+async function resolveSegment(req, res, next) {
+  const ref = req.query.segment || req.body?.segment;
+  if (!ref) return next();
+  if (typeof ref !== "string") {
+    return res.status(400).json({ success: false, error: "Invalid segment" });
+  }
+
+  try {
+    const segment = await findSegment(req.project._id, ref);
+    if (!segment) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Segment not found" });
+    }
+    req.segment = await loadSegmentVisitors(segment);
+    if (req.segment.too_large) {
+      return res.status(400).json({ success: false, error: TOO_LARGE_ERROR });
+    }
+    next();
+  } catch (error) {
+    console.error("[Segment] Resolve error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+}
+
+// ==========================================
+// 5. API 路由定义 (/api/admin/segments)
+// ==========================================
+
+// 读取请求中的项目，找不到时直接返回错误响应
+async function loadProject(req, res) {
+  const project = await findProject(req.query.project || req.body?.project);
+  if (!project) {
+    res.status(404).json({ success: false, error: "Project not found" });
+    return null;
+  }
+  return project;
+}
+
+router.get("/segments", requireRole("viewer"), async (req, res) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const segments = await Segment.find({ project: project._id })
+      .sort({ name: 1 })
+      .lean();
+    res.json({ success: true, data: segments });
+  } catch (error) {
+    console.error("[Segment] List error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 分群当前的访客数（不计缓存）
+router.get("/segments/:id/size", requireRole("viewer"), async (req, res) => {
+  try {
+    const segment = mongoose.isValidObjectId(req.params.id)
+      ? await Segment.findById(req.params.id).lean()
+      : null;
+    if (!segment) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Segment not found" });
+    }
+    const visitors = await resolveVisitors(segment);
+    res.json({
+      success: true,
+      data: {
+        visitors: visitors.length,
+        too_large: visitors.length > MAX_SEGMENT_VISITORS,
+      },
+    });
+  } catch (error) {
+    console.error("[Segment] Size error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 新建分群：{ project, name, description, conditions, report }
+router.post("/segments", requireRole("editor"), async (req, res) => {
+  const parsed = parseSegment(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ success: false, error: parsed.error });
+  }
+
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    if (
+      await Segment.exists({ project: project._id, name: parsed.segment.name })
+    ) {
+      return res
+        .status(409)
+        .json({ success: false, error: "Segment already exists" });
+    }
+    if (await isTooLarge({ ...parsed.segment, project: project._id })) {
+      return res.status(400).json({ success: false, error: TOO_LARGE_ERROR });
+    }
+
+    const segment = await Segment.create({
+      ...parsed.segment,
+      project: project._id,
+    });
+    console.log(`[Segment] ${project.slug}: segment ${segment.name} created.`);
+    res.json({ success: true, data: segment });
+  } catch (error) {
+    console.error("[Segment] Create error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 修改分群（整体替换定义）
+router.put("/segments/:id", requireRole("editor"), async (req, res) => {
+  const parsed = parseSegment(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ success: false, error: parsed.error });
+  }
+
+  try {
+    const segment = mongoose.isValidObjectId(req.params.id)
+      ? await Segment.findById(req.params.id)
+      : null;
+    if (!segment) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Segment not found" });
+    }
+
+    if (
+      parsed.segment.name !== segment.name &&
+      (await Segment.exists({
+        project: segment.project,
+        name: parsed.segment.name,
+      }))
+    ) {
+      return res
+        .status(409)
+        .json({ success: false, error: "Segment already exists" });
+    }
+    if (await isTooLarge({ ...parsed.segment, project: segment.project })) {
+      return res.status(400).json({ success: false, error: TOO_LARGE_ERROR });
+    }
+
+    segment.set({ ...parsed.segment, updated_at: new Date() });
+    await segment.save();
+    res.json({ success: true, data: segment });
+  } catch (error) {
+    console.error("[Segment] Update error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+router.delete("/segments/:id", requireRole("editor"), async (req, res) => {
+  try {
+    const segment = mongoose.isValidObjectId(req.params.id)
+      ? await Segment.findByIdAndDelete(req.params.id)
+      : null;
+    if (!segment) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Segment not found" });
+    }
+    visitorCache.delete(String(segment._id));
+    res.json({ success: true });
+  } catch (error) {
+    console.error("[Segment] Delete error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// ==========================================
+// 6. 初始化
+// ==========================================
+
+// 需在项目解析中间件（initProjects）之后、各统计接口之前调用
+const initSegments = (app) => {
+  app.use("/api/admin", router);
+  app.use("/api/stats", resolveSegment);
+};
+
+module.exports = {
+  MAX_SEGMENT_VISITORS,
+  TOO_LARGE_ERROR,
+  Segment,
+  initSegments,
+  findSegment,
+  loadSegmentVisitors,
+  parseSegment,
+};
+
+// --- END OF FILE segments.js ---
@@ -0,0 +1,227 @@
+// --- START OF FILE sessions.js ---
+
+const express = require("express");
+const { TrackEvent, Session } = require("./models");
+const { getDateRangeQuery, eventMatch } = require("./utils");
+const hook = require("./hook");
+
+const router = express.Router();
+
+const DEFAULT_SESSION_TIMEOUT = 30; // 分钟
+
+// 当前会话超时时间（毫秒），取自 SystemConfig.session_timeout
+function getSessionGap() {
+  const minutes = hook.getConfig()?.session_timeout || DEFAULT_SESSION_TIMEOUT;
+  return minutes * 60 * 1000;
+}
+
+// 将按时间升序排列的事件切分为会话
+function buildSessions(events, gap = getSessionGap()) {
+  const sessions = [];
+  let current = null;
+
+  events.forEach((event) => {
+    const time = new Date(event.created_at);
+
+    if (!current || time - current.ended_at > gap) {
+      current = {
+        started_at: time,
+        ended_at: time,
+        entry_page: event.page,
+        exit_page: event.page,
+        event_count: 0,
+      };
+      sessions.push(current);
+    }
+
+    current.ended_at = time;
+    current.exit_page = event.page;
+    current.event_count++;
+  });
+
+  sessions.forEach((s) => {
+    s.duration = s.ended_at - s.started_at;
+  });
+
+  return sessions;
+}
+
+// 根据事件表重建某个访客的全部会话（visitor 需包含 _id 与 project，可含 is_bot）
+async function rebuildSessions(visitor, gap = getSessionGap()) {
+  const events = await TrackEvent.find({ visitor: visitor._id })
+    .select("page created_at")
+    .sort({ created_at: 1 })
+    .lean();
+
+  const sessions = buildSessions(events, gap).map((s) => ({
+    ...s,
+    project: visitor.project,
+    visitor: visitor._id,
+    is_bot: !!visitor.is_bot,
+  }));
+
+  await Session.deleteMany({ visitor: visitor._id });
+  if (sessions.length > 0) {
+    await Session.insertMany(sessions);
+  }
+
+  return sessions.length;
+}
+
+// 新事件入库后增量更新会话；出现早于最近会话的历史事件时整体重建
+async function trackSessions(visitor, tracks) {
+  const gap = getSessionGap();
+  const sorted = [...tracks].sort((a, b) => a.created_at - b.created_at);
+
+  let current = await Session.findOne({ visitor: visitor._id }).sort({
+    started_at: -1,
+  });
+
+  if (current && sorted[0].created_at < current.started_at) {
+    return rebuildSessions(visitor, gap);
+  }
+
+  const changed = [];
+
+  sorted.forEach((track) => {
+    const time = track.created_at;
+
+    if (!current || time - current.ended_at > gap) {
+      current = new Session({
+        project: visitor.project,
+        visitor: visitor._id,
+        is_bot: !!visitor.is_bot,
+        started_at: time,
+        ended_at: time,
+        entry_page: track.page,
+        exit_page: track.page,
+        event_count: 0,
+      });
+    }
+
+    if (time >= current.ended_at) {
+      current.ended_at = time;
+      current.exit_page = track.page;
+    }
+    current.event_count++;
+    current.duration = current.ended_at - current.started_at;
+
+    if (!changed.includes(current)) changed.push(current);
+  });
+
+  await Promise.all(changed.map((s) => s.save()));
+}
+
+// 会话汇总：会话数、访客数、平均时长、人均会话数
+async function summarizeSessions(match) {
+  const [stats] = await Session.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        sessions: { $sum: 1 },
+        visitors: { $addToSet: "$visitor" },
+        avg_duration: { $avg: "$duration" },
+        avg_events: { $avg: "$event_count" },
+      },
+    },
+  ]);
+
+  if (!stats) {
+    return {
+      total_sessions: 0,
+      unique_visitors: 0,
+      avg_duration: 0,
+      avg_events: 0,
+      sessions_per_visitor: 0,
+    };
+  }
+
+  const visitors = stats.visitors.length;
+  return {
+    total_sessions: stats.sessions,
+    unique_visitors: visitors,
+    avg_duration: Math.round(stats.avg_duration || 0),
+    avg_events: parseFloat((stats.avg_events || 0).toFixed(1)),
+    sessions_per_visitor:
+      visitors > 0 ? parseFloat((stats.sessions / visitors).toFixed(2)) : 0,
+  };
+}
+
+// ==========================================
+// API 路由定义
+// ==========================================
+
+// 全部会话汇总
+router.get("/sessions", async (req, res) => {
+  try {
+    const data = await summarizeSessions(eventMatch(req));
+    res.json({ success: true, data });
+  } catch (error) {
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 区间内按天统计的会话数据（按会话开始时间归属日期）
+router.get("/daily/sessions", async (req, res) => {
+  const { startDate, endDate } = req.query;
+  try {
+    const match = eventMatch(req, {
+      started_at: getDateRangeQuery(startDate, endDate, req.tz),
+    });
+
+    const daily = await Session.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            $dateToString: {
+              format: "%Y-%m-%d",
+              date: "$started_at",
+              timezone: req.tz,
+            },
+          },
+          sessions: { $sum: 1 },
+          visitors: { $addToSet: "$visitor" },
+          avg_duration: { $avg: "$duration" },
+        },
+      },
+      {
+        $project: {
+          sessions: 1,
+          unique_visitors: { $size: "$visitors" },
+          avg_duration: { $round: ["$avg_duration", 0] },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    daily.forEach((day) => {
+      day.sessions_per_visitor =
+        day.unique_visitors > 0
+          ? parseFloat((day.sessions / day.unique_visitors).toFixed(2))
+          : 0;
+    });
+
+    const summary = await summarizeSessions(match);
+
+    res.json({ success: true, data: { summary, daily } });
+  } catch (error) {
+    res.status(500).json({ success: false });
+  }
+});
+
+// 挂载到 /api/stats（需在权限校验中间件之后调用）
+const initSessions = (app) => {
+  app.use("/api/stats", router);
+};
+
+module.exports = {
+  initSessions,
+  buildSessions,
+  rebuildSessions,
+  trackSessions,
+  getSessionGap,
+};
+
+// --- END OF FILE sessions.js ---
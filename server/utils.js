@@ -0,0 +1,196 @@
+// --- START OF FILE utils.js ---
+
+// ==========================================
+// 时区工具（tz 为 IANA 时区名，如 "Asia/Shanghai"）
+// ==========================================
+
+const DEFAULT_TIMEZONE = "Asia/Shanghai";
+const DAY_STR_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidTimeZone(tz) {
+  if (!tz || typeof tz !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// 某时刻在 tz 中的年月日时分秒
+function zonedParts(date, tz) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: tz,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+
+  const result = {};
+  parts.forEach((p) => {
+    if (p.type !== "literal") result[p.type] = parseInt(p.value, 10);
+  });
+  return result;
+}
+
+// 某时刻 tz 相对 UTC 的偏移（毫秒）
+function timeZoneOffset(date, tz) {
+  const p = zonedParts(date, tz);
+  const asUTC = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second
+  );
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// 某时刻在 tz 中的小时（0-23）
+function localHour(date, tz) {
+  return zonedParts(date, tz).hour;
+}
+
+// 某时刻在 tz 中的日期 "YYYY-MM-DD"
+function formatDay(date, tz) {
+  const p = zonedParts(date, tz);
+  return `${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`;
+}
+
+// "YYYY-MM-DD" 偏移若干天
+function addDays(dayStr, days) {
+  const date = new Date(`${dayStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+}
+
+// tz 中某天 0 点对应的时刻（两次校正以处理夏令时切换）
+function startOfDay(dayStr, tz) {
+  const guess = new Date(`${dayStr}T00:00:00Z`).getTime();
+  let time = guess - timeZoneOffset(new Date(guess), tz);
+  time = guess - timeZoneOffset(new Date(time), tz);
+  return new Date(time);
+}
+
+// tz 中的本地时间 { year, month, day, hour, minute, second } 对应的时刻（两次校正以处理夏令时切换），
+// 各字段可以越界（如 day 为 0 或 32），按日历进位
+function fromZonedParts(p, tz) {
+  const guess = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour || 0,
+    p.minute || 0,
+    p.second || 0
+  );
+  let time = guess - timeZoneOffset(new Date(guess), tz);
+  time = guess - timeZoneOffset(new Date(time), tz);
+  return new Date(time);
+}
+
+// 某时刻在 tz 中平移若干个自然日，保持本地时刻不变（跨夏令时切换时仍是同一本地钟点）；
+// 目标日不存在该本地时刻（夏令时跳过的那一小时）时返回 null
+function shiftLocalDays(date, days, tz) {
+  const p = zonedParts(date, tz);
+  const shifted = fromZonedParts({ ...p, day: p.day + days }, tz);
+  const q = zonedParts(shifted, tz);
+  if (q.hour !== p.hour || q.minute !== p.minute) return null;
+  return new Date(shifted.getTime() + (date.getTime() % 1000));
+}
+
+// 将 startDate / endDate 查询参数转换为 tz 中的 created_at 区间（默认今天）
+function getDateRangeQuery(startStr, endStr, tz = DEFAULT_TIMEZONE) {
+  const toDay = (str) => {
+    if (DAY_STR_PATTERN.test(str || "")) return str;
+    const date = str ? new Date(str) : new Date();
+    return formatDay(isNaN(date) ? new Date() : date, tz);
+  };
+  const startDay = toDay(startStr);
+  const endDay = toDay(endStr);
+
+  const start = startOfDay(startDay, tz);
+  const end = new Date(startOfDay(addDays(endDay, 1), tz).getTime() - 1);
+  return { $gte: start, $lte: end };
+}
+
+// 原始数据保留策略的截止时刻：保留今天及之前 days 个完整自然日（tz），
+// 更早的原始数据会被清理；days 为 0 或未设置时永久保留，返回 null
+function retentionCutoff(days, tz, now = new Date()) {
+  if (!days || days <= 0) return null;
+  return startOfDay(addDays(formatDay(now, tz), -days), tz);
+}
+
+// 流量过滤：默认排除被标记为机器人的流量（includeBots 为 true 时保留），
+// excludeImports 为 true 时排除历史导入的事件与访客（会话不区分是否导入），
+// segment 非空时只保留分群内的访客（segment.visitors 为访客 _id 列表，
+// 不超过 segments.MAX_SEGMENT_VISITORS 个，见 segments.js）
+// 统计接口中分别对应 ?include_bots=1、?exclude_imports=1 与 ?segment=
+// （req.includeBots / req.excludeImports / req.segment）
+// visitorField：访客 _id 所在的字段，事件表与会话表为 visitor，访客表为 _id
+function trafficFilter(
+  { includeBots = false, excludeImports = false, segment = null } = {},
+  visitorField = "visitor"
+) {
+  return {
+    ...(includeBots ? {} : { is_bot: { $ne: true } }),
+    ...(excludeImports ? { import_id: { $exists: false } } : {}),
+    ...(segment ? { [visitorField]: { $in: segment.visitors } } : {}),
+  };
+}
+
+// 合并过滤条件：同一字段同时出现在两边时用 $and 组合，避免后者覆盖前者
+function mergeMatch(base, extra) {
+  const result = { ...base };
+  const and = [];
+  Object.entries(extra).forEach(([key, value]) => {
+    if (key === "$and") and.push(...value);
+    else if (key in result) and.push({ [key]: value });
+    else result[key] = value;
+  });
+  if (and.length > 0) result.$and = [...(result.$and || []), ...and];
+  return result;
+}
+
+// 统计查询的公共过滤条件：事件表（TrackEvent / Session）按当前项目过滤
+function eventMatch(req, extra = {}) {
+  return mergeMatch({ project: req.project._id, ...trafficFilter(req) }, extra);
+}
+
+// 统计查询的公共过滤条件：访客表（UserTracking）按当前项目过滤
+function visitorMatch(req, extra = {}) {
+  return mergeMatch(
+    { project: req.project._id, ...trafficFilter(req, "_id") },
+    extra
+  );
+}
+
+// 项目下的配置类数据（漏斗定义等）只按项目过滤
+function projectMatch(req, extra = {}) {
+  return { project: req.project._id, ...extra };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  timeZoneOffset,
+  localHour,
+  formatDay,
+  addDays,
+  startOfDay,
+  fromZonedParts,
+  shiftLocalDays,
+  getDateRangeQuery,
+  retentionCutoff,
+  trafficFilter,
+  mergeMatch,
+  eventMatch,
+  visitorMatch,
+  projectMatch,
+};
+
+// --- END OF FILE utils.js ---
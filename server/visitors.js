@@ -0,0 +1,265 @@
+// --- START OF FILE visitors.js ---
+//
+// 访客浏览：按地区、首末次访问时间、访问过的页面筛选访客，支持按 ID 搜索，
+// 按最后访问 / 事件数 / 总停留时长排序，使用游标分页。
+// 单个访客的行为轨迹：按时间顺序返回事件，并按会话超时切分为多次访问。
+
+const express = require("express");
+const mongoose = require("mongoose");
+const { UserTracking, TrackEvent } = require("./models");
+const { getDateRangeQuery, visitorMatch, eventMatch } = require("./utils");
+const { findVisitor } = require("./identity");
+const { buildSessions, getSessionGap } = require("./sessions");
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const DEFAULT_JOURNEY_EVENTS = 1000;
+const MAX_JOURNEY_EVENTS = 5000;
+
+// 可排序字段 -> 文档字段
+const SORT_FIELDS = {
+  last_seen: "profile.last_login",
+  event_count: "stats.event_count",
+  stay_time: "stats.total_stay_time",
+};
+
+// 游标：上一页最后一行的排序值与 _id，base64url 编码
+function encodeCursor(sort, doc) {
+  const value = sort.split(".").reduce((obj, key) => obj?.[key], doc);
+  return Buffer.from(
+    JSON.stringify({
+      v: value instanceof Date ? value.toISOString() : (value ?? null),
+      id: String(doc._id),
+    })
+  ).toString("base64url");
+}
+
+function decodeCursor(sortKey, cursor) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!mongoose.isValidObjectId(id)) return null;
+    const value = sortKey === "last_seen" && v !== null ? new Date(v) : v;
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+}
+
+// 访客列表中每一行的摘要字段
+function toSummary(doc) {
+  return {
+    _id: doc._id,
+    visitor_id: doc.visitor_id,
+    aliases: doc.aliases || [],
+    location: doc.profile?.location || {},
+    first_login: doc.profile?.first_login,
+    last_login: doc.profile?.last_login,
+    event_count: doc.stats?.event_count || 0,
+    total_stay_time: doc.stats?.total_stay_time || 0,
+    is_bot: !!doc.is_bot,
+    bot_score: doc.bot_score || 0,
+    bot_reasons: doc.bot_reasons || [],
+  };
+}
+
+// 列表接口接受的查询参数，取值都必须是字符串（?q[]=、?country[$ne]= 等一律拒绝）
+const LIST_PARAMS = [
+  "sort",
+  "order",
+  "limit",
+  "cursor",
+  "q",
+  "country",
+  "region",
+  "city",
+  "page",
+  "first_login_from",
+  "first_login_to",
+  "last_login_from",
+  "last_login_to",
+];
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// ==========================================
+// API 路由定义
+// ==========================================
+
+// 访客列表：
+// ?sort=last_seen|event_count|stay_time&order=desc|asc&limit=50&cursor=
+// &q=（访客 ID / 关联 ID 前缀）&country=&region=&city=&page=（访问过的页面）
+// &first_login_from=&first_login_to=&last_login_from=&last_login_to=
+router.get("/visitors", async (req, res) => {
+  const invalid = LIST_PARAMS.find(
+    (key) => req.query[key] !== undefined && typeof req.query[key] !== "string"
+  );
+  if (invalid) {
+    return res
+      .status(400)
+      .json({ success: false, error: `Invalid ${invalid}` });
+  }
+
+  const {
+    sort: sortKey = "last_seen",
+    order = "desc",
+    cursor,
+    q,
+    country,
+    region,
+    city,
+    page,
+  } = req.query;
+
+  const sort = Object.hasOwn(SORT_FIELDS, sortKey)
+    ? SORT_FIELDS[sortKey]
+    : null;
+  if (!sort) {
+    return res.status(400).json({
+      success: false,
+      error: "sort must be last_seen, event_count or stay_time",
+    });
+  }
+  const dir = order === "asc" ? 1 : -1;
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+
+  try {
+    const conditions = [];
+
+    if (q) {
+      const prefix = new RegExp(`^${escapeRegex(q)}`);
+      conditions.push({ $or: [{ visitor_id: prefix }, { aliases: prefix }] });
+    }
+    if (country) conditions.push({ "profile.location.country": country });
+    if (region) conditions.push({ "profile.location.region": region });
+    if (city) conditions.push({ "profile.location.city": city });
+
+    // 日期筛选按天取整（请求时区）
+    [
+      ["first_login", "profile.first_login"],
+      ["last_login", "profile.last_login"],
+    ].forEach(([param, field]) => {
+      const from = req.query[`${param}_from`];
+      const to = req.query[`${param}_to`];
+      if (!from && !to) return;
+      const range = {};
+      if (from) range.$gte = getDateRangeQuery(from, from, req.tz).$gte;
+      if (to) range.$lte = getDateRangeQuery(to, to, req.tz).$lte;
+      conditions.push({ [field]: range });
+    });
+
+    if (page) {
+      const visitors = await TrackEvent.distinct(
+        "visitor",
+        eventMatch(req, { page })
+      );
+      conditions.push({ _id: { $in: visitors } });
+    }
+
+    if (cursor) {
+      const after = decodeCursor(sortKey, cursor);
+      if (!after) {
+        return res
+          .status(400)
+          .json({ success: false, error: "Invalid cursor" });
+      }
+      const op = dir === 1 ? "$gt" : "$lt";
+      conditions.push({
+        $or: [
+          { [sort]: { [op]: after.value } },
+          { [sort]: after.value, _id: { [op]: after.id } },
+        ],
+      });
+    }
+
+    const docs = await UserTracking.find(
+      visitorMatch(req, conditions.length > 0 ? { $and: conditions } : {})
+    )
+      .select("visitor_id aliases profile stats is_bot bot_score bot_reasons")
+      .sort({ [sort]: dir, _id: dir })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = docs.length > limit;
+    const rows = hasMore ? docs.slice(0, limit) : docs;
+
+    res.json({
+      success: true,
+      data: {
+        visitors: rows.map(toSummary),
+        next_cursor: hasMore ? encodeCursor(sort, rows[rows.length - 1]) : null,
+      },
+    });
+  } catch (error) {
+    console.error("[Visitor] List error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 访客行为轨迹：:id 可以是访客 _id、visitor_id 或任一关联 ID
+// ?limit=1000 仅返回最近的若干事件（truncated 表示更早的事件未返回）
+router.get("/visitors/:id/journey", async (req, res) => {
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit) || DEFAULT_JOURNEY_EVENTS, 1),
+    MAX_JOURNEY_EVENTS
+  );
+
+  try {
+    const { id } = req.params;
+    let visitor = mongoose.isValidObjectId(id)
+      ? await UserTracking.findOne(visitorMatch(req, { _id: id })).lean()
+      : null;
+    if (!visitor) visitor = await findVisitor(req.project._id, id).lean();
+    if (!visitor) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Visitor not found" });
+    }
+
+    const latest = await TrackEvent.find({ visitor: visitor._id })
+      .select("page event_type event_target stay_time timestamp created_at")
+      .sort({ created_at: -1 })
+      .limit(limit + 1)
+      .lean();
+    const truncated = latest.length > limit;
+    const events = (truncated ? latest.slice(0, limit) : latest).reverse();
+
+    // 与事件的间隔（毫秒），首个事件为 null
+    events.forEach((event, i) => {
+      event.gap = i > 0 ? event.created_at - events[i - 1].created_at : null;
+    });
+
+    // 按会话超时切分访问，并把事件分配到各次访问
+    let cursor = 0;
+    const visits = buildSessions(events, getSessionGap()).map((visit) => {
+      const visitEvents = events.slice(cursor, cursor + visit.event_count);
+      cursor += visit.event_count;
+      return { ...visit, events: visitEvents };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        visitor: toSummary(visitor),
+        visits,
+        truncated,
+      },
+    });
+  } catch (error) {
+    console.error("[Visitor] Journey error:", error);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// 挂载到 /api/stats（需在权限校验与项目解析中间件之后调用）
+const initVisitors = (app) => {
+  app.use("/api/stats", router);
+};
+
+module.exports = { initVisitors };
+
+// --- END OF FILE visitors.js ---
@@ -0,0 +1,257 @@
+// --- START OF FILE webhooks.js ---
+//
+// 出站 Webhook 通知渠道（SystemConfig.webhooks），与邮件并列发送报表、告警与测试消息。
+//
+// 每个 Webhook：{ name, url, secret, events: ["report", "alert", "test"], format, enabled }
+// - format = json（默认）：{ event, sent_at, title, text, fields, data }
+// - format = slack：Slack Incoming Webhook 兼容的 { text, blocks }
+// - format = discord：Discord Webhook 兼容的 { content, embeds }
+//
+// 配置了 secret 时请求附带签名头，接收方按相同方式校验：
+//   X-Webhook-Timestamp: <毫秒时间戳>
+//   X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+
+const WEBHOOK_EVENTS = ["report", "alert", "test"];
+const WEBHOOK_FORMATS = ["json", "slack", "discord"];
+const MAX_WEBHOOKS = 10;
+const REQUEST_TIMEOUT = 5000;
+const MAX_ATTEMPTS = 2;
+
+// ==========================================
+// 1. 配置校验
+// ==========================================
+
+// 校验并规范化配置中的 Webhook 列表，返回 { webhooks } 或 { error }
+function parseWebhooks(list) {
+  if (!Array.isArray(list)) return { error: "webhooks must be an array" };
+  if (list.length > MAX_WEBHOOKS) {
+    return { error: `At most ${MAX_WEBHOOKS} webhooks are allowed` };
+  }
+
+  const webhooks = [];
+  for (const [i, item] of list.entries()) {
+    if (!item || typeof item !== "object") {
+      return { error: `webhooks[${i}] must be an object` };
+    }
+
+    let url;
+    try {
+      url = new URL(item.url);
+    } catch (e) {
+      return { error: `webhooks[${i}].url is not a valid URL` };
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      return { error: `webhooks[${i}].url must use http or https` };
+    }
+
+    const events = item.events ?? WEBHOOK_EVENTS;
+    if (
+      !Array.isArray(events) ||
+      events.length === 0 ||
+      !events.every((e) => WEBHOOK_EVENTS.includes(e))
+    ) {
+      return {
+        error: `webhooks[${i}].events must be a subset of: ${WEBHOOK_EVENTS.join(", ")}`,
+      };
+    }
+
+    const format = item.format || "json";
+    if (!WEBHOOK_FORMATS.includes(format)) {
+      return {
+        error: `webhooks[${i}].format must be one of: ${WEBHOOK_FORMATS.join(", ")}`,
+      };
+    }
+
+    if (item.secret !== undefined && typeof item.secret !== "string") {
+      return { error: `webhooks[${i}].secret must be a string` };
+    }
+
+    webhooks.push({
+      name: String(item.name || url.hostname).slice(0, 100),
+      url: url.toString(),
+      secret: item.secret || "",
+      events: [...new Set(events)],
+      format,
+      enabled: item.enabled !== false,
+    });
+  }
+
+  return { webhooks };
+}
+
+// ==========================================
+// 2. 消息格式
+// ==========================================
+
+// message：{ title, text, fields: [{ name, value }], data }
+function buildPayload(format, event, message) {
+  const fields = message.fields || [];
+
+  switch (format) {
+    case "slack":
+      return {
+        text: `*${message.title}*\n${message.text || ""}`.trim(),
+        blocks: [
+          {
+            type: "header",
+            text: { type: "plain_text", text: message.title.slice(0, 150) },
+          },
+          ...(message.text
+            ? [
+                {
+                  type: "section",
+                  text: { type: "mrkdwn", text: message.text },
+                },
+              ]
+            : []),
+          ...(fields.length > 0
+            ? [
+                {
+                  type: "section",
+                  fields: fields.slice(0, 10).map((f) => ({
+                    type: "mrkdwn",
+                    text: `*${f.name}*\n${f.value}`,
+                  })),
+                },
+              ]
+            : []),
+        ],
+      };
+    case "discord":
+      return {
+        content: message.title.slice(0, 2000),
+        embeds: [
+          {
+            title: message.title.slice(0, 256),
+            description: (message.text || "").slice(0, 4096),
+            color: event === "alert" ? 0xef4444 : 0x3b82f6,
+            fields: fields.slice(0, 25).map((f) => ({
+              name: String(f.name).slice(0, 256),
+              value: String(f.value).slice(0, 1024),
+              inline: true,
+            })),
+            timestamp: new Date().toISOString(),
+          },
+        ],
+      };
+    default:
+      return {
+        event,
+        sent_at: new Date().toISOString(),
+        title: message.title,
+        text: message.text || "",
+        fields,
+        data: message.data || {},
+      };
+  }
+}
+
+function signPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+// ==========================================
+// 3. 发送
+// ==========================================
+
+// 单次 POST，2xx 视为成功，返回状态码
+function postJson(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === "https:" ? https : http;
+
+    const req = client.request(
+      target,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+          "User-Agent": "Analytics-Webhook/1.0",
+          ...headers,
+        },
+        timeout: REQUEST_TIMEOUT,
+      },
+      (res) => {
+        // 响应内容无需读取，丢弃即可
+        res.resume();
+        res.on("end", () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve(res.statusCode);
+          } else {
+            reject(new Error(`HTTP ${res.statusCode}`));
+          }
+        });
+      }
+    );
+    req.on("timeout", () => req.destroy(new Error("Webhook timeout")));
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+// 发送到单个 Webhook，失败时重试一次；返回 { name, ok, status?, error? }
+async function deliverWebhook(webhook, event, message) {
+  const body = JSON.stringify(buildPayload(webhook.format, event, message));
+  const timestamp = String(Date.now());
+  const headers = {
+    "X-Webhook-Event": event,
+    "X-Webhook-Id": crypto.randomUUID(),
+    "X-Webhook-Timestamp": timestamp,
+  };
+  if (webhook.secret) {
+    headers["X-Webhook-Signature"] =
+      `sha256=${signPayload(webhook.secret, timestamp, body)}`;
+  }
+
+  let lastError;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      const status = await postJson(webhook.url, body, headers);
+      return { name: webhook.name, ok: true, status };
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  console.error(
+    `[Webhook] ❌ Failed to deliver ${event} to ${webhook.name}:`,
+    lastError.message
+  );
+  return { name: webhook.name, ok: false, error: lastError.message };
+}
+
+// 发送到所有启用且订阅了该事件的 Webhook
+async function deliverWebhooks(webhooks, event, message) {
+  const targets = (webhooks || []).filter(
+    (w) => w.enabled !== false && w.events.includes(event)
+  );
+  if (targets.length === 0) return [];
+
+  const results = await Promise.all(
+    targets.map((w) => deliverWebhook(w, event, message))
+  );
+  const delivered = results.filter((r) => r.ok).length;
+  console.log(
+    `[Webhook] Delivered ${event} to ${delivered}/${targets.length} webhooks.`
+  );
+  return results;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_FORMATS,
+  parseWebhooks,
+  buildPayload,
+  signPayload,
+  deliverWebhooks,
+};
+
+// --- END OF FILE webhooks.js ---
@@ -1,12 +1,16 @@
+import os
 import requests
 import random
-import time
-from datetime import datetime, timedelta
+from datetime import datetime, timedelta, timezone
 
 # 配置
-API_URL = "https://lost-track-game.com/api/track"
+IMPORT_URL = "https://lost-track-game.com/api/admin/import"
 RESET_URL = "https://lost-track-game.com/api/admin/reset"
+# 历史数据导入需要后台账号的 API Token（editor 及以上，清空数据库需要 owner）
+ADMIN_TOKEN = os.environ.get("ADMIN_TOKEN", "")
+HEADERS = {"X-Admin-Token": ADMIN_TOKEN}
 TOTAL_REQUESTS = 500  # 总共生成多少条数据
+CHUNK_SIZE = 200  # 每次导入请求的事件数（服务端上限 1000）
 USER_POOL_SIZE = 50  # 模拟多少个不同的用户
 DAYS_BACK = 30  # 生成过去多少天的数据
 
@@ -54,12 +58,12 @@ COUNTRIES = [
     {"country": "AU", "region": "New South Wales", "city": "Sydney"},
 ]
 
-# 生成虚拟用户池 (固定IP和位置，模拟真实用户多次访问)
+# 生成虚拟用户池 (固定访客 ID 和位置，模拟真实用户多次访问)
 users = []
 for i in range(USER_POOL_SIZE):
     users.append(
         {
-            "ip": f"192.168.{random.randint(1, 255)}.{random.randint(1, 255)}",
+            "visitor_id": f"mock-{i:04d}-{random.randint(100000, 999999)}",
             "location": random.choice(COUNTRIES),
         }
     )
@@ -67,7 +71,7 @@ for i in range(USER_POOL_SIZE):
 
 def generate_random_time():
     """生成过去 DAYS_BACK 天内的随机时间"""
-    end = datetime.now()
+    end = datetime.now(timezone.utc)
     start = end - timedelta(days=DAYS_BACK)
     random_date = start + (end - start) * random.random()
 
@@ -83,7 +87,7 @@ def generate_random_time():
 
 def reset_db():
     try:
-        res = requests.delete(RESET_URL)
+        res = requests.delete(RESET_URL, headers=HEADERS)
         if res.status_code == 200:
             print("✅ 数据库已清空")
         else:
@@ -92,53 +96,64 @@ def reset_db():
         print(f"❌ 连接错误: {e}")
 
 
-def send_track_data():
-    print(f"🚀 开始生成 {TOTAL_REQUESTS} 条模拟数据...")
+def build_event():
+    # 1. 随机选一个用户
+    user = random.choice(users)
 
-    success_count = 0
+    # 2. 随机生成时间
+    fake_time = generate_random_time()
+
+    # 3. 随机生成行为
+    page = random.choice(PAGES)
+    event_type = random.choice(EVENT_TYPES)
 
-    for i in range(TOTAL_REQUESTS):
-        # 1. 随机选一个用户
-        user = random.choice(users)
+    # 只有点击事件才有 target，浏览事件 target 为空
+    target = random.choice(TARGETS) if event_type == "click" else ""
 
-        # 2. 随机生成时间
-        fake_time = generate_random_time()
+    # 随机停留时间 (毫秒)
+    stay_time = random.randint(1000, 300000) if event_type == "view" else 0
 
-        # 3. 随机生成行为
-        page = random.choice(PAGES)
-        event_type = random.choice(EVENT_TYPES)
+    return {
+        "visitor_id": user["visitor_id"],
+        "type": event_type,
+        "target": target,
+        "page": page,
+        "stay_time": stay_time,
+        "timestamp": int(fake_time.timestamp() * 1000),
+        "location": user["location"],
+        "created_at": fake_time.isoformat(),
+    }
 
-        # 只有点击事件才有 target，浏览事件 target 为空
-        target = random.choice(TARGETS) if event_type == "click" else ""
 
-        # 随机停留时间 (毫秒)
-        stay_time = random.randint(1000, 300000) if event_type == "view" else 0
+def send_track_data():
+    print(f"🚀 开始生成 {TOTAL_REQUESTS} 条模拟数据...")
+
+    success_count = 0
+    import_id = None
 
+    for start in range(0, TOTAL_REQUESTS, CHUNK_SIZE):
+        count = min(CHUNK_SIZE, TOTAL_REQUESTS - start)
         payload = {
-            "type": event_type,
-            "target": target,
-            "page": page,
-            "stayTime": stay_time,
-            "timestamp": int(fake_time.timestamp() * 1000),
-            # --- 欺骗后端的核心参数 ---
-            "mock_ip": user["ip"],  # 模拟不同 IP
-            "mock_location": user["location"],  # 模拟地理位置
-            "custom_created_at": fake_time.isoformat(),  # 模拟历史时间
+            "label": "mock_data.py",
+            "events": [build_event() for _ in range(count)],
         }
+        # 同一次运行的数据追加到同一个导入批次，便于整体删除
+        if import_id:
+            payload["import_id"] = import_id
 
         try:
-            res = requests.post(API_URL, json=payload)
+            res = requests.post(IMPORT_URL, json=payload, headers=HEADERS)
+            body = res.json()
             if res.status_code == 200:
-                success_count += 1
-                # 打印进度条
-                if i % 50 == 0:
-                    print(
-                        f"进度: {i}/{TOTAL_REQUESTS} ({fake_time.strftime('%Y-%m-%d %H:%M')})"
-                    )
+                import_id = body.get("import_id")
+                success_count += body.get("accepted", 0)
+                print(f"进度: {start + count}/{TOTAL_REQUESTS}")
+            else:
+                print(f"❌ 导入失败: {body.get('error') or body}")
         except Exception as e:
             print(f"Request failed: {e}")
 
-    print(f"🎉 完成! 成功插入 {success_count} 条数据")
+    print(f"🎉 完成! 成功插入 {success_count} 条数据 (import_id: {import_id})")
 
 
 if __name__ == "__main__":